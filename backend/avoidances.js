@@ -0,0 +1,154 @@
+const { pointInPolygon } = require('./neighborhoods');
+
+// Places a user asked routes to stay out of: polygons drawn on the map and street names, and
+// segments (by ID) a hazard such as a road closure was reported on
+const MAX_AVOID_AREAS = 10;
+const MAX_AREA_VERTICES = 50;
+const MAX_AVOID_STREETS = 20;
+const MAX_AVOID_SEGMENTS = 20;
+
+// Street names are matched case-insensitively, ignoring extra spaces
+function normalizeStreetName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Parse "lat,lng;lat,lng;lat,lng|lat,lng;..." into polygons of [lat, lng] vertices
+// (values checked by validateAvoidances)
+function parseAvoidAreasParam(param) {
+  return String(param).split('|').map(area => area.split(';').map(vertex => vertex.split(',').map(part => parseFloat(part.trim()))));
+}
+
+// Parse "Main St|W 37th Ave" into street names
+function parseAvoidStreetsParam(param) {
+  return String(param).split('|').map(name => name.trim()).filter(Boolean);
+}
+
+// Parse "bike_12|bike_40" into segment IDs
+function parseAvoidSegmentsParam(param) {
+  return String(param).split('|').map(id => id.trim()).filter(Boolean);
+}
+
+// Validate avoid areas, streets and segments. Returns { errors } or { avoid: { areas, streets, segments } },
+// where each area is a closed polygon in pointInPolygon's format ([ring] of [lat, lng]).
+function validateAvoidances({ areas, streets, segments } = {}) {
+  const errors = [];
+  const validAreas = [];
+
+  const areaList = areas || [];
+  if (areaList.length > MAX_AVOID_AREAS) {
+    errors.push(`Too many avoid areas: ${areaList.length}. Use at most ${MAX_AVOID_AREAS}`);
+  } else {
+    areaList.forEach((vertices, i) => {
+      if (vertices.length < 3 || vertices.length > MAX_AREA_VERTICES) {
+        errors.push(`Avoid area ${i + 1} must have 3 to ${MAX_AREA_VERTICES} points`);
+        return;
+      }
+      const valid = vertices.every(vertex => vertex.length === 2 &&
+        vertex.every(Number.isFinite) &&
+        vertex[0] >= 49 && vertex[0] <= 50 && vertex[1] >= -124 && vertex[1] <= -122);
+      if (!valid) {
+        errors.push(`Avoid area ${i + 1} has invalid points. Expected lat,lng pairs in Vancouver, BC`);
+        return;
+      }
+      validAreas.push([vertices]);
+    });
+  }
+
+  const streetList = streets || [];
+  if (streetList.length > MAX_AVOID_STREETS) {
+    errors.push(`Too many avoid streets: ${streetList.length}. Use at most ${MAX_AVOID_STREETS}`);
+  }
+
+  const segmentList = segments || [];
+  if (segmentList.length > MAX_AVOID_SEGMENTS) {
+    errors.push(`Too many avoid segments: ${segmentList.length}. Use at most ${MAX_AVOID_SEGMENTS}`);
+  } else {
+    segmentList.filter(id => !/^[\w-]+$/.test(id)).forEach(id => {
+      errors.push(`Invalid avoid segment "${id}". Expected a segment ID from a route's hazards`);
+    });
+  }
+
+  if (errors.length > 0) return { errors };
+  return { avoid: { areas: validAreas, streets: streetList, segments: segmentList } };
+}
+
+// Whether the line a-b crosses the line c-d (points as [lat, lng])
+function linesCross(a, b, c, d) {
+  const side = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+  return side(a, b, c) !== side(a, b, d) && side(c, d, a) !== side(c, d, b);
+}
+
+// Whether a polyline enters a polygon: a vertex inside it, or a line crossing its edge
+function polylineEntersArea(coords, area) {
+  if (coords.some(coord => pointInPolygon(coord, area.polygon))) return true;
+  const ring = area.polygon[0];
+  for (let i = 0; i < coords.length - 1; i++) {
+    for (let j = 0; j < ring.length; j++) {
+      if (linesCross(coords[i], coords[i + 1], ring[j], ring[(j + 1) % ring.length])) return true;
+    }
+  }
+  return false;
+}
+
+// Test for segments a route should avoid: segment => true when it enters an avoid area, runs
+// along an avoided street or is an avoided segment (or a piece of one). Results are cached per
+// segment, so a search only tests each edge once. Returns null when there is nothing to avoid.
+function createAvoidFilter({ areas = [], streets = [], segments = [] } = {}) {
+  if (areas.length === 0 && streets.length === 0 && segments.length === 0) return null;
+
+  const streetNames = new Set(streets.map(normalizeStreetName));
+  const segmentIds = new Set(segments);
+  const areaBounds = areas.map(polygon => {
+    const lats = polygon[0].map(vertex => vertex[0]);
+    const lngs = polygon[0].map(vertex => vertex[1]);
+    return {
+      polygon,
+      minLat: Math.min(...lats),
+      maxLat: Math.max(...lats),
+      minLng: Math.min(...lngs),
+      maxLng: Math.max(...lngs)
+    };
+  });
+
+  const cache = new Map();
+  return (segment) => {
+    if (cache.has(segment)) return cache.get(segment);
+
+    let avoided = streetNames.has(normalizeStreetName(segment.streetName)) ||
+      segmentIds.has(segment.parentId || segment.id);
+    if (!avoided && areaBounds.length > 0) {
+      const coords = segment.coordinates;
+      const lats = coords.map(coord => coord[0]);
+      const lngs = coords.map(coord => coord[1]);
+      const minLat = Math.min(...lats);
+      const maxLat = Math.max(...lats);
+      const minLng = Math.min(...lngs);
+      const maxLng = Math.max(...lngs);
+      avoided = areaBounds.some(area =>
+        minLat <= area.maxLat && maxLat >= area.minLat && minLng <= area.maxLng && maxLng >= area.minLng &&
+        polylineEntersArea(coords, area));
+    }
+
+    cache.set(segment, avoided);
+    return avoided;
+  };
+}
+
+// Avoided street names that match no street in the data (likely misspelled)
+function getUnmatchedStreets(streets, segments) {
+  const known = new Set(segments.map(segment => normalizeStreetName(segment.streetName)));
+  return streets.filter(name => !known.has(normalizeStreetName(name)));
+}
+
+module.exports = {
+  MAX_AVOID_AREAS,
+  MAX_AREA_VERTICES,
+  MAX_AVOID_STREETS,
+  MAX_AVOID_SEGMENTS,
+  parseAvoidAreasParam,
+  parseAvoidStreetsParam,
+  parseAvoidSegmentsParam,
+  validateAvoidances,
+  createAvoidFilter,
+  getUnmatchedStreets
+};
@@ -0,0 +1,180 @@
+// Routing benchmark: compares the original O(V²) linear-scan Dijkstra with the
+// heap-based Dijkstra / A* in dataProcessor.js on a fixed set of origin/destination
+// pairs, checks that both return identical paths, and reports query latency. Also checks
+// that no alternative route comes out shorter than the fastest one.
+//
+// Usage: npm run benchmark [-- --runs=5]
+const {
+  loadStreetData,
+  buildGraph,
+  findClosestNode,
+  findFastestPath,
+  findSafestPath,
+  findAlternativePaths,
+  getPathDistance,
+  MAX_ALTERNATIVES,
+  parseDepartureDate,
+  createSafestEdgeCost
+} = require('./dataProcessor');
+
+// Fixed origin/destination pairs, from short downtown hops to cross-city trips
+const OD_PAIRS = [
+  { name: 'Gastown -> Library Square', from: [49.2827, -123.1207], to: [49.2740, -123.1200] },
+  { name: 'Waterfront -> Yaletown', from: [49.2810, -123.1190], to: [49.2760, -123.1280] },
+  { name: 'West End -> Mount Pleasant', from: [49.2860, -123.1400], to: [49.2630, -123.1000] },
+  { name: 'Kitsilano -> Commercial Dr', from: [49.2680, -123.1650], to: [49.2690, -123.0690] },
+  { name: 'UBC gates -> Downtown', from: [49.2640, -123.2000], to: [49.2830, -123.1180] },
+  { name: 'Kerrisdale -> Hastings-Sunrise', from: [49.2340, -123.1550], to: [49.2800, -123.0400] },
+  { name: 'Marpole -> Strathcona', from: [49.2110, -123.1300], to: [49.2780, -123.0900] },
+  { name: 'Killarney -> Point Grey', from: [49.2200, -123.0400], to: [49.2650, -123.1950] }
+];
+
+const DEPARTURES = {
+  day: '2025-01-15T12:00:00-08:00',
+  night: '2025-01-15T23:00:00-08:00'
+};
+
+// Original implementation: scan every unvisited node to pick the next one
+function legacyDijkstra(graph, startNode, endNode, edgeCost) {
+  const distances = {};
+  const previous = {};
+  const unvisited = new Set();
+
+  for (const nodeId in graph) {
+    distances[nodeId] = Infinity;
+    previous[nodeId] = null;
+    unvisited.add(nodeId);
+  }
+  distances[startNode] = 0;
+
+  while (unvisited.size > 0) {
+    let currentNode = null;
+    let smallestDistance = Infinity;
+
+    for (const nodeId of unvisited) {
+      if (distances[nodeId] < smallestDistance) {
+        smallestDistance = distances[nodeId];
+        currentNode = nodeId;
+      }
+    }
+
+    if (currentNode === null || distances[currentNode] === Infinity) break;
+    if (currentNode === endNode) {
+      const path = [];
+      let node = endNode;
+      while (node !== null) {
+        path.unshift(node);
+        node = previous[node];
+      }
+      return path;
+    }
+
+    unvisited.delete(currentNode);
+
+    for (const neighbor of graph[currentNode].neighbors) {
+      if (!unvisited.has(neighbor.node)) continue;
+      const alt = distances[currentNode] + edgeCost(neighbor);
+      if (alt < distances[neighbor.node]) {
+        distances[neighbor.node] = alt;
+        previous[neighbor.node] = currentNode;
+      }
+    }
+  }
+
+  return [];
+}
+
+function time(fn, runs) {
+  let result;
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < runs; i++) {
+    result = fn();
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  return { result, ms: elapsedMs / runs };
+}
+
+function samePath(a, b) {
+  return a.length === b.length && a.every((node, i) => node === b[i]);
+}
+
+function main() {
+  const runsArg = process.argv.find(arg => arg.startsWith('--runs='));
+  const runs = runsArg ? Math.max(1, parseInt(runsArg.split('=')[1]) || 1) : 3;
+
+  // The path functions log every query; keep the benchmark output readable
+  const log = console.log;
+  console.log = () => {};
+
+  // Count the split segments the graph is built from, not the loaded ones
+  const { graph, segments } = buildGraph(loadStreetData());
+  log(`Graph: ${segments.length} segments, ${Object.keys(graph).length} nodes, ${runs} run(s) per query\n`);
+
+  const rows = [];
+  const alternativeRows = [];
+  let mismatches = 0;
+  let shortAlternatives = 0;
+
+  OD_PAIRS.forEach(pair => {
+    const startNode = findClosestNode(pair.from, graph);
+    const endNode = findClosestNode(pair.to, graph);
+
+    const fastestOld = time(() => legacyDijkstra(graph, startNode, endNode, n => n.distance), runs);
+    const fastestNew = time(() => findFastestPath(graph, startNode, endNode), runs);
+    const fastestSame = samePath(fastestOld.result, fastestNew.result);
+    rows.push({ pair: pair.name, mode: 'fastest', old: fastestOld, new: fastestNew, same: fastestSame });
+    if (!fastestSame) mismatches++;
+
+    for (const [label, departure] of Object.entries(DEPARTURES)) {
+      const date = parseDepartureDate(departure);
+      const edgeCost = createSafestEdgeCost(date);
+      const safestOld = time(() => legacyDijkstra(graph, startNode, endNode, edgeCost), runs);
+      const safestNew = time(() => findSafestPath(graph, startNode, endNode, date), runs);
+      const safestSame = samePath(safestOld.result, safestNew.result);
+      rows.push({ pair: pair.name, mode: `safest (${label})`, old: safestOld, new: safestNew, same: safestSame });
+      if (!safestSame) mismatches++;
+    }
+
+    // The fastest path is the shortest there is, so every alternative must be at least as long
+    const safestPath = findSafestPath(graph, startNode, endNode, parseDepartureDate(DEPARTURES.day));
+    const fastest = getPathDistance(fastestNew.result, graph);
+    const alternatives = findAlternativePaths(graph, startNode, endNode, [fastestNew.result, safestPath], { count: MAX_ALTERNATIVES })
+      .map(pathNodeIds => getPathDistance(pathNodeIds, graph));
+    const shorter = alternatives.filter(distance => distance < fastest - 1e-9).length;
+    alternativeRows.push({ pair: pair.name, fastest, alternatives, shorter });
+    shortAlternatives += shorter;
+  });
+
+  console.log = log;
+
+  const pad = (value, width) => String(value).padEnd(width);
+  console.log(`${pad('Pair', 34)}${pad('Mode', 18)}${pad('Nodes', 7)}${pad('Before (ms)', 13)}${pad('After (ms)', 12)}${pad('Speedup', 9)}Same path`);
+  rows.forEach(row => {
+    const speedup = row.new.ms > 0 ? `${(row.old.ms / row.new.ms).toFixed(1)}x` : '-';
+    console.log(
+      `${pad(row.pair, 34)}${pad(row.mode, 18)}${pad(row.new.result.length, 7)}` +
+      `${pad(row.old.ms.toFixed(2), 13)}${pad(row.new.ms.toFixed(2), 12)}${pad(speedup, 9)}${row.same ? 'yes' : 'NO'}`
+    );
+  });
+
+  const totalOld = rows.reduce((sum, row) => sum + row.old.ms, 0);
+  const totalNew = rows.reduce((sum, row) => sum + row.new.ms, 0);
+  console.log(`\nMean latency: ${(totalOld / rows.length).toFixed(2)}ms before, ${(totalNew / rows.length).toFixed(2)}ms after`);
+
+  console.log(`\n${pad('Pair', 34)}${pad('Fastest (km)', 14)}${pad('Alternatives (km)', 36)}Never shorter`);
+  alternativeRows.forEach(row => {
+    const alternatives = row.alternatives.length > 0 ? row.alternatives.map(distance => distance.toFixed(2)).join(', ') : '-';
+    console.log(`${pad(row.pair, 34)}${pad(row.fastest.toFixed(2), 14)}${pad(alternatives, 36)}${row.shorter === 0 ? 'yes' : 'NO'}`);
+  });
+
+  if (mismatches > 0) {
+    console.error(`${mismatches} path(s) differ between implementations`);
+    process.exitCode = 1;
+  }
+  if (shortAlternatives > 0) {
+    console.error(`${shortAlternatives} alternative(s) shorter than the fastest route`);
+    process.exitCode = 1;
+  }
+}
+
+main();
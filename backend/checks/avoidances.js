@@ -0,0 +1,87 @@
+// Checks for avoid areas, streets and segments in avoidances.js: parsing and validating the
+// query parameters, which blocks an area, street name or segment ID covers, and routes on the
+// small street network in fixtures/ going around them.
+//
+// Usage: npm run check:avoidances
+const path = require('path');
+const { check, round, finish } = require('./check');
+const {
+  parseAvoidAreasParam,
+  parseAvoidStreetsParam,
+  parseAvoidSegmentsParam,
+  validateAvoidances,
+  createAvoidFilter,
+  getUnmatchedStreets
+} = require('../avoidances');
+const {
+  loadStreetData,
+  buildGraph,
+  findClosestNode,
+  findFastestPath,
+  getPathSegments,
+  getPathAvoidedDistance
+} = require('../dataProcessor');
+
+const { log, warn } = console;
+console.log = () => {};
+console.warn = () => {};
+const { graph, segments } = buildGraph(loadStreetData(path.join(__dirname, 'fixtures')));
+console.log = log;
+console.warn = warn;
+
+const segment = id => segments.find(candidate => candidate.id === id);
+const errorsFor = input => validateAvoidances(input).errors || [];
+const avoidFor = input => createAvoidFilter(validateAvoidances(input).avoid);
+
+// A thin box across the middle of Gamma St's south block, and one around its south end
+const ACROSS_GAMMA = '49.2803,-123.1205;49.2807,-123.1205;49.2807,-123.1195;49.2803,-123.1195';
+const AROUND_START = '49.2795,-123.1205;49.2805,-123.1205;49.2805,-123.1195;49.2795,-123.1195';
+
+// Parsing and validation
+check('areas split into [lat, lng] vertices', parseAvoidAreasParam('49.28,-123.12;49.29,-123.12;49.29,-123.11'),
+  [[[49.28, -123.12], [49.29, -123.12], [49.29, -123.11]]]);
+check('street names trimmed, blanks dropped', parseAvoidStreetsParam(' Gamma St || W Beta Ave'), ['Gamma St', 'W Beta Ave']);
+check('segment IDs trimmed, blanks dropped', parseAvoidSegmentsParam('bike_2| bike_10 |'), ['bike_2', 'bike_10']);
+check('nothing to avoid means no filter', createAvoidFilter(validateAvoidances({}).avoid), null);
+check('area needs at least 3 points', errorsFor({ areas: parseAvoidAreasParam('49.28,-123.12;49.29,-123.12') }), ['Avoid area 1 must have 3 to 50 points']);
+check('area outside Vancouver rejected', errorsFor({ areas: parseAvoidAreasParam('45.5,-73.6;45.6,-73.6;45.6,-73.5') }),
+  ['Avoid area 1 has invalid points. Expected lat,lng pairs in Vancouver, BC']);
+check('too many areas, streets or segments rejected', errorsFor({
+  areas: new Array(11).fill(parseAvoidAreasParam(ACROSS_GAMMA)[0]),
+  streets: new Array(21).fill('Gamma St'),
+  segments: new Array(21).fill('bike_2')
+}), ['Too many avoid areas: 11. Use at most 10', 'Too many avoid streets: 21. Use at most 20', 'Too many avoid segments: 21. Use at most 20']);
+check('segment ID with other characters rejected', errorsFor({ segments: ['bike_2;drop'] }),
+  ['Invalid avoid segment "bike_2;drop". Expected a segment ID from a route\'s hazards']);
+
+// Which blocks are covered
+const across = avoidFor({ areas: parseAvoidAreasParam(ACROSS_GAMMA) });
+check('block crossing an area avoided, even with no vertex inside it', [across(segment('bike_3')), across(segment('bike_4'))], [true, false]);
+const byName = avoidFor({ streets: ['  gamma   ST '] });
+check('street names matched ignoring case and spacing', segments.filter(byName).map(candidate => candidate.id), ['bike_3', 'bike_4']);
+// Epsilon St (bike_6) is split where Midway Ave meets it
+check('segment ID matches the pieces it was split into', segments.filter(avoidFor({ segments: ['bike_6'] })).map(candidate => candidate.id),
+  ['bike_6_0', 'bike_6_1']);
+check('unknown street names reported', getUnmatchedStreets(['Gamma St', 'W Nowhere Ave'], segments), ['W Nowhere Ave']);
+
+// Routes from W Alpha Ave to W Beta Ave along Gamma St
+const start = findClosestNode([49.28, -123.12], graph);
+const end = findClosestNode([49.282, -123.12], graph);
+const route = avoid => {
+  const pathNodeIds = findFastestPath(graph, start, end, { avoid });
+  return [getPathSegments(pathNodeIds, graph).map(candidate => candidate.id), round(getPathAvoidedDistance(pathNodeIds, graph, avoid))];
+};
+check('straight up Gamma St with nothing to avoid', route(null), [['bike_3', 'bike_4'], 0]);
+check('avoided street: around by Epsilon St', route(byName), [['bike_0_0', 'bike_6_0', 'bike_6_1', 'bike_1'], 0]);
+// Every way out of the start corner enters the area, so the route still goes through it
+const aroundStart = avoidFor({ areas: parseAvoidAreasParam(AROUND_START) });
+check('no way around: shortest route, with the distance inside reported', route(aroundStart), [['bike_3', 'bike_4'], 0.111]);
+
+// Omega Path and W Beta Ave's east block join the same two corners: the route reports the one taken
+const betaEast = [findClosestNode([49.282, -123.1185], graph), findClosestNode([49.282, -123.117], graph)];
+const alongBeta = avoid => getPathSegments(findFastestPath(graph, ...betaEast, { avoid }), graph).map(candidate => candidate.id);
+check('parallel path taken around an avoided street', [alongBeta(null), alongBeta(avoidFor({ streets: ['W Beta Ave'] }))],
+  [['bike_2'], ['bike_10']]);
+check('and around an avoided segment', alongBeta(avoidFor({ segments: ['bike_2'] })), ['bike_10']);
+
+finish();
@@ -0,0 +1,37 @@
+// Shared helpers for the runnable checks in this folder. Each check file is run on its own
+// (npm run check:<name>, or npm test for all of them) and sets a failing exit code on a mismatch.
+//
+// fixtures/ holds data layers in the same formats as data/, over a small street network near
+// downtown: W Alpha Ave, Midway Ave and W Beta Ave run east-west a block (~110m) apart, crossed
+// by Gamma St, Epsilon St and Delta St (one-way northbound for bikes). Theta Pl meets Delta St
+// mid-block, and the off-street Omega Path loops beside W Beta Ave's east block.
+
+let failures = 0;
+
+// Compare `actual` with `expected` (deeply, through JSON) and print the outcome
+function check(name, actual, expected) {
+  const same = JSON.stringify(actual) === JSON.stringify(expected);
+  if (!same) failures++;
+  console.log(`${same ? 'ok  ' : 'FAIL'} ${name}`);
+  if (!same) console.log(`     expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
+
+// Round a number (or each number in an array) for comparisons that shouldn't hinge on float noise
+function round(value, digits = 3) {
+  if (Array.isArray(value)) return value.map(item => round(item, digits));
+  return typeof value === 'number' ? Number(value.toFixed(digits)) : value;
+}
+
+// Report the result once every check has run
+function finish() {
+  if (failures > 0) {
+    console.error(`\n${failures} check(s) failed`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  check,
+  round,
+  finish
+};
@@ -0,0 +1,59 @@
+// Checks for road closures (road-ahead CSV) on the small street network in fixtures/:
+// which blocks a closure is matched to, and when it counts as active (Vancouver time).
+//
+// Usage: npm run check:closures
+const path = require('path');
+const { check, finish } = require('./check');
+const {
+  loadStreetData,
+  buildGraph,
+  findClosestNode,
+  createSafestEdgeCost,
+  getEffectiveScores,
+  getPathClosures
+} = require('../dataProcessor');
+
+// Loading logs every data layer; keep the output to the checks
+const { log, warn } = console;
+console.log = () => {};
+console.warn = () => {};
+const { graph, segments } = buildGraph(loadStreetData(path.join(__dirname, 'fixtures')));
+console.log = log;
+console.warn = warn;
+
+const segment = id => segments.find(candidate => candidate.id === id);
+const node = point => findClosestNode(point, graph);
+
+// The W Beta Ave closure ends on 2030-06-30; the Gamma St one has no end date
+const LAST_DAY_NOON = new Date('2030-06-30T12:00:00-07:00');
+const LAST_DAY_EVENING = new Date('2030-06-30T23:30:00-07:00'); // Already July 1 in UTC
+const DAY_AFTER = new Date('2030-07-01T12:00:00-07:00');
+const MUCH_LATER = new Date('2040-01-01T12:00:00-08:00');
+
+// Matching
+check('each closure matched to the block it runs along, not the cross streets at its ends',
+  segments.filter(candidate => candidate.closures && candidate.closures.length > 0)
+    .map(candidate => `${candidate.id}:${candidate.closures.map(closure => closure.id).join(',')}`),
+  ['bike_2:closure_1', 'bike_3:closure_0']);
+const betaClosure = segment('bike_2').closures[0];
+check('closure details from the CSV', [betaClosure.street, betaClosure.completionDate, betaClosure.center],
+  ['W Beta Ave', '2030-06-30', [49.282, -123.11775]]);
+check('closure without a completion date is ongoing', segment('bike_3').closures[0].completionDate, null);
+
+// Active dates
+check('active through the evening of its last day', getEffectiveScores(segment('bike_2'), LAST_DAY_EVENING).disruption, 8);
+check('over the day after', getEffectiveScores(segment('bike_2'), DAY_AFTER).disruption, 0);
+check('ongoing closure still active years later', getEffectiveScores(segment('bike_3'), MUCH_LATER).disruption, 8);
+check('unaffected block', getEffectiveScores(segment('bike_1'), LAST_DAY_EVENING).disruption, 0);
+
+// Along a path: W Beta Ave between Epsilon St and Delta St, with Omega Path running beside it
+const betaPath = [node([49.282, -123.1185]), node([49.282, -123.117])];
+check('route lists the active closure', getPathClosures(betaPath, graph, LAST_DAY_NOON).map(closure => closure.id), ['closure_1']);
+check('route lists nothing once it has ended', getPathClosures(betaPath, graph, DAY_AFTER), []);
+// W Beta Ave's other block (bike_1) is the same kind of street, just never closed
+const edge = id => graph[findClosestNode(segment(id).start, graph)].neighbors.find(neighbor => neighbor.segment.id === id);
+const safestCost = (id, date) => createSafestEdgeCost(date)(edge(id)) / segment(id).length;
+check('safest routing costs the closed block more than an open one', safestCost('bike_2', LAST_DAY_NOON) > safestCost('bike_1', LAST_DAY_NOON), true);
+check('and the same once it reopens', safestCost('bike_2', DAY_AFTER) === safestCost('bike_1', DAY_AFTER), true);
+
+finish();
@@ -0,0 +1,62 @@
+// Checks for crime scores from the VPD crime CSV in fixtures/: UTM coordinates converted to
+// lat/lng, which blocks an incident counts against, how older incidents fade, and the
+// hour-of-day crime profile.
+//
+// Usage: npm run check:crime
+const path = require('path');
+const { check, round, finish } = require('./check');
+
+// The fixture incidents are from 2022-2024; keep them loadable whatever year the check runs in
+process.env.CRIME_MAX_AGE_YEARS = '100';
+const { utmToLatLng, loadCrimeIncidents, getIncidentWeight, getIncidentHourWeights } = require('../crimeData');
+const { loadStreetData, getEffectiveScores } = require('../dataProcessor');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const incidents = loadCrimeIncidents(path.join(FIXTURES, 'crimedata_csv_AllNeighbourhoods_AllYears.csv'));
+
+const { log, warn } = console;
+console.log = () => {};
+console.warn = () => {};
+const segments = loadStreetData(FIXTURES);
+console.log = log;
+console.warn = warn;
+
+const segment = id => segments.find(candidate => candidate.id === id);
+
+// Loading
+check('UTM zone 10N converted to lat/lng', round(utmToLatLng(491185.19, 5458756.63), 5), [49.2815, -123.1212]);
+check('incident without a published location skipped', incidents.map(incident => incident.type), [
+  'Theft from Vehicle', 'Break and Enter Commercial', 'Other Theft', 'Other Theft', 'Mischief'
+]);
+check('date and hour read from their columns', [new Date(incidents[2].time).toISOString(), incidents[2].hour], ['2022-06-15T00:00:00.000Z', 22]);
+check('blank hour kept as unknown', incidents[3].hour, null);
+
+// Weights: type severity, halved every 2 years before the newest incident
+const newest = incidents[0].time;
+check('theft counts 1, break and enter 2', [getIncidentWeight(incidents[0], newest), getIncidentWeight(incidents[1], newest)], [1, 2]);
+check('two years older counts half', round(getIncidentWeight(incidents[2], newest)), 0.5);
+
+// Scores: Gamma St's north block has 3 (theft + break and enter); Theta Pl 1.5 (a theft
+// two years older, and one from the newest date). The busiest block scores 10, and the
+// square-root scale puts half its density at about 7.
+check('incidents within ~100m count against a block', [segment('bike_4').scores.crime, segment('bike_9').scores.crime], [10, 7.1]);
+// The Gamma St incidents are ~87m west of its north block and ~103m from the south one
+check('blocks further away score 0', segments.filter(candidate => !['bike_4', 'bike_9'].includes(candidate.id))
+  .map(candidate => candidate.scores.crime), new Array(9).fill(0));
+
+// Hour of day
+check('an incident counts half at its hour and a quarter either side', getIncidentHourWeights(22).slice(20), [0, 0.25, 0.5, 0.25]);
+check('midnight spreads back to 11 PM', [0, 1, 23].map(hour => getIncidentHourWeights(0)[hour]), [0.5, 0.25, 0.25]);
+check('unknown hour spread over the whole day', round(getIncidentHourWeights(null)), new Array(24).fill(round(1 / 24)));
+// Gamma St's incidents were at 3 AM and 10 PM
+const gamma = segment('bike_4').crimeProfile;
+check('block scores high around the hours of its incidents', [2, 3, 4, 21, 22, 23].map(hour => gamma[hour]), [10, 10, 10, 10, 10, 10]);
+check('and lower at quiet hours than over the whole day', [gamma[12], segment('bike_4').scores.crime], [4.1, 10]);
+// Theta Pl had nothing at 3 AM: with so few incidents it leans towards the citywide pattern
+check('few incidents lean towards the citywide hours', [segment('bike_9').crimeProfile[3], segment('bike_9').crimeProfile[12]], [10, 3.8]);
+check('routes score crime at their departure hour', [
+  getEffectiveScores(segment('bike_4'), new Date('2030-07-02T03:00:00-07:00')).crime,
+  getEffectiveScores(segment('bike_4'), new Date('2030-07-02T12:00:00-07:00')).crime
+], [10, 4.1]);
+
+finish();
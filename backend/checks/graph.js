@@ -0,0 +1,54 @@
+// Checks for splitting bikeway segments at intersections when the graph is built, on the
+// small street network in fixtures/: crossings at shared vertices, T-junctions part-way
+// along a block, and piece lengths measured along their lines.
+//
+// Usage: npm run check:graph
+const path = require('path');
+const { check, round, finish } = require('./check');
+const {
+  loadStreetData,
+  buildGraph,
+  getComponentStats,
+  findClosestNode,
+  findFastestPath,
+  getPathSegments
+} = require('../dataProcessor');
+
+const { log, warn } = console;
+console.log = () => {};
+console.warn = () => {};
+const { graph, segments, splitStats } = buildGraph(loadStreetData(path.join(__dirname, 'fixtures')));
+console.log = log;
+console.warn = warn;
+
+const segment = id => segments.find(candidate => candidate.id === id);
+const pieces = parentId => segments.filter(candidate => (candidate.parentId || candidate.id) === parentId);
+const node = point => graph[findClosestNode(point, graph)];
+
+check('split counts', splitStats, { inputSegments: 11, outputSegments: 15, splitSegments: 3, junctions: 10, tJunctions: 2 });
+
+// W Alpha Ave has a vertex where Epsilon St starts
+check('block cut at a vertex shared with a cross street', pieces('bike_0').map(piece => [piece.id, piece.start, piece.end]), [
+  ['bike_0_0', [49.28, -123.12], [49.28, -123.1185]],
+  ['bike_0_1', [49.28, -123.1185], [49.28, -123.117]]
+]);
+// Midway Ave ends on Epsilon St, which has no vertex there
+check('street cut where another ends part-way along it', pieces('bike_6').map(piece => piece.end), [[49.281, -123.1185], [49.282, -123.1185]]);
+// Theta Pl starts half-way up Delta St's first block
+check('T-junction gets its own node', pieces('bike_5').map(piece => piece.end), [[49.2805, -123.117], [49.281, -123.117], [49.282, -123.117]]);
+check('pieces measured along their lines (km)', round(pieces('bike_5').map(piece => piece.length)), [0.056, 0.056, 0.111]);
+check('bent path measured along its line, not end to end', round([segment('bike_10').length, segment('bike_1').length]), [0.156, 0.109]);
+check('pieces keep the block\'s street data', pieces('bike_5').map(piece => [piece.streetName, piece.oneWay]),
+  [['Delta St', 'forward'], ['Delta St', 'forward'], ['Delta St', 'forward']]);
+
+// Graph
+check('one node per junction and dead end', Object.keys(graph).length, 11);
+check('crossing connects all four directions', node([49.281, -123.1185]).neighbors.map(neighbor => neighbor.segment.id).sort(),
+  ['bike_6_0', 'bike_6_1', 'bike_7', 'bike_8']);
+check('T-junction connects three ways', node([49.2805, -123.117]).neighbors.map(neighbor => neighbor.segment.id).sort(),
+  ['bike_5_0', 'bike_5_1', 'bike_9']);
+check('network is one connected piece', getComponentStats(graph).count, 1);
+const fromTheta = findFastestPath(graph, findClosestNode([49.2805, -123.1155], graph), findClosestNode([49.28, -123.117], graph));
+check('routes turn at the T-junction', getPathSegments(fromTheta, graph).map(candidate => candidate.id), ['bike_9', 'bike_5_0']);
+
+finish();
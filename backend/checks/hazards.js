@@ -0,0 +1,66 @@
+// Checks for the per-route hazard lists from getPathHazards on the small street network in
+// fixtures/: closures placed on the closed block with the segments to reroute around, high-crime
+// blocks at the departure hour, dark stretches, user reports fading with age, and travel order.
+//
+// Usage: npm run check:hazards
+process.env.CRIME_MAX_AGE_YEARS = '100'; // The fixture incidents are from 2022 and 2024
+
+const path = require('path');
+const { check, finish } = require('./check');
+const {
+  loadStreetData,
+  buildGraph,
+  findClosestNode,
+  findFastestPath,
+  getPathSegments,
+  getPathHazards,
+  attachReportToSegments
+} = require('../dataProcessor');
+const { validateAvoidances, createAvoidFilter } = require('../avoidances');
+
+const { log, warn } = console;
+console.log = () => {};
+console.warn = () => {};
+const { graph, segments } = buildGraph(loadStreetData(path.join(__dirname, 'fixtures')));
+console.log = log;
+console.warn = warn;
+
+const route = (from, to, avoid = null) => findFastestPath(graph, findClosestNode(from, graph), findClosestNode(to, graph), { avoid });
+const summarize = hazards => hazards.map(hazard => [hazard.type, hazard.startDistance, hazard.length]);
+const ofType = (hazards, type) => hazards.filter(hazard => hazard.type === type);
+
+const NIGHT = new Date('2030-06-15T03:00:00-07:00');
+const NOON = new Date('2030-06-15T12:00:00-07:00');
+const JULY = new Date('2030-07-01T12:00:00-07:00'); // The W Beta Ave closure ended on June 30
+
+// Up Gamma St: closed south block, unlit, and a north block with crime reported in the early hours
+const gamma = route([49.28, -123.12], [49.282, -123.12]);
+const gammaAtNight = getPathHazards(gamma, graph, NIGHT);
+check('hazards in travel order', summarize(gammaAtNight), [['darkStretch', 0.045, 0.177], ['closure', 0.056, 0], ['crime', 0.111, 0.111]]);
+const [gammaClosure] = ofType(gammaAtNight, 'closure');
+check('closure placed at its centre, not the junction before it', [gammaClosure.coordinate, gammaClosure.detail],
+  [[49.2805, -123.12], 'Gamma St from W Alpha Ave to Midway Ave']);
+check('closure names the closed segment', gammaClosure.segmentIds, ['bike_3']);
+check('high-crime block names its street', ofType(gammaAtNight, 'crime')[0].detail, 'Frequent reported crime at this time of day on Gamma St');
+check('no high-crime block at noon', ofType(getPathHazards(gamma, graph, NOON), 'crime'), []);
+
+// Along W Beta Ave's east block, and around its closure on Omega Path beside it
+const betaEast = [[49.282, -123.1185], [49.282, -123.117]];
+const beta = getPathHazards(route(...betaEast), graph, NOON);
+check('closure on the route until it ends', ofType(beta, 'closure').map(hazard => [hazard.startDistance, hazard.coordinate, hazard.segmentIds]),
+  [[0.054, [49.282, -123.11775], ['bike_2']]]);
+check('ended closure not listed', ofType(getPathHazards(route(...betaEast), graph, JULY), 'closure'), []);
+const aroundClosure = route(...betaEast, createAvoidFilter(validateAvoidances({ segments: ofType(beta, 'closure')[0].segmentIds }).avoid));
+check('rerouted around the closed segment only', getPathSegments(aroundClosure, graph).map(segment => segment.id), ['bike_10']);
+check('hazards of the path taken, not the street beside it', getPathHazards(aroundClosure, graph, NOON).map(hazard => [hazard.type, hazard.detail]),
+  [['darkStretch', '156m without street lighting on Omega Path']]);
+
+// A report of dangerous drivers on Theta Pl, 50m from its east end
+attachReportToSegments({ id: 'report_1', type: 'dangerous-drivers', location: { lat: 49.2805, lng: -123.1162 },
+  reportedAt: '2030-06-15T10:00:00-07:00' }, segments);
+const theta = route([49.2805, -123.1155], [49.281, -123.117]);
+check('report placed where it lies', getPathHazards(theta, graph, NOON).map(hazard => [hazard.type, hazard.title, hazard.detail, hazard.startDistance]),
+  [['report', 'Reported dangerous drivers', 'Reported 2 hours ago', 0.051]]);
+check('report faded out after three weeks', getPathHazards(theta, graph, new Date('2030-07-06T12:00:00-07:00')), []);
+
+finish();
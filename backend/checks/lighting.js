@@ -0,0 +1,48 @@
+// Checks for street lighting on the small street network in fixtures/: light scores from
+// pole density along each block, and the dark stretches reported along a route.
+//
+// Usage: npm run check:lighting
+const path = require('path');
+const { check, round, finish } = require('./check');
+const {
+  loadStreetData,
+  buildGraph,
+  findClosestNode,
+  findFastestPath,
+  getPathSegments,
+  getPathDarkStretches
+} = require('../dataProcessor');
+
+const { log, warn } = console;
+console.log = () => {};
+console.warn = () => {};
+const { graph, segments } = buildGraph(loadStreetData(path.join(__dirname, 'fixtures')));
+console.log = log;
+console.warn = warn;
+
+const segment = id => segments.find(candidate => candidate.id === id);
+const route = (from, to) => findFastestPath(graph, findClosestNode(from, graph), findClosestNode(to, graph));
+
+// Scores: poles within 50m per 100m of street (plus 50m past each end), 4 per 100m scoring 10
+// W Alpha Ave: 9 poles over 218m + 100m
+check('score from pole density along the whole street', [segment('bike_0_0').scores.light, segment('bike_0_0').lightPoles.length], [7.1, 9]);
+check('pieces keep the whole street\'s score', segment('bike_0_1').scores.light, 7.1);
+// Theta Pl: 2 poles over 109m + 100m
+check('sparser street scores lower', segment('bike_9').scores.light, 2.4);
+// Gamma St's south block starts 22m and 44m from the first two W Alpha Ave poles
+check('poles near a block\'s end count for it', segment('bike_3').lightPoles.length, 2);
+check('no pole within 50m scores 0, not the default', [segment('bike_1').scores.light, segment('bike_10').scores.light], [0, 0]);
+
+// Dark stretches: the parts of a route over 50m from every pole, kept when at least 100m long
+const alpha = route([49.28, -123.12], [49.28, -123.117]);
+check('fully lit route has no dark stretches', getPathDarkStretches(alpha, graph), []);
+// Midway Ave's only pole is 15m before Delta St: the 153m before its light is dark
+const midway = route([49.281, -123.12], [49.281, -123.117]);
+check('route along Midway Ave', getPathSegments(midway, graph).map(candidate => candidate.id), ['bike_7', 'bike_8']);
+const [dark] = getPathDarkStretches(midway, graph);
+check('dark stretch joined across blocks', [dark.startDistance, dark.length, dark.streetNames], [0, 0.153, ['Midway Ave']]);
+check('dark stretch line ends where the light starts', round(dark.coordinates, 5), [[49.281, -123.12], [49.281, -123.1185], [49.281, -123.11789]]);
+// Theta Pl's first 23m are unlit
+check('short unlit gaps not reported', getPathDarkStretches(route([49.2805, -123.117], [49.2805, -123.1155]), graph), []);
+
+finish();
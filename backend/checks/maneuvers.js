@@ -0,0 +1,96 @@
+// Checks for turn-by-turn maneuvers from getPathManeuvers: turn directions and instructions
+// on the small street network in fixtures/, and the turn types, folded jogs and off-street
+// names on short hand-built paths.
+//
+// Usage: npm run check:maneuvers
+const path = require('path');
+const { check, finish } = require('./check');
+const {
+  loadStreetData,
+  buildGraph,
+  findClosestNode,
+  findFastestPath,
+  getPathManeuvers
+} = require('../dataProcessor');
+
+const { log, warn } = console;
+console.log = () => {};
+console.warn = () => {};
+const { graph } = buildGraph(loadStreetData(path.join(__dirname, 'fixtures')));
+console.log = log;
+console.warn = warn;
+
+const route = (from, to) => findFastestPath(graph, findClosestNode(from, graph), findClosestNode(to, graph));
+const summarize = maneuvers => maneuvers.map(maneuver => [maneuver.type, maneuver.modifier, maneuver.instruction]);
+
+// A path of node IDs along consecutive lines, each { street, route, coords: [[lat, lng], ...] }
+// continuing from where the previous one ended, in a graph of its own
+function buildPath(lines) {
+  const lineGraph = { n0: { coords: lines[0].coords[0], neighbors: [] } };
+  const pathNodeIds = ['n0'];
+  lines.forEach((line, i) => {
+    const from = `n${i}`;
+    const to = `n${i + 1}`;
+    const segment = { id: `line_${i}`, streetName: line.street, routeName: line.route || '', coordinates: line.coords };
+    lineGraph[to] = { coords: line.coords[line.coords.length - 1], neighbors: [] };
+    lineGraph[from].neighbors.push({ node: to, segment, forward: true });
+    pathNodeIds.push(to);
+  });
+  return getPathManeuvers(pathNodeIds, lineGraph);
+}
+// Lines from a point by (north, east) steps in metres
+const M_LAT = 1 / 111320;
+const M_LNG = 1 / 72570;
+function walk(start, ...steps) {
+  const coords = [start];
+  steps.forEach(([north, east]) => {
+    const [lat, lng] = coords[coords.length - 1];
+    coords.push([lat + north * M_LAT, lng + east * M_LNG]);
+  });
+  return coords;
+}
+const end = line => line[line.length - 1];
+
+// On the fixture network: from the east end of Theta Pl to Midway Ave and Epsilon St
+const thetaToMidway = getPathManeuvers(route([49.2805, -123.1155], [49.281, -123.1185]), graph);
+check('depart, turns and arrival', summarize(thetaToMidway), [
+  ['depart', null, 'Head west on Theta Pl'],
+  ['turn', 'right', 'Turn right onto Delta St'],
+  ['turn', 'left', 'Turn left onto Midway Ave'],
+  ['arrive', null, 'Arrive at your destination']
+]);
+check('distances to the next maneuver and from the start (km)', thetaToMidway.map(maneuver => [maneuver.distance, maneuver.startDistance]),
+  [[0.109, 0], [0.056, 0.109], [0.109, 0.164], [0, 0.273]]);
+check('maneuvers placed at the junctions', thetaToMidway.map(maneuver => maneuver.coordinate),
+  [[49.2805, -123.1155], [49.2805, -123.117], [49.281, -123.117], [49.281, -123.1185]]);
+// W Alpha Ave is split where Epsilon St meets it; Gamma St belongs to the Gamma bike route
+check('one step along a street split at a junction', summarize(getPathManeuvers(route([49.28, -123.12], [49.28, -123.117]), graph)),
+  [['depart', null, 'Head east on W Alpha Ave'], ['arrive', null, 'Arrive at your destination']]);
+check('bike route named after the street', summarize(getPathManeuvers(route([49.28, -123.12], [49.282, -123.12]), graph))[0],
+  ['depart', null, 'Head north on Gamma St (Gamma)']);
+
+// Turn types, on hand-built paths heading north on Main St for 200m first
+const main = walk([49.26, -123.1], [200, 0]);
+const turnOnto = (street, steps) => summarize(buildPath([{ street: 'Main St', coords: main }, { street, coords: walk(end(main), ...steps) }]))[1];
+check('under 20 degrees goes straight on', turnOnto('Quebec St', [[200, 30]]), ['continue', 'straight', 'Continue onto Quebec St for 200 m']);
+check('under 45 degrees bears off', turnOnto('Quebec St', [[150, 100]]), ['turn', 'slight right', 'Bear right onto Quebec St']);
+check('from 135 degrees a sharp turn', turnOnto('Quebec St', [[-150, -100]]), ['turn', 'sharp left', 'Sharp left onto Quebec St']);
+check('from 165 degrees a U-turn', turnOnto('Main St', [[-200, 0]]), ['uturn', 'uturn', 'Make a U-turn onto Main St']);
+check('a sharp bend on the same street is its own step', turnOnto('Main St', [[0, 100]]), ['turn', 'right', 'Turn right to stay on Main St']);
+check('a gentle bend on the same street is not', buildPath([{ street: 'Main St', coords: main }, { street: 'Main St', coords: walk(end(main), [150, 60]) }]).length, 2);
+
+// A 10m jog east along E 10th Ave to carry on north on Quebec St is one turn, not two
+const jog = walk(end(main), [0, 10]);
+check('short jog folded into the next turn', summarize(buildPath([
+  { street: 'Main St', coords: main },
+  { street: 'E 10th Ave', coords: jog },
+  { street: 'Quebec St', coords: walk(end(jog), [300, 0]) }
+])).map(([type, , instruction]) => [type, instruction]), [
+  ['depart', 'Head north on Main St'],
+  ['continue', 'Continue onto Quebec St for 300 m'],
+  ['arrive', 'Arrive at your destination']
+]);
+check('off-street path named after its bike route', summarize(buildPath([{ street: 'Off Street', route: 'Seaside Greenway', coords: main }]))[0],
+  ['depart', null, 'Head north on Seaside Greenway']);
+
+finish();
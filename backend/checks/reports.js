@@ -0,0 +1,70 @@
+// Checks for report validation and persistence in reportStore.js, against a throwaway
+// reports file so data/reports.json is never touched.
+//
+// Usage: npm run check:reports
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { check, finish } = require('./check');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-check-'));
+const REPORTS_FILE = path.join(tmpDir, 'reports.json');
+process.env.REPORTS_FILE = REPORTS_FILE;
+const { validateReport, addReport, getReports, parseBbox } = require('../reportStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VALID = { type: 'poor-lighting', location: { lat: 49.2827, lng: -123.1207 }, description: '  Lights out  ' };
+
+function errorsFor(body) {
+  return validateReport(body).errors || [];
+}
+
+async function main() {
+  // Validation
+  const { report } = validateReport(VALID);
+  check('valid report keeps type, location and trimmed description',
+    [report.type, report.location, report.description], ['poor-lighting', { lat: 49.2827, lng: -123.1207 }, 'Lights out']);
+  check('location given as [lat, lng] strings', validateReport({ ...VALID, location: ['49.28', '-123.12'] }).report.location, { lat: 49.28, lng: -123.12 });
+  check('unknown type rejected', errorsFor({ ...VALID, type: 'potholes' }).length, 1);
+  check('location outside Vancouver rejected', errorsFor({ ...VALID, location: { lat: 45.5, lng: -73.6 } }), ['Location must be in Vancouver, BC']);
+  check('missing location rejected', errorsFor({ type: 'poor-lighting' }), ['Missing or invalid location. Expected { lat, lng }']);
+  check('overlong description rejected', errorsFor({ ...VALID, description: 'x'.repeat(501) }), ['Description must be at most 500 characters']);
+  check('non-object body rejected', errorsFor(null), ['Request body must be a JSON object']);
+
+  const twoDaysAgo = new Date(Date.now() - 2 * DAY_MS).toISOString();
+  check('recent offline timestamp kept', validateReport({ ...VALID, timestamp: twoDaysAgo }).report.reportedAt, twoDaysAgo);
+  const future = validateReport({ ...VALID, timestamp: new Date(Date.now() + DAY_MS).toISOString() }).report;
+  check('future timestamp replaced by the arrival time', new Date(future.reportedAt) <= new Date(), true);
+  check('timestamp over 7 days old rejected',
+    errorsFor({ ...VALID, timestamp: new Date(Date.now() - 8 * DAY_MS).toISOString() }), ['Timestamp must be within the last 7 days']);
+
+  // Persistence
+  const first = await addReport(report);
+  const onDisk = () => JSON.parse(fs.readFileSync(REPORTS_FILE, 'utf-8')).map(stored => stored.id);
+  check('added report written to disk', onDisk(), [first.id]);
+
+  // A directory where the temp file goes makes the next write fail
+  fs.mkdirSync(`${REPORTS_FILE}.tmp`);
+  let failed = false;
+  try {
+    await addReport({ ...report, description: 'never stored' });
+  } catch (error) {
+    failed = true;
+  }
+  fs.rmdirSync(`${REPORTS_FILE}.tmp`);
+  check('failed write rejects its caller', failed, true);
+  check('failed report not kept in memory', getReports().map(stored => stored.id), [first.id]);
+
+  const second = await addReport({ ...report, location: { lat: 49.2606, lng: -123.1140 } });
+  check('writes continue after a failed one', onDisk(), [first.id, second.id]);
+
+  // Queries
+  check('bbox filter', getReports({ bbox: parseBbox('49.27,-123.13,49.29,-123.11') }).map(stored => stored.id), [first.id]);
+  check('time window filter', getReports({ since: new Date(Date.now() + DAY_MS) }), []);
+  check('malformed bbox ignored', [parseBbox('49.29,-123.13,49.27,-123.11'), parseBbox('1,2,3')], [null, null]);
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  finish();
+}
+
+main();
@@ -0,0 +1,50 @@
+// Checks for sidewalk condition ratings on the small street network in fixtures/: which
+// sidewalks count as running alongside a block, the overlap-weighted condition, and how
+// walking routes treat streets without a sidewalk.
+//
+// Usage: npm run check:sidewalks
+const path = require('path');
+const { check, finish } = require('./check');
+const {
+  loadStreetData,
+  buildGraph,
+  findClosestNode,
+  createSafestEdgeCost,
+  summarizePathSafety
+} = require('../dataProcessor');
+
+const { log, warn } = console;
+console.log = () => {};
+console.warn = () => {};
+const { graph, segments } = buildGraph(loadStreetData(path.join(__dirname, 'fixtures')));
+console.log = log;
+console.warn = warn;
+
+const segment = id => segments.find(candidate => candidate.id === id);
+const sidewalk = id => [segment(id).sidewalkCondition, segment(id).noSidewalk];
+const NOON = new Date('2030-07-02T12:00:00-07:00');
+
+// Matching: sidewalk lines ~9m beside the centre line, rated Very Good 9, Good 7, Fair 5, Poor 3
+check('sidewalk alongside a block sets its condition', sidewalk('bike_7'), [3, false]);
+// Midway Ave's east block: Poor along all of the north side, Fair along half the south side
+check('condition weighted by the length alongside', sidewalk('bike_8'), [3.7, false]);
+// Midway Ave's north sidewalk crosses Epsilon St, and Gamma St's ends at W Alpha and W Beta Ave
+check('cross streets\' sidewalks don\'t count', [sidewalk('bike_6_0'), sidewalk('bike_0_0'), sidewalk('bike_1')],
+  [[9, false], [null, true], [null, true]]);
+// Theta Pl's nearest sidewalk runs ~35m north of it
+check('sidewalk beyond the 25m buffer doesn\'t count', sidewalk('bike_9'), [null, true]);
+check('off-street path never flagged', sidewalk('bike_10'), [null, false]);
+
+// Scores: a good sidewalk raises infrastructure, a poor one doesn't lower it
+check('infra raised to the sidewalk condition', segment('bike_6_0').scores.infra, 9);
+check('and kept when the sidewalk is worse', [segment('bike_7').scores.infra, segment('bike_3').scores.infra], [4, 9]);
+const betaWest = [findClosestNode([49.282, -123.12], graph), findClosestNode([49.282, -123.1185], graph)];
+const infra = mode => summarizePathSafety(betaWest, graph, NOON, { mode }).components.infra;
+check('no sidewalk: infra 1 on foot, unchanged by bike', [infra('walk'), infra('bike')], [1, 5]);
+
+// Safest walking routes count a street without a sidewalk as three times its length
+const edge = id => graph[findClosestNode(segment(id).start, graph)].neighbors.find(neighbor => neighbor.segment.id === id);
+const costRatio = id => createSafestEdgeCost(NOON, { mode: 'walk' })(edge(id)) / createSafestEdgeCost(NOON, { mode: 'bike' })(edge(id));
+check('walking cost against cycling cost', [costRatio('bike_1'), costRatio('bike_7')], [3, 1]);
+
+finish();
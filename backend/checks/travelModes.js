@@ -0,0 +1,56 @@
+// Checks for walking and cycling travel modes on the small street network in fixtures/:
+// one-way bikeways, and how each mode scores infrastructure.
+//
+// Usage: npm run check:travel-modes
+const path = require('path');
+const { check, finish } = require('./check');
+const {
+  loadStreetData,
+  buildGraph,
+  findClosestNode,
+  findFastestPath,
+  findSafestPath,
+  getPathSegments,
+  summarizePathSafety,
+  getTravelMode,
+  canTraverse
+} = require('../dataProcessor');
+
+const { log, warn } = console;
+console.log = () => {};
+console.warn = () => {};
+const { graph } = buildGraph(loadStreetData(path.join(__dirname, 'fixtures')));
+console.log = log;
+console.warn = warn;
+
+const nodeAt = point => findClosestNode(point, graph);
+const edgeBetween = (from, to) => graph[nodeAt(from)].neighbors.find(neighbor => neighbor.node === nodeAt(to));
+const segmentIds = pathNodeIds => getPathSegments(pathNodeIds, graph).map(segment => segment.id);
+const NOON = new Date('2030-07-02T12:00:00-07:00');
+
+// Modes
+check('modes resolve with their speeds', [getTravelMode('walk').speedKmh, getTravelMode('bike').speedKmh], [5, 15]);
+check('no mode means walking', getTravelMode(undefined).name, 'walk');
+check('unknown mode rejected', getTravelMode('car'), null);
+
+// Delta St is one-way northbound for bikes, drawn south to north
+const deltaNorth = edgeBetween([49.281, -123.117], [49.282, -123.117]);
+const deltaSouth = edgeBetween([49.282, -123.117], [49.281, -123.117]);
+check('one-way direction read from the bound type columns', [deltaNorth.segment.oneWay, deltaNorth.segment.laneDirection], ['forward', 'forward']);
+check('cyclists ride it northbound only', [canTraverse(deltaNorth, 'bike'), canTraverse(deltaSouth, 'bike')], [true, false]);
+check('pedestrians walk it both ways', [canTraverse(deltaNorth, 'walk'), canTraverse(deltaSouth, 'walk')], [true, true]);
+
+const start = nodeAt([49.282, -123.117]);
+const end = nodeAt([49.281, -123.117]);
+check('walking route goes straight down Delta St', segmentIds(findFastestPath(graph, start, end, { mode: 'walk' })), ['bike_5_2']);
+check('cycling route goes around the one-way block', segmentIds(findFastestPath(graph, start, end, { mode: 'bike' })), ['bike_2', 'bike_6_1', 'bike_8']);
+check('safest cycling route never rides against it', segmentIds(findSafestPath(graph, start, end, NOON, { mode: 'bike' })).includes('bike_5_2'), false);
+
+// Infrastructure: walking scores the bikeway type (and sidewalks), cycling its own table
+const midway = [nodeAt([49.281, -123.12]), nodeAt([49.281, -123.1185])];
+const gamma = [nodeAt([49.28, -123.12]), nodeAt([49.281, -123.12])];
+const infra = (pathNodeIds, mode) => summarizePathSafety(pathNodeIds, graph, NOON, { mode }).components.infra;
+check('local street: 4 on foot, 5 by bike', [infra(midway, 'walk'), infra(midway, 'bike')], [4, 5]);
+check('protected bike lane: 9 either way', [infra(gamma, 'walk'), infra(gamma, 'bike')], [9, 9]);
+
+finish();
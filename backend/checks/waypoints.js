@@ -0,0 +1,63 @@
+// Checks for routes through waypoints on the small street network in fixtures/: stops
+// snapped part-way along a block, one path per leg, and the legs joined into one route.
+//
+// Usage: npm run check:waypoints
+const path = require('path');
+const { check, round, finish } = require('./check');
+const {
+  loadStreetData,
+  buildGraph,
+  buildSpatialIndex,
+  findClosestSegmentPoint,
+  insertSnapNodes,
+  findFastestPath,
+  joinLegPaths,
+  getPathDistance,
+  getPathSegments,
+  getPathManeuvers,
+  MAX_WAYPOINTS
+} = require('../dataProcessor');
+
+const { log, warn } = console;
+console.log = () => {};
+console.warn = () => {};
+const { graph, segments, nodeMap } = buildGraph(loadStreetData(path.join(__dirname, 'fixtures')));
+console.log = log;
+console.warn = warn;
+
+const countEdges = () => Object.values(graph).reduce((total, node) => total + node.neighbors.length, 0);
+const nodeCount = Object.keys(graph).length;
+const edgeCount = countEdges();
+
+// Joining
+check('legs share their stop node once', joinLegPaths([['a', 'b'], ['b', 'c', 'd']]), ['a', 'b', 'c', 'd']);
+check('a leg without a route leaves no route', joinLegPaths([['a', 'b'], [], ['c', 'd']]), []);
+check('at most 8 waypoints', MAX_WAYPOINTS, 8);
+
+// Start mid-block on W Alpha Ave, stop 11m off Midway Ave's east block, end at the far end of Theta Pl
+const stops = [[49.28, -123.1192], [49.2811, -123.1178], [49.2805, -123.1155]];
+const spatialIndex = buildSpatialIndex(graph, segments);
+const snaps = stops.map(coord => findClosestSegmentPoint(coord, segments, spatialIndex));
+check('stops snapped onto the nearest block', snaps.map(snap => [snap.segment.id, snap.point]),
+  [['bike_0_0', [49.28, -123.1192]], ['bike_8', [49.281, -123.1178]], ['bike_9', [49.2805, -123.1155]]]);
+
+const snapNodes = insertSnapNodes(graph, nodeMap, snaps);
+const [start, waypoint, end] = snapNodes.nodeIds;
+check('mid-block stops get temporary nodes, a dead end keeps its own', [graph[start].temporary, graph[waypoint].temporary, graph[end].temporary],
+  [true, true, undefined]);
+
+const legs = [findFastestPath(graph, start, waypoint), findFastestPath(graph, waypoint, end)];
+const route = joinLegPaths(legs);
+check('route passes through the waypoint once', route.filter(nodeId => nodeId === waypoint).length, 1);
+check('route along both legs', getPathSegments(route, graph).map(segment => segment.id),
+  ['bike_0_0_part1', 'bike_6_0', 'bike_8_part0', 'bike_8_part1', 'bike_5_1', 'bike_9']);
+check('route distance is the legs\' total', round(getPathDistance(route, graph)),
+  round(getPathDistance(legs[0], graph) + getPathDistance(legs[1], graph)));
+// Each leg gets its own directions; routes.js relabels every arrival but the last as a stop
+check('each leg starts from its own stop', legs.map(leg => getPathManeuvers(leg, graph)[0].instruction),
+  ['Head east on W Alpha Ave', 'Head east on Midway Ave']);
+
+snapNodes.remove();
+check('temporary nodes and edges removed afterwards', [Object.keys(graph).length, countEdges()], [nodeCount, edgeCount]);
+
+finish();
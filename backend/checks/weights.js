@@ -0,0 +1,50 @@
+// Checks for safety weights in safetyWeights.js: parsing the weights query parameter,
+// validating presets and per-factor overrides, and how weights change safety scores.
+//
+// Usage: npm run check:weights
+const { check, round, finish } = require('./check');
+const {
+  DEFAULT_WEIGHTS,
+  parseWeightsParam,
+  validateWeights,
+  normalizeWeights,
+  getWeightPresets
+} = require('../safetyWeights');
+const { getSafetyScore } = require('../dataProcessor');
+
+const errorsFor = input => validateWeights(input).errors || [];
+
+// Parsing
+check('query parameter split into factors', parseWeightsParam('infra:3, light:5'), { infra: '3', light: '5' });
+check('empty parts skipped', parseWeightsParam('crime:1,,'), { crime: '1' });
+
+// Presets and overrides
+check('no preset means balanced', validateWeights({}).profile, { preset: 'balanced', weights: DEFAULT_WEIGHTS });
+check('named preset', validateWeights({ preset: 'well-lit' }).profile.weights, { infra: 1.5, light: 5, amenity: 1.5, crime: 3, disruption: 1 });
+check('overrides fill in from the preset and make it custom', validateWeights({ preset: 'well-lit', weights: { light: '8' } }).profile,
+  { preset: 'custom', weights: { infra: 1.5, light: 8, amenity: 1.5, crime: 3, disruption: 1 } });
+check('presets listed with their ids', getWeightPresets().map(preset => preset.id), ['balanced', 'well-lit', 'avoid-traffic', 'max-infrastructure']);
+
+// Errors
+check('unknown preset rejected', errorsFor({ preset: 'scenic' }), ['Invalid preset. Expected one of: balanced, well-lit, avoid-traffic, max-infrastructure']);
+check('unknown factor rejected', errorsFor({ weights: { noise: '2' } }), ['Unknown weight "noise". Expected: infra, light, amenity, crime, disruption']);
+check('out of range, negative and non-numeric rejected', errorsFor({ weights: { infra: '11', light: '-1', crime: 'high' } }), [
+  'Weight "infra" must be a number from 0 to 10',
+  'Weight "light" must be a number from 0 to 10',
+  'Weight "crime" must be a number from 0 to 10'
+]);
+check('every factor at 0 rejected', errorsFor({ weights: { infra: 0, light: 0, amenity: 0, crime: 0, disruption: 0 } }), ['At least one weight must be above 0']);
+check('a single factor at 0 allowed', validateWeights({ weights: { crime: 0 } }).profile.weights.crime, 0);
+
+// Normalizing keeps the defaults' total (11), so only the balance between factors changes
+const doubled = normalizeWeights({ infra: 5, light: 4, amenity: 3, crime: 6, disruption: 4 });
+check('scaled weights match the defaults', round(Object.values(doubled)), Object.values(DEFAULT_WEIGHTS));
+check('one factor alone takes the whole total', normalizeWeights({ infra: 1, light: 0, amenity: 0, crime: 0, disruption: 0 }).infra, 11);
+
+// Scores: crime and disruption count against safety
+const scores = { infra: 9, light: 2, amenity: 4, crime: 6, disruption: 0 };
+check('default weights', round(getSafetyScore(scores), 2), 5.86);
+check('well-lit priority marks the dark street down', round(getSafetyScore(scores, validateWeights({ preset: 'well-lit' }).profile.weights), 2), 4.29);
+check('infrastructure alone', getSafetyScore(scores, { infra: 1, light: 0, amenity: 0, crime: 0, disruption: 0 }), 9);
+
+finish();
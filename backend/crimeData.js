@@ -0,0 +1,150 @@
+const fs = require('fs');
+const { parse } = require('csv-parse/sync');
+
+// Vancouver Police Department crime data (all neighbourhoods, all years).
+// Columns: TYPE, YEAR, MONTH, DAY, HOUR, MINUTE, HUNDRED_BLOCK, NEIGHBOURHOOD, X, Y
+// X/Y are UTM Zone 10N (NAD83) metres; offences against a person are published
+// without a location (X/Y = 0) and are skipped.
+const CRIME_FILE = 'crimedata_csv_AllNeighbourhoods_AllYears.csv';
+
+// Relative severity of each incident type
+const CRIME_TYPE_WEIGHTS = {
+  'Homicide': 10,
+  'Offence Against a Person': 8,
+  'Vehicle Collision or Pedestrian Struck (with Fatality)': 8,
+  'Vehicle Collision or Pedestrian Struck (with Injury)': 5,
+  'Break and Enter Commercial': 2,
+  'Break and Enter Residential/Other': 2,
+  'Mischief': 2,
+  'Theft of Vehicle': 1.5,
+  'Theft of Bicycle': 1.5,
+  'Theft from Vehicle': 1,
+  'Other Theft': 1
+};
+const DEFAULT_CRIME_TYPE_WEIGHT = 1;
+
+// Incident weight halves every CRIME_HALF_LIFE_YEARS (configurable via env);
+// incidents older than CRIME_MAX_AGE_YEARS are not loaded at all
+const CRIME_HALF_LIFE_YEARS = parseFloat(process.env.CRIME_HALF_LIFE_YEARS) || 2;
+const CRIME_MAX_AGE_YEARS = parseFloat(process.env.CRIME_MAX_AGE_YEARS) || 8;
+
+// Share of an incident counted at its own hour and at each neighbouring hour: reported
+// times are approximate, and single-hour buckets are noisy on quiet blocks
+const HOUR_SMOOTHING = [0.25, 0.5, 0.25];
+
+// Inverse transverse Mercator: UTM easting/northing (metres) to [lat, lng].
+// GRS80/WGS84 ellipsoid - NAD83 and WGS84 differ by well under a metre here.
+function utmToLatLng(easting, northing, zone = 10, northern = true) {
+  const k0 = 0.9996;
+  const a = 6378137;
+  const f = 1 / 298.257223563;
+  const e2 = f * (2 - f);
+  const ep2 = e2 / (1 - e2);
+
+  const x = easting - 500000;
+  const y = northern ? northing : northing - 10000000;
+
+  const M = y / k0;
+  const mu = M / (a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256));
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+  // Footprint latitude
+  const phi1 = mu +
+    (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+    (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+    (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+    (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu);
+
+  const sinPhi1 = Math.sin(phi1);
+  const cosPhi1 = Math.cos(phi1);
+  const tanPhi1 = Math.tan(phi1);
+  const N1 = a / Math.sqrt(1 - e2 * sinPhi1 * sinPhi1);
+  const T1 = tanPhi1 * tanPhi1;
+  const C1 = ep2 * cosPhi1 * cosPhi1;
+  const R1 = a * (1 - e2) / Math.pow(1 - e2 * sinPhi1 * sinPhi1, 1.5);
+  const D = x / (N1 * k0);
+
+  const lat = phi1 - (N1 * tanPhi1 / R1) * (
+    D * D / 2 -
+    (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * Math.pow(D, 4) / 24 +
+    (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * Math.pow(D, 6) / 720
+  );
+  const lngOrigin = (zone * 6 - 183) * Math.PI / 180;
+  const lng = lngOrigin + (
+    D -
+    (1 + 2 * T1 + C1) * Math.pow(D, 3) / 6 +
+    (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * Math.pow(D, 5) / 120
+  ) / cosPhi1;
+
+  return [lat * 180 / Math.PI, lng * 180 / Math.PI];
+}
+
+// How an incident's weight is spread over the 24 local hours (sums to 1).
+// Incidents with no recorded hour are spread evenly.
+const UNKNOWN_HOUR_WEIGHTS = new Array(24).fill(1 / 24);
+const HOUR_WEIGHTS = Array.from({ length: 24 }, (_, hour) => {
+  const weights = new Array(24).fill(0);
+  const offset = Math.floor(HOUR_SMOOTHING.length / 2);
+  HOUR_SMOOTHING.forEach((share, i) => {
+    weights[(hour + i - offset + 24) % 24] += share;
+  });
+  return weights;
+});
+
+function getIncidentHourWeights(hour) {
+  return hour === null ? UNKNOWN_HOUR_WEIGHTS : HOUR_WEIGHTS[hour];
+}
+
+// Weight of one incident: type severity, faded by age relative to `referenceTime` (ms)
+function getIncidentWeight(incident, referenceTime) {
+  const typeWeight = CRIME_TYPE_WEIGHTS[incident.type] || DEFAULT_CRIME_TYPE_WEIGHT;
+  const ageYears = Math.max(0, (referenceTime - incident.time) / (1000 * 60 * 60 * 24 * 365.25));
+  return typeWeight * Math.pow(0.5, ageYears / CRIME_HALF_LIFE_YEARS);
+}
+
+// Load located incidents from the crime CSV at crimePath:
+// [{ type, point: [lat, lng], time (ms), hour (0-23 or null) }]
+function loadCrimeIncidents(crimePath) {
+  const minYear = new Date().getFullYear() - Math.ceil(CRIME_MAX_AGE_YEARS);
+  const content = fs.readFileSync(crimePath, 'utf-8');
+  const incidents = [];
+  parse(content, {
+    columns: true,
+    skip_empty_lines: true,
+    bom: true,
+    relax_column_count: true,
+    trim: true,
+    delimiter: ',',
+    skip_records_with_error: true,
+    // Convert rows as they are parsed and keep nothing else, so the full
+    // multi-year file never sits in memory as row objects
+    on_record: (record) => {
+      const year = parseInt(record.YEAR);
+      const x = parseFloat(record.X);
+      const y = parseFloat(record.Y);
+      if (!year || year < minYear || !(x > 0) || !(y > 0)) return null;
+
+      const month = parseInt(record.MONTH) || 1;
+      const day = parseInt(record.DAY) || 1;
+      const hour = record.HOUR === '' || record.HOUR === undefined ? null : parseInt(record.HOUR);
+      incidents.push({
+        type: record.TYPE,
+        point: utmToLatLng(x, y),
+        time: Date.UTC(year, month - 1, day),
+        hour: Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : null
+      });
+      return null;
+    }
+  });
+
+  return incidents;
+}
+
+module.exports = {
+  CRIME_FILE,
+  CRIME_TYPE_WEIGHTS,
+  utmToLatLng,
+  getIncidentHourWeights,
+  getIncidentWeight,
+  loadCrimeIncidents
+};
@@ -1,17 +1,125 @@
 const fs = require('fs');
 const path = require('path');
 const { parse } = require('csv-parse/sync');
+const { MinHeap } = require('./priorityQueue');
+const { GridIndex } = require('./spatialIndex');
+const { loadNeighborhoods, findNeighborhood } = require('./neighborhoods');
+const { getSolarTimes } = require('./solar');
+const { loadDataSource } = require('./dataSources');
+const { loadCrimeIncidents, getIncidentWeight, getIncidentHourWeights } = require('./crimeData');
+const { DEFAULT_WEIGHTS, normalizeWeights } = require('./safetyWeights');
 
-// Scoring Weights
-const W_INFRASTRUCTURE = 2.5;
-const W_LIGHTING = 2.0;
-const W_AMENITY = 1.5;
-const W_CRIME = -3.0;
-const W_DISRUPTION = -2.0;
+const DATA_DIR = path.join(__dirname, '..', 'data');
 
-// Parse GeoJSON geometry from CSV
-function parseGeometry(geomString) {
-  if (!geomString || typeof geomString !== 'string') return [];
+// Scoring weights come per request (see safetyWeights.js); by day lighting counts this
+// fraction of its weight
+const DAY_LIGHT_WEIGHT_FACTOR = 0.05;
+
+// How each user report type shifts the scores of nearby segments (at full strength)
+const REPORT_EFFECTS = {
+  'poor-lighting': { light: -4 },
+  'broken-sidewalks': { infra: -3 },
+  'construction-zones': { disruption: 5 },
+  'dangerous-drivers': { disruption: 3 },
+  'suspicious-activity': { crime: 2 }
+};
+const REPORT_RADIUS_KM = 0.05; // Reports affect segments within ~50m
+// Report effects halve every REPORT_HALF_LIFE_HOURS (configurable via env)
+const REPORT_HALF_LIFE_HOURS = parseFloat(process.env.REPORT_HALF_LIFE_HOURS) || 72;
+const REPORT_MIN_WEIGHT = 0.01; // Below this a report no longer counts
+// How each report type is named in a route's hazard list
+const REPORT_HAZARD_TITLES = {
+  'poor-lighting': 'Reported poor lighting',
+  'broken-sidewalks': 'Reported broken sidewalk',
+  'construction-zones': 'Reported construction zone',
+  'dangerous-drivers': 'Reported dangerous drivers',
+  'suspicious-activity': 'Reported suspicious activity'
+};
+
+// Road closures (road-ahead CSV)
+const CLOSURE_RADIUS_KM = 0.02; // Closure geometry within ~20m of a segment counts as on it
+const CLOSURE_DISRUPTION = 8; // Disruption score of a segment under an active closure
+
+// Crime incidents (VPD open data)
+const CRIME_RADIUS_KM = 0.1; // Locations are hundred-block approximations; count incidents within ~100m
+const CRIME_MIN_LENGTH_KM = 0.1; // Floor for per-km crime density so tiny segments don't spike
+const CRIME_REFERENCE_PERCENTILE = 0.95; // Density at this percentile scores 10
+// Weighted incidents' worth of the citywide hour-of-day pattern mixed into each segment's
+// own pattern, so a block with a handful of incidents doesn't get spikes at those hours
+const CRIME_HOUR_PRIOR_WEIGHT = 10;
+const DEFAULT_CRIME_SCORE = 3; // Used for every segment when no crime data is available
+const HIGH_CRIME_SCORE = 8; // Segments scoring this at the departure hour are listed as high-crime blocks
+
+// Street lighting
+const LIGHT_RADIUS_KM = 0.05; // A pole lights the street within ~50m of it
+const LIGHT_FULL_DENSITY = 4; // Poles per 100m of street that score a full 10
+const DEFAULT_LIGHT_SCORE = 5; // Used for every segment when no lighting data is available
+const DARK_STRETCH_MIN_KM = 0.1; // Unlit gaps at least this long are reported as dark stretches
+
+// Sidewalk condition ratings, matched to segments by overlap with a buffer around the street
+const SIDEWALK_BUFFER_KM = 0.025; // Sidewalks run beside the centreline; within ~25m counts as alongside
+const SIDEWALK_SAMPLE_KM = 0.01; // Sidewalk lines are measured in steps of at most ~10m
+const SIDEWALK_MIN_PARALLEL = 0.7; // Cosine of the angle to the street; cross streets' sidewalks don't count
+const SIDEWALK_MIN_COVERAGE = 0.1; // Less sidewalk than this share of the segment's length counts as none
+const SIDEWALK_CONDITION_SCORES = { 'Very Good': 9, 'Good': 7, 'Fair': 5, 'Poor': 3 }; // Anything else scores 1
+const NO_SIDEWALK_INFRA = 1; // Walking infrastructure score of a street with no sidewalk
+const NO_SIDEWALK_COST_FACTOR = 3; // Safest walking routes treat sidewalk-less streets as this much longer
+
+// Safe havens (fire halls and other 24-hour places) raise the amenity score nearby
+const SAFE_HAVEN_FULL_KM = 0.2; // Full bonus within this distance of the segment
+const SAFE_HAVEN_RADIUS_KM = 0.8; // Bonus fades to nothing at this distance
+const SAFE_HAVEN_MAX_BONUS = 4; // Added to the segment's own amenity score (capped at 10)
+
+// Travel modes: average speed, and how each bikeway type scores for infrastructure.
+// Walking uses the segment's own infra score (bikeway type + sidewalk condition);
+// cycling scores the bikeway type directly, since sidewalks don't matter on a bike.
+const TRAVEL_MODES = {
+  walk: { speedKmh: 5, bikewayInfra: null },
+  bike: {
+    speedKmh: 15,
+    bikewayInfra: {
+      'Protected Bike Lanes': 9,
+      'Painted Lanes': 6,
+      'Local Street': 5, // Traffic-calmed neighbourhood bikeways
+      'Shared Lanes': 3 // Sharrows, riding in general traffic
+    }
+  }
+};
+const DEFAULT_TRAVEL_MODE = 'walk';
+
+// Alternative routes (penalty method): each route found makes its edges costlier for the next search
+const ALTERNATIVE_PENALTY_FACTOR = 1.4; // Edge cost multiplier per route already using the edge
+const ALTERNATIVE_MIN_DIFFERENCE = 0.2; // At least this share of a route's length must be on other streets
+const ALTERNATIVE_MAX_STRETCH = 1.5; // Alternatives may be at most this much longer than the shortest route
+const ALTERNATIVE_ATTEMPTS_PER_ROUTE = 4; // Searches allowed per alternative asked for
+const MAX_ALTERNATIVES = 5;
+
+// Multi-stop routes
+const MAX_WAYPOINTS = 8; // Stops allowed between start and end
+
+// Turn-by-turn maneuvers
+const MANEUVER_BEARING_KM = 0.02; // Bearings in and out of a junction are measured over ~20m, ignoring kinks at the corner
+const MANEUVER_STRAIGHT_ANGLE = 20; // Smaller changes of direction count as going straight on
+const MANEUVER_SLIGHT_ANGLE = 45; // Up to this is a slight turn; a bend this sharp on the same street gets its own step
+const MANEUVER_SHARP_ANGLE = 135; // From this a turn is sharp...
+const MANEUVER_UTURN_ANGLE = 165; // ...and from this a U-turn
+const MANEUVER_MIN_STEP_KM = 0.015; // Shorter stretches between two turns (a jog across an intersection) are folded into the next turn
+const COMPASS_DIRECTIONS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+// Avoid areas and streets (options.avoid): matching edges cost this many times their usual cost,
+// so routes only use them when there is no reasonable way around
+const AVOID_COST_FACTOR = 20;
+
+// Reference point for sunrise/sunset (downtown Vancouver)
+const VANCOUVER_LAT = 49.28;
+const VANCOUVER_LNG = -123.12;
+
+// Graph construction
+const INTERSECTION_TOLERANCE_KM = 0.005; // Vertices/endpoints within ~5m are treated as the same junction
+
+// Parse a GeoJSON geometry object from a CSV field
+function parseGeoJSON(geomString) {
+  if (!geomString || typeof geomString !== 'string') return null;
   
   try {
     // Handle escaped JSON strings (common in CSV)
@@ -24,18 +132,38 @@ function parseGeometry(geomString) {
     // Unescape double quotes
     cleaned = cleaned.replace(/""/g, '"');
     
-    const geom = JSON.parse(cleaned);
-    if (geom.type === 'LineString' && geom.coordinates) {
-      return geom.coordinates.map(coord => [coord[1], coord[0]]); // Convert [lng, lat] to [lat, lng]
-    } else if (geom.type === 'MultiLineString' && geom.coordinates) {
-      // Flatten MultiLineString into single array
-      return geom.coordinates.flat().map(coord => [coord[1], coord[0]]);
-    }
-    return [];
+    return JSON.parse(cleaned);
   } catch (e) {
     console.warn('Failed to parse geometry:', e.message, geomString?.substring(0, 50));
-    return [];
+    return null;
+  }
+}
+
+// Parse GeoJSON geometry from CSV
+function parseGeometry(geomString) {
+  const geom = parseGeoJSON(geomString);
+  if (!geom) return [];
+  
+  if (geom.type === 'LineString' && geom.coordinates) {
+    return geom.coordinates.map(coord => [coord[1], coord[0]]); // Convert [lng, lat] to [lat, lng]
+  } else if (geom.type === 'MultiLineString' && geom.coordinates) {
+    // Flatten MultiLineString into single array
+    return geom.coordinates.flat().map(coord => [coord[1], coord[0]]);
+  }
+  return [];
+}
+
+// Parse (Multi)LineString geometry into separate [lat, lng] lines (no flattening)
+function parseGeometryLines(geomString) {
+  const geom = parseGeoJSON(geomString);
+  if (!geom || !geom.coordinates) return [];
+  
+  if (geom.type === 'LineString') {
+    return [geom.coordinates.map(coord => [coord[1], coord[0]])];
+  } else if (geom.type === 'MultiLineString') {
+    return geom.coordinates.map(line => line.map(coord => [coord[1], coord[0]]));
   }
+  return [];
 }
 
 // Calculate distance between two coordinates (Haversine formula)
@@ -68,52 +196,510 @@ function findClosestPointOnSegment(point, segmentStart, segmentEnd) {
   return [sx + t * dx, sy + t * dy];
 }
 
+// Closest point on a polyline: { point, index (of the piece coords[index]..coords[index + 1]), distance }
+function closestPointOnPolyline(targetCoord, coords) {
+  let best = { point: coords[0], index: 0, distance: calculateDistance(targetCoord, coords[0]) };
+  for (let i = 0; i < coords.length - 1; i++) {
+    const point = findClosestPointOnSegment(targetCoord, coords[i], coords[i + 1]);
+    const dist = calculateDistance(targetCoord, point);
+    if (dist < best.distance) {
+      best = { point, index: i, distance: dist };
+    }
+  }
+  return best;
+}
+
 // Find closest point in all segments to a given coordinate
-function findClosestSegmentPoint(targetCoord, segments) {
-  let minDistance = Infinity;
-  let closestPoint = null;
+// (uses the segment grid from buildSpatialIndex when given, otherwise scans every segment)
+function findClosestSegmentPoint(targetCoord, segments, spatialIndex = null) {
   let closestSegment = null;
   
-  for (const segment of segments) {
-    const coords = segment.coordinates;
-    for (let i = 0; i < coords.length - 1; i++) {
-      const point = findClosestPointOnSegment(targetCoord, coords[i], coords[i + 1]);
-      const dist = calculateDistance(targetCoord, point);
+  if (spatialIndex) {
+    const nearest = spatialIndex.segments.nearest(
+      targetCoord,
+      segment => closestPointOnPolyline(targetCoord, segment.coordinates).distance
+    );
+    closestSegment = nearest ? nearest.item : null;
+  } else {
+    let minDistance = Infinity;
+    for (const segment of segments) {
+      const dist = closestPointOnPolyline(targetCoord, segment.coordinates).distance;
       if (dist < minDistance) {
         minDistance = dist;
-        closestPoint = point;
         closestSegment = segment;
       }
     }
   }
   
-  return { point: closestPoint, segment: closestSegment, distance: minDistance };
+  if (!closestSegment) {
+    return { point: null, segment: null, distance: Infinity, pieceIndex: -1 };
+  }
+  
+  const closest = closestPointOnPolyline(targetCoord, closestSegment.coordinates);
+  return { point: closest.point, segment: closestSegment, distance: closest.distance, pieceIndex: closest.index };
 }
 
-// Load and parse CSV files
-function loadStreetData() {
-  const dataDir = path.join(__dirname, '..', 'data');
+// Distance (km) from a point to the closest point on a polyline
+function distanceToPolyline(point, coords) {
+  if (coords.length === 1) return calculateDistance(point, coords[0]);
+  let minDistance = Infinity;
+  for (let i = 0; i < coords.length - 1; i++) {
+    const closest = findClosestPointOnSegment(point, coords[i], coords[i + 1]);
+    minDistance = Math.min(minDistance, calculateDistance(point, closest));
+  }
+  return minDistance;
+}
+
+// Point halfway along a polyline (by distance)
+function getPolylineMidpoint(coords) {
+  if (coords.length === 1) return coords[0];
+  const lengths = [];
+  let total = 0;
+  for (let i = 0; i < coords.length - 1; i++) {
+    const length = calculateDistance(coords[i], coords[i + 1]);
+    lengths.push(length);
+    total += length;
+  }
   
-  // Load bikeways - optimized parsing
-  const bikewaysPath = path.join(dataDir, 'bikeways.csv');
-  const bikewaysContent = fs.readFileSync(bikewaysPath, 'utf-8');
-  const bikewaysRecords = parse(bikewaysContent, {
-    columns: true,
-    skip_empty_lines: true,
-    bom: true,
-    relax_column_count: true,
-    relax_quotes: true,
-    quote: '"',
-    escape: '"',
-    delimiter: ';',
-    skip_records_with_error: true
-    // Removed on_record callback for performance - we'll trim when needed
+  let remaining = total / 2;
+  for (let i = 0; i < lengths.length; i++) {
+    if (remaining <= lengths[i] && lengths[i] > 0) {
+      const t = remaining / lengths[i];
+      return [
+        coords[i][0] + (coords[i + 1][0] - coords[i][0]) * t,
+        coords[i][1] + (coords[i + 1][1] - coords[i][1]) * t
+      ];
+    }
+    remaining -= lengths[i];
+  }
+  return coords[coords.length - 1];
+}
+
+// Bounding box of a list of [lat, lng] coordinates
+function getBounds(coords) {
+  let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+  for (const [lat, lng] of coords) {
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+    if (lng < minLng) minLng = lng;
+    if (lng > maxLng) maxLng = lng;
+  }
+  return { minLat, maxLat, minLng, maxLng };
+}
+
+// Cached bounding box of a segment's polyline
+function getSegmentBounds(segment) {
+  if (!segment.bounds) segment.bounds = getBounds(segment.coordinates);
+  return segment.bounds;
+}
+
+function isPointInBounds(point, bounds, margin = 0) {
+  return point[0] >= bounds.minLat - margin && point[0] <= bounds.maxLat + margin &&
+         point[1] >= bounds.minLng - margin && point[1] <= bounds.maxLng + margin;
+}
+
+function boundsIntersect(a, b, margin = 0) {
+  return a.minLat - margin <= b.maxLat && a.maxLat + margin >= b.minLat &&
+         a.minLng - margin <= b.maxLng && a.maxLng + margin >= b.minLng;
+}
+
+// Local calendar date (YYYY-MM-DD) in Vancouver
+function getVancouverDateString(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: 'America/Vancouver' });
+}
+
+// Local hour (0-23) in Vancouver
+const vancouverHourFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'America/Vancouver',
+  hour: 'numeric',
+  hourCycle: 'h23'
+});
+function getVancouverHour(date) {
+  return parseInt(vancouverHourFormat.format(date)) % 24;
+}
+
+// UTC offset of Vancouver local time at `date` in minutes (-420 in PDT, -480 in PST)
+const vancouverOffsetFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/Vancouver',
+  timeZoneName: 'longOffset'
+});
+function getVancouverOffsetMinutes(date) {
+  const name = vancouverOffsetFormat.formatToParts(date).find(part => part.type === 'timeZoneName').value;
+  const match = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+  if (!match) return 0;
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+// `hour`:00 Vancouver time on `date`'s local calendar day, whatever the server's time zone
+function getVancouverDateAtHour(hour, date = new Date()) {
+  const [year, month, day] = getVancouverDateString(date).split('-').map(Number);
+  const localAsUTC = Date.UTC(year, month - 1, day, hour);
+  const estimate = new Date(localAsUTC - getVancouverOffsetMinutes(new Date(localAsUTC)) * 60000);
+  // Take the offset again at the estimate in case a DST change falls in between
+  return new Date(localAsUTC - getVancouverOffsetMinutes(estimate) * 60000);
+}
+
+// Bucket crime incidents onto segments within CRIME_RADIUS_KM and turn the weighted
+// incident density (per km) into 0-10 crime scores: scores.crime over all hours, and
+// segment.crimeProfile, 24 scores indexed by local hour of day.
+// Incidents are weighted by type and faded by age relative to the newest incident.
+// Returns the number of segments with at least one nearby incident.
+function applyCrimeToSegments(incidents, segments) {
+  const grid = new GridIndex();
+  segments.forEach(segment => grid.insertBounds(segment, getSegmentBounds(segment)));
+  
+  const referenceTime = incidents.reduce((latest, incident) => Math.max(latest, incident.time), 0);
+  const latMargin = CRIME_RADIUS_KM / 111.32;
+  const lngMargin = latMargin / Math.cos(49.25 * Math.PI / 180);
+  const totals = new Map(); // segment -> weighted incidents per hour (24)
+  
+  incidents.forEach(incident => {
+    const weight = getIncidentWeight(incident, referenceTime);
+    const hourWeights = getIncidentHourWeights(incident.hour);
+    const [lat, lng] = incident.point;
+    const box = {
+      minLat: lat - latMargin, maxLat: lat + latMargin,
+      minLng: lng - lngMargin, maxLng: lng + lngMargin
+    };
+    
+    grid.query(box).forEach(segment => {
+      // A degree of longitude is shorter than one of latitude, so the box is wider than tall
+      if (!boundsIntersect(box, getSegmentBounds(segment))) return;
+      if (distanceToPolyline(incident.point, segment.coordinates) > CRIME_RADIUS_KM) return;
+      
+      if (!totals.has(segment)) totals.set(segment, new Array(24).fill(0));
+      const hourly = totals.get(segment);
+      for (let hour = 0; hour < 24; hour++) {
+        hourly[hour] += weight * hourWeights[hour];
+      }
+    });
+  });
+  
+  // Citywide share of incidents at each hour
+  const cityHourly = new Array(24).fill(0);
+  totals.forEach(hourly => hourly.forEach((value, hour) => { cityHourly[hour] += value; }));
+  const cityTotal = cityHourly.reduce((sum, value) => sum + value, 0) || 1;
+  const cityShares = cityHourly.map(value => value / cityTotal);
+  
+  // Per-km densities. Each hour's density is the all-hours density times 24x that hour's
+  // share of the segment's incidents, so an hour with an average share scores the same as
+  // the all-hours figure and every score shares one scale: the
+  // CRIME_REFERENCE_PERCENTILE all-hours density scores 10.
+  const densities = new Map(); // segment -> { all, hourly }
+  totals.forEach((hourly, segment) => {
+    const length = Math.max(segment.length, CRIME_MIN_LENGTH_KM);
+    const total = hourly.reduce((sum, value) => sum + value, 0);
+    const all = total / length;
+    densities.set(segment, {
+      all,
+      hourly: hourly.map((value, hour) => {
+        const share = (value + CRIME_HOUR_PRIOR_WEIGHT * cityShares[hour]) / (total + CRIME_HOUR_PRIOR_WEIGHT);
+        return all * share * 24;
+      })
+    });
   });
   
-  // Load sidewalk condition data - optimized
-  const sidewalkPath = path.join(dataDir, 'sidewalk-condition-rating.csv');
-  const sidewalkContent = fs.readFileSync(sidewalkPath, 'utf-8');
-  const sidewalkRecords = parse(sidewalkContent, {
+  const values = Array.from(densities.values(), density => density.all).filter(value => value > 0).sort((a, b) => a - b);
+  const reference = values.length > 0
+    ? values[Math.min(values.length - 1, Math.floor(values.length * CRIME_REFERENCE_PERCENTILE))]
+    : 1;
+  // Square-root scale: spreads out the long tail below the hotspots
+  const toScore = density => Math.round(Math.min(10, 10 * Math.sqrt(density / reference)) * 10) / 10;
+  
+  segments.forEach(segment => {
+    const density = densities.get(segment);
+    segment.scores.crime = density ? toScore(density.all) : 0;
+    segment.crimeProfile = density ? density.hourly.map(toScore) : new Array(24).fill(0);
+  });
+  
+  return totals.size;
+}
+
+// Length of a polyline in km
+function getPolylineLength(coords) {
+  let length = 0;
+  for (let i = 0; i < coords.length - 1; i++) {
+    length += calculateDistance(coords[i], coords[i + 1]);
+  }
+  return length;
+}
+
+// Where `point` projects onto a polyline: { along (km from the first coordinate), distance (km off the line) }
+function projectOntoPolyline(point, coords) {
+  const closest = closestPointOnPolyline(point, coords);
+  let along = 0;
+  for (let i = 0; i < closest.index; i++) {
+    along += calculateDistance(coords[i], coords[i + 1]);
+  }
+  along += calculateDistance(coords[closest.index], closest.point);
+  return { along, distance: closest.distance };
+}
+
+// The part of a polyline between two positions (km along it)
+function slicePolyline(coords, from, to) {
+  const result = [];
+  let travelled = 0;
+  for (let i = 0; i < coords.length - 1; i++) {
+    const length = calculateDistance(coords[i], coords[i + 1]);
+    const pointAt = distance => {
+      const t = length > 0 ? Math.max(0, Math.min(1, (distance - travelled) / length)) : 0;
+      return [
+        coords[i][0] + (coords[i + 1][0] - coords[i][0]) * t,
+        coords[i][1] + (coords[i + 1][1] - coords[i][1]) * t
+      ];
+    };
+    if (result.length === 0 && from <= travelled + length) result.push(pointAt(from));
+    if (result.length > 0) {
+      if (to <= travelled + length) {
+        result.push(pointAt(to));
+        return result;
+      }
+      result.push(coords[i + 1]);
+    }
+    travelled += length;
+  }
+  return result.length > 0 ? result : [coords[coords.length - 1]];
+}
+
+// Score lighting from street light poles ([lat, lng]) along each segment's full line.
+// Poles within LIGHT_RADIUS_KM of the line count; the score is their density per 100m
+// (over the line plus the lit reach past each end), LIGHT_FULL_DENSITY scoring 10.
+// Keeps the poles on segment.lightPoles for finding dark stretches later.
+// Returns the number of segments with at least one pole.
+function applyLightingToSegments(poles, segments) {
+  const grid = new GridIndex();
+  poles.forEach(pole => grid.insertPoint(pole, pole));
+  
+  const latMargin = LIGHT_RADIUS_KM / 111.32;
+  let litSegments = 0;
+  
+  segments.forEach(segment => {
+    const bounds = getSegmentBounds(segment);
+    const lngMargin = latMargin / Math.cos(bounds.minLat * Math.PI / 180);
+    // Query every cell the padded box touches, so poles just across a cell edge count too
+    const nearby = grid.query({
+      minLat: bounds.minLat - latMargin, maxLat: bounds.maxLat + latMargin,
+      minLng: bounds.minLng - lngMargin, maxLng: bounds.maxLng + lngMargin
+    });
+    
+    segment.lightPoles = [];
+    nearby.forEach(pole => {
+      if (distanceToPolyline(pole, segment.coordinates) <= LIGHT_RADIUS_KM) segment.lightPoles.push(pole);
+    });
+    
+    const windowKm = getPolylineLength(segment.coordinates) + 2 * LIGHT_RADIUS_KM;
+    const polesPer100m = segment.lightPoles.length / (windowKm / 0.1);
+    segment.scores.light = Math.round(Math.min(10, 10 * polesPer100m / LIGHT_FULL_DENSITY) * 10) / 10;
+    if (segment.lightPoles.length > 0) litSegments++;
+  });
+  
+  return litSegments;
+}
+
+// Unlit intervals along a line [{ from, to }] (km along coords): parts further than
+// LIGHT_RADIUS_KM from every pole in `poles`
+function getDarkIntervals(coords, poles) {
+  const length = getPolylineLength(coords);
+  const lit = [];
+  poles.forEach(pole => {
+    const { along, distance } = projectOntoPolyline(pole, coords);
+    if (distance > LIGHT_RADIUS_KM) return;
+    const reach = Math.sqrt(LIGHT_RADIUS_KM * LIGHT_RADIUS_KM - distance * distance);
+    lit.push([along - reach, along + reach]);
+  });
+  lit.sort((a, b) => a[0] - b[0]);
+  
+  const dark = [];
+  let cursor = 0;
+  lit.forEach(([from, to]) => {
+    if (from > cursor) dark.push({ from: cursor, to: Math.min(from, length) });
+    cursor = Math.max(cursor, to);
+  });
+  if (cursor < length) dark.push({ from: cursor, to: length });
+  return dark.filter(interval => interval.to - interval.from > 1e-6);
+}
+
+// Match sidewalk lines ({ coordinates, score, bounds }) to segments. A sidewalk counts for
+// the length of it that runs within SIDEWALK_BUFFER_KM of the segment, roughly parallel and
+// beside it (not past either end). Sets segment.sidewalkCondition to the overlap-length-weighted
+// condition score and raises infra to it if higher; on-street segments with (almost) no
+// sidewalk get segment.noSidewalk. Returns { matched, withoutSidewalk } segment counts.
+function applySidewalksToSegments(sidewalks, segments) {
+  const grid = new GridIndex();
+  sidewalks.forEach(sidewalk => grid.insertBounds(sidewalk, sidewalk.bounds));
+  
+  const latMargin = SIDEWALK_BUFFER_KM / 111.32;
+  let matched = 0;
+  let withoutSidewalk = 0;
+  
+  segments.forEach(segment => {
+    const coords = segment.coordinates;
+    const last = coords.length - 1;
+    const bounds = getSegmentBounds(segment);
+    const cosLat = Math.cos(bounds.minLat * Math.PI / 180);
+    const lngMargin = latMargin / cosLat;
+    const nearby = grid.query({
+      minLat: bounds.minLat - latMargin, maxLat: bounds.maxLat + latMargin,
+      minLng: bounds.minLng - lngMargin, maxLng: bounds.maxLng + lngMargin
+    });
+    // Unit direction of a piece on a local flat projection
+    const direction = (a, b) => {
+      const dx = (b[1] - a[1]) * cosLat;
+      const dy = b[0] - a[0];
+      const norm = Math.hypot(dx, dy);
+      return norm > 0 ? [dx / norm, dy / norm] : [0, 0];
+    };
+    
+    let overlap = 0;
+    let weightedScore = 0;
+    nearby.forEach(sidewalk => {
+      const line = sidewalk.coordinates;
+      for (let i = 0; i < line.length - 1; i++) {
+        const pieceLength = calculateDistance(line[i], line[i + 1]);
+        if (pieceLength === 0) continue;
+        const [sx, sy] = direction(line[i], line[i + 1]);
+        const steps = Math.ceil(pieceLength / SIDEWALK_SAMPLE_KM);
+        for (let step = 0; step < steps; step++) {
+          const t = (step + 0.5) / steps;
+          const sample = [
+            line[i][0] + (line[i + 1][0] - line[i][0]) * t,
+            line[i][1] + (line[i + 1][1] - line[i][1]) * t
+          ];
+          const closest = closestPointOnPolyline(sample, coords);
+          if (closest.distance > SIDEWALK_BUFFER_KM) continue;
+          // Samples beyond either end of the segment belong to the next block
+          if (calculateDistance(closest.point, coords[0]) < 1e-6 || calculateDistance(closest.point, coords[last]) < 1e-6) continue;
+          const [dx, dy] = direction(coords[closest.index], coords[closest.index + 1]);
+          if (Math.abs(sx * dx + sy * dy) < SIDEWALK_MIN_PARALLEL) continue;
+          overlap += pieceLength / steps;
+          weightedScore += sidewalk.score * pieceLength / steps;
+        }
+      }
+    });
+    
+    const length = Math.max(getPolylineLength(coords), 0.001);
+    if (overlap >= SIDEWALK_MIN_COVERAGE * length) {
+      segment.sidewalkCondition = Math.round(weightedScore / overlap * 10) / 10;
+      segment.scores.infra = Math.max(segment.scores.infra, segment.sidewalkCondition);
+      matched++;
+    } else if (!segment.offStreet) {
+      segment.noSidewalk = true;
+      withoutSidewalk++;
+    }
+  });
+  
+  return { matched, withoutSidewalk };
+}
+
+// Raise each segment's amenity score by its distance to the nearest safe haven: the full
+// SAFE_HAVEN_MAX_BONUS within SAFE_HAVEN_FULL_KM, fading out at SAFE_HAVEN_RADIUS_KM.
+// Sets segment.nearestSafeHaven { id, distance } and returns the number of segments boosted.
+function applySafeHavensToSegments(havens, segments) {
+  const grid = new GridIndex();
+  havens.forEach(haven => grid.insertPoint(haven, haven.point));
+  
+  const latMargin = SAFE_HAVEN_RADIUS_KM / 111.32;
+  let boosted = 0;
+  
+  segments.forEach(segment => {
+    // Keep the amenity score from the data so havens can be re-applied
+    if (segment.baseAmenity === undefined) segment.baseAmenity = segment.scores.amenity;
+    segment.scores.amenity = segment.baseAmenity;
+    segment.nearestSafeHaven = null;
+    
+    const bounds = getSegmentBounds(segment);
+    const lngMargin = latMargin / Math.cos(bounds.minLat * Math.PI / 180);
+    const nearby = grid.query({
+      minLat: bounds.minLat - latMargin, maxLat: bounds.maxLat + latMargin,
+      minLng: bounds.minLng - lngMargin, maxLng: bounds.maxLng + lngMargin
+    });
+    
+    nearby.forEach(haven => {
+      const distance = distanceToPolyline(haven.point, segment.coordinates);
+      if (distance <= SAFE_HAVEN_RADIUS_KM &&
+          (!segment.nearestSafeHaven || distance < segment.nearestSafeHaven.distance)) {
+        segment.nearestSafeHaven = { id: haven.id, distance };
+      }
+    });
+    
+    if (segment.nearestSafeHaven) {
+      const { distance } = segment.nearestSafeHaven;
+      const strength = Math.min(1, (SAFE_HAVEN_RADIUS_KM - distance) / (SAFE_HAVEN_RADIUS_KM - SAFE_HAVEN_FULL_KM));
+      const amenity = Math.min(10, segment.baseAmenity + SAFE_HAVEN_MAX_BONUS * strength);
+      segment.scores.amenity = Math.round(amenity * 10) / 10;
+      boosted++;
+    }
+  });
+  
+  return boosted;
+}
+
+// Direction of a one-way bikeway relative to its geometry ('forward' = first to last
+// coordinate). The open-data CSV gives the side the lane is on via the W/N and E/S
+// bound type columns; if both or neither are set the direction is unknown (null).
+// Returns { laneDirection, oneWay } - oneWay is only set when cyclists may not ride
+// the other way at all (one-way for vehicles too, or an off-street one-way path).
+function getBikewayDirection(record, coords) {
+  const bikewayDirection = (record['Bikeway direction'] || '').trim();
+  const vehicleDirection = (record['Vehicle direction'] || '').trim();
+  if (bikewayDirection !== 'OW') return { laneDirection: null, oneWay: null };
+
+  const westNorth = !!(record['W/N bound type'] || '').trim();
+  const eastSouth = !!(record['E/S bound type'] || '').trim();
+  if (westNorth === eastSouth) return { laneDirection: null, oneWay: null };
+
+  const start = coords[0];
+  const end = coords[coords.length - 1];
+  const forwardIsWestNorth = (record['Overall direction'] || '').trim() === 'NS'
+    ? end[0] > start[0]
+    : end[1] < start[1];
+  const laneDirection = westNorth === forwardIsWestNorth ? 'forward' : 'backward';
+  const oneWay = vehicleDirection === 'OW' || vehicleDirection === 'Off Street' ? laneDirection : null;
+
+  return { laneDirection, oneWay };
+}
+
+// Resolve a travel mode name ('walk' | 'bike', default walk), or null if unknown
+function getTravelMode(mode) {
+  const name = mode || DEFAULT_TRAVEL_MODE;
+  if (!Object.prototype.hasOwnProperty.call(TRAVEL_MODES, name)) return null;
+  return { name, ...TRAVEL_MODES[name] };
+}
+
+// Whether a graph edge can be travelled in `mode`: cyclists must respect one-way bikeways,
+// pedestrians can walk either way
+function canTraverse(neighbor, mode = DEFAULT_TRAVEL_MODE) {
+  const oneWay = neighbor.segment.oneWay;
+  if (mode !== 'bike' || !oneWay) return true;
+  return (oneWay === 'forward') === (neighbor.forward !== false);
+}
+
+// Bikeway type as experienced when travelling an edge: riding against a one-way lane
+// on a two-way street means riding in general traffic
+function getTraversalBikewayType(neighbor) {
+  const segment = neighbor.segment;
+  if (segment.laneDirection && (segment.laneDirection === 'forward') !== (neighbor.forward !== false)) {
+    return 'Shared Lanes';
+  }
+  return segment.bikewayType;
+}
+
+// Infrastructure score of an edge for a travel mode resolved by getTravelMode()
+// (scores = effective segment scores)
+function getModeInfraScore(neighbor, scores, travelMode) {
+  if (!travelMode.bikewayInfra) {
+    return neighbor.segment.noSidewalk ? Math.min(scores.infra, NO_SIDEWALK_INFRA) : scores.infra;
+  }
+  const bikewayInfra = travelMode.bikewayInfra;
+  const score = bikewayInfra[getTraversalBikewayType(neighbor)];
+  return score !== undefined ? score : scores.infra;
+}
+
+// Load road closures from the road-ahead CSV
+function loadClosures(closuresPath) {
+  const closuresContent = fs.readFileSync(closuresPath, 'utf-8');
+  const closureRecords = parse(closuresContent, {
     columns: true,
     skip_empty_lines: true,
     bom: true,
@@ -125,10 +711,78 @@ function loadStreetData() {
     skip_records_with_error: true
   });
   
-  // Load street lighting - optimized
-  const lightingPath = path.join(dataDir, 'street-lighting-poles.csv');
-  const lightingContent = fs.readFileSync(lightingPath, 'utf-8');
-  const lightingRecords = parse(lightingContent, {
+  const closures = [];
+  closureRecords.forEach((record, index) => {
+    const lines = parseGeometryLines(record.Geom).filter(line => line.length > 0);
+    if (lines.length === 0) return;
+    
+    const points = lines.flat();
+    const [centerLat, centerLng] = (record.geo_point_2d || '').split(',').map(v => parseFloat(v));
+    const compDate = (record.COMP_DATE || '').trim();
+    
+    closures.push({
+      id: `closure_${index}`,
+      project: (record.PROJECT || '').trim(),
+      street: (record.STREET || '').trim(),
+      location: (record.LOCATION || '').trim(),
+      // No completion date means the closure is treated as ongoing
+      completionDate: /^\d{4}-\d{2}-\d{2}$/.test(compDate) ? compDate : null,
+      url: (record.URL_LINK || '').trim(),
+      lines,
+      center: !isNaN(centerLat) && !isNaN(centerLng) ? [centerLat, centerLng] : points[Math.floor(points.length / 2)],
+      bounds: getBounds(points)
+    });
+  });
+  
+  return closures;
+}
+
+// Attach each closure to the bikeway segments it runs along.
+// A segment is affected if most of it lies along the closure, or the whole
+// closure lies along the segment (short closures on long blocks).
+function applyClosuresToSegments(closures, segments) {
+  let affected = 0;
+  
+  segments.forEach(segment => {
+    const segmentBounds = getSegmentBounds(segment);
+    const coords = segment.coordinates;
+    
+    // Sample the segment at its vertices and the midpoints between them
+    const samples = [coords[0]];
+    for (let i = 1; i < coords.length; i++) {
+      samples.push([(coords[i - 1][0] + coords[i][0]) / 2, (coords[i - 1][1] + coords[i][1]) / 2]);
+      samples.push(coords[i]);
+    }
+    
+    closures.forEach(closure => {
+      if (!boundsIntersect(segmentBounds, closure.bounds, 0.0005)) return;
+      
+      const nearClosure = (point) => closure.lines.some(line => distanceToPolyline(point, line) <= CLOSURE_RADIUS_KM);
+      const segmentAlongClosure = samples.filter(nearClosure).length / samples.length >= 0.5;
+      const closureAlongSegment = closure.lines.some(line =>
+        line.every(point => distanceToPolyline(point, coords) <= CLOSURE_RADIUS_KM));
+      
+      if (segmentAlongClosure || closureAlongSegment) {
+        if (!segment.closures) segment.closures = [];
+        segment.closures.push(closure);
+      }
+    });
+    
+    if (segment.closures) affected++;
+  });
+  
+  return affected;
+}
+
+// Closures count until the end of their completion date (Vancouver time)
+function isClosureActive(closure, date) {
+  return !closure.completionDate || closure.completionDate >= getVancouverDateString(date);
+}
+
+// Load and parse CSV files
+// Semicolon-separated City of Vancouver open data export
+function parseOpenDataCsv(filePath) {
+  return parse(fs.readFileSync(filePath, 'utf-8'), {
     columns: true,
     skip_empty_lines: true,
     bom: true,
@@ -139,6 +793,15 @@ function loadStreetData() {
     delimiter: ';',
     skip_records_with_error: true
   });
+}
+
+// Build scored segments from the data layers in data/. Only bikeways.csv is required;
+// each optional layer that is missing or unreadable is skipped (see dataSources.js) and
+// its score keeps a neutral default.
+function loadStreetData(dataDir = DATA_DIR) {
+  const bikewaysRecords = loadDataSource(dataDir, 'bikeways', parseOpenDataCsv);
+  const sidewalkRecords = loadDataSource(dataDir, 'sidewalks', parseOpenDataCsv);
+  const lightingRecords = loadDataSource(dataDir, 'lighting', parseOpenDataCsv);
   
   // Process bikeways into segments
   const segments = [];
@@ -153,12 +816,18 @@ function loadStreetData() {
     if (coords.length < 2) return;
     
     const bikewayType = (record['Bikeway type'] || '').trim();
+    const { laneDirection, oneWay } = getBikewayDirection(record, coords);
+    const offStreet = (record['Vehicle direction'] || '').trim() === 'Off Street';
     const segmentId = `bike_${index}`;
     const segment = {
       id: segmentId,
       coordinates: coords,
       streetName: (record['Street name'] || record['Bike route name'] || '').trim(),
+      routeName: (record['Bike route name'] || '').trim(), // Named bike route the segment is part of, if any
       bikewayType: bikewayType,
+      laneDirection: laneDirection, // One-way bike lane direction along coordinates (null = both ways)
+      oneWay: oneWay, // Direction cyclists are restricted to (null = both ways)
+      offStreet: offStreet, // Off-street path, walkable without a sidewalk
       speedLimit: parseInt(record['Speed limit']) || 30,
       length: parseFloat(record['Segment length']) || calculateDistance(coords[0], coords[coords.length - 1]),
       start: coords[0],
@@ -167,52 +836,38 @@ function loadStreetData() {
       scores: {
         infra: bikewayType === 'Protected Bike Lanes' ? 9 : 
                bikewayType === 'Painted Lanes' ? 6 : 4,
-        light: 5, // Will be enhanced with lighting data
-        crime: 3, // Default
+        light: DEFAULT_LIGHT_SCORE, // Replaced from street lighting data below when available
+        crime: DEFAULT_CRIME_SCORE, // Replaced from crime data below when available
         disruption: 0,
         amenity: (record['AAA Network'] || '').trim() === 'YES' ? 8 : 4
-      }
+      },
+      sidewalkCondition: null, // Set from the sidewalk condition ratings below
+      noSidewalk: false, // True when sidewalk data is loaded and none runs along this street
+      neighborhood: null // Set from the neighbourhood boundaries below
     };
     
     segments.push(segment);
     segmentMap.set(segmentId, segment);
   });
   
-  // Enhance with sidewalk condition data - optimized with spatial indexing
-  const sidewalkMap = new Map(); // Cache condition scores by approximate location
-  sidewalkRecords.forEach((record) => {
-    const geomField = record.Geom || record['Geom'];
-    if (!geomField) return;
-    
-    const coords = parseGeometry(geomField);
-    if (coords.length < 2) return;
-    
-    const condition = (record['Sidewalk Condition Index Rating'] || '').trim();
-    const conditionScore = condition === 'Very Good' ? 9 :
-                          condition === 'Good' ? 7 :
-                          condition === 'Fair' ? 5 :
-                          condition === 'Poor' ? 3 : 1;
-    
-    // Store condition for nearby segments (round to 0.001 for spatial hashing)
-    const key1 = `${Math.round(coords[0][0] * 1000)},${Math.round(coords[0][1] * 1000)}`;
-    const key2 = `${Math.round(coords[coords.length - 1][0] * 1000)},${Math.round(coords[coords.length - 1][1] * 1000)}`;
-    sidewalkMap.set(key1, conditionScore);
-    sidewalkMap.set(key2, conditionScore);
-  });
-  
-  // Apply sidewalk conditions to segments
-  segments.forEach(seg => {
-    const key1 = `${Math.round(seg.start[0] * 1000)},${Math.round(seg.start[1] * 1000)}`;
-    const key2 = `${Math.round(seg.end[0] * 1000)},${Math.round(seg.end[1] * 1000)}`;
-    const score1 = sidewalkMap.get(key1);
-    const score2 = sidewalkMap.get(key2);
-    if (score1) seg.scores.infra = Math.max(seg.scores.infra, score1);
-    if (score2) seg.scores.infra = Math.max(seg.scores.infra, score2);
-  });
+  // Sidewalk condition ratings, matched to segments by geometry
+  if (sidewalkRecords) {
+    const sidewalks = [];
+    sidewalkRecords.forEach(record => {
+      const condition = (record['Sidewalk Condition Index Rating'] || '').trim();
+      const score = SIDEWALK_CONDITION_SCORES[condition] || 1;
+      parseGeometryLines(record.Geom).forEach(line => {
+        if (line.length < 2) return;
+        sidewalks.push({ coordinates: line, score, bounds: getBounds(line) });
+      });
+    });
+    const { matched, withoutSidewalk } = applySidewalksToSegments(sidewalks, segments);
+    console.log(`Matched ${sidewalks.length} sidewalk lines to ${matched} segments (${withoutSidewalk} on-street segments without a sidewalk)`);
+  }
   
-  // Enhance with lighting data - optimized with spatial grid
-  const lightingGrid = new Map(); // Spatial grid for faster lookup
-  lightingRecords.forEach(record => {
+  // Street lighting poles, indexed for lookups along each segment
+  const lightPoles = [];
+  (lightingRecords || []).forEach(record => {
     try {
       const geomStr = record.Geom || record['Geom'];
       if (!geomStr) return;
@@ -224,46 +879,252 @@ function loadStreetData() {
       cleaned = cleaned.replace(/""/g, '"');
       const geom = JSON.parse(cleaned);
       if (geom.type === 'Point' && geom.coordinates) {
-        const point = [geom.coordinates[1], geom.coordinates[0]]; // [lat, lng]
-        // Add to spatial grid (round to 0.01 for ~1km grid cells)
-        const gridKey = `${Math.round(point[0] * 100)},${Math.round(point[1] * 100)}`;
-        if (!lightingGrid.has(gridKey)) {
-          lightingGrid.set(gridKey, []);
-        }
-        lightingGrid.get(gridKey).push(point);
+        lightPoles.push([geom.coordinates[1], geom.coordinates[0]]); // [lat, lng]
       }
     } catch (e) {
       // Skip invalid records
     }
   });
   
-  // Count nearby lights for each segment using grid lookup
-  segments.forEach(seg => {
-    let lightCount = 0;
-    const gridKey = `${Math.round(seg.start[0] * 100)},${Math.round(seg.start[1] * 100)}`;
-    const nearbyLights = lightingGrid.get(gridKey) || [];
-    nearbyLights.forEach(lightPoint => {
-      const dist = calculateDistance(seg.start, lightPoint);
-      if (dist < 0.05) { // Within ~50m
-        lightCount++;
+  // Score crime from VPD incidents near each segment
+  const crimeIncidents = loadDataSource(dataDir, 'crime', loadCrimeIncidents, {
+    latest: incidents => incidents.length > 0
+      ? new Date(incidents.reduce((latest, incident) => Math.max(latest, incident.time), 0))
+      : null
+  });
+  if (crimeIncidents) {
+    const crimeSegments = applyCrimeToSegments(crimeIncidents, segments);
+    console.log(`Matched ${crimeIncidents.length} crime incidents to ${crimeSegments} segments`);
+  } else {
+    console.warn(`No crime data; using a default crime score of ${DEFAULT_CRIME_SCORE}`);
+  }
+
+  // Tag each segment with the neighbourhood its midpoint falls in. Without the boundary
+  // file segments keep no neighbourhood, and routes are described without them.
+  const neighborhoods = loadDataSource(dataDir, 'neighborhoods', loadNeighborhoods) || [];
+  if (neighborhoods.length > 0) {
+    let taggedSegments = 0;
+    segments.forEach(seg => {
+      seg.neighborhood = findNeighborhood(getPolylineMidpoint(seg.coordinates), neighborhoods);
+      if (seg.neighborhood) taggedSegments++;
+    });
+    console.log(`Matched ${taggedSegments} segments to ${neighborhoods.length} neighbourhoods`);
+  }
+
+  // Mark segments affected by road closures (active-or-not is decided per departure date)
+  const closures = loadDataSource(dataDir, 'closures', loadClosures) || [];
+  const closedSegments = applyClosuresToSegments(closures, segments);
+  console.log(`Matched ${closures.length} road closures to ${closedSegments} segments`);
+  
+  // Score lighting from pole density along each segment's whole line
+  if (lightingRecords) {
+    const litSegments = applyLightingToSegments(lightPoles, segments);
+    console.log(`Matched ${lightPoles.length} street lights to ${litSegments} segments`);
+  } else {
+    console.warn(`No street lighting data; using a default lighting score of ${DEFAULT_LIGHT_SCORE}`);
+  }
+  
+  return segments;
+}
+
+// Node map key for a coordinate
+function getNodeKey(coord) {
+  return `${coord[0].toFixed(6)},${coord[1].toFixed(6)}`;
+}
+
+// Split segments wherever they meet another segment, so crossings and T-junctions
+// become graph nodes rather than just each segment's first and last coordinate.
+// - Vertices within toleranceKm of each other are merged into one junction point
+// - An endpoint within toleranceKm of another segment's interior is inserted into it
+// - Segments are cut at every interior vertex shared with another segment
+// Returns { segments, stats }; unsplit segments are passed through unchanged.
+function splitSegmentsAtIntersections(segments, toleranceKm = INTERSECTION_TOLERANCE_KM) {
+  const toleranceDeg = toleranceKm / 111.32;
+  const clusterGrid = new GridIndex(0.0005);
+  const clusters = [];
+  
+  // Junction point for a coordinate: an existing cluster within tolerance, or a new one
+  const getCluster = (coord) => {
+    const nearest = clusterGrid.nearest(coord, cluster => calculateDistance(coord, cluster.point), 1);
+    if (nearest && nearest.distance <= toleranceKm) return nearest.item;
+    const cluster = { point: coord, segments: new Set() };
+    clusters.push(cluster);
+    clusterGrid.insertPoint(cluster, coord);
+    return cluster;
+  };
+  
+  // Endpoints first, so junction points sit on real segment ends where possible
+  const vertices = segments.map(segment => segment.coordinates.map(coord => ({ coord, cluster: null })));
+  segments.forEach((segment, s) => {
+    const list = vertices[s];
+    [list[0], list[list.length - 1]].forEach(vertex => {
+      vertex.cluster = getCluster(vertex.coord);
+      vertex.cluster.segments.add(segment);
+    });
+  });
+  segments.forEach((segment, s) => {
+    vertices[s].forEach(vertex => {
+      if (!vertex.cluster) {
+        vertex.cluster = getCluster(vertex.coord);
+        vertex.cluster.segments.add(segment);
       }
     });
-    seg.scores.light = Math.min(10, 5 + lightCount); // Boost lighting score
   });
   
-  return segments;
+  // T-junctions: endpoints that touch another segment between its vertices
+  const segmentGrid = new GridIndex();
+  segments.forEach(segment => segmentGrid.insertBounds(segment, getSegmentBounds(segment)));
+  const segmentIndex = new Map(segments.map((segment, s) => [segment, s]));
+  const insertions = new Map(); // segment index -> [{ index, point, cluster }]
+  let tJunctions = 0;
+  
+  const endpointClusters = new Set();
+  vertices.forEach(list => {
+    endpointClusters.add(list[0].cluster);
+    endpointClusters.add(list[list.length - 1].cluster);
+  });
+  endpointClusters.forEach(cluster => {
+    const [lat, lng] = cluster.point;
+    const nearby = segmentGrid.query({
+      minLat: lat - toleranceDeg, maxLat: lat + toleranceDeg,
+      minLng: lng - toleranceDeg * 2, maxLng: lng + toleranceDeg * 2
+    });
+    nearby.forEach(other => {
+      if (cluster.segments.has(other)) return;
+      if (!isPointInBounds(cluster.point, getSegmentBounds(other), toleranceDeg * 2)) return;
+      const closest = closestPointOnPolyline(cluster.point, other.coordinates);
+      if (closest.distance > toleranceKm) return;
+      
+      const s = segmentIndex.get(other);
+      if (!insertions.has(s)) insertions.set(s, []);
+      insertions.get(s).push({ index: closest.index, point: closest.point, cluster });
+      cluster.segments.add(other);
+      tJunctions++;
+    });
+  });
+  
+  insertions.forEach((list, s) => {
+    const original = vertices[s];
+    const merged = [];
+    original.forEach((vertex, i) => {
+      merged.push(vertex);
+      list.filter(insertion => insertion.index === i)
+        .sort((a, b) => calculateDistance(vertex.coord, a.point) - calculateDistance(vertex.coord, b.point))
+        .forEach(insertion => merged.push({ coord: insertion.point, cluster: insertion.cluster }));
+    });
+    vertices[s] = merged;
+  });
+  
+  // Cut each segment at its junctions
+  const result = [];
+  let splitCount = 0;
+  segments.forEach((segment, s) => {
+    const list = vertices[s];
+    const isJunction = (vertex, i) => i === 0 || i === list.length - 1 || vertex.cluster.segments.size > 1;
+    
+    const pieces = [];
+    let current = [];
+    list.forEach((vertex, i) => {
+      const junction = isJunction(vertex, i);
+      const coord = junction ? vertex.cluster.point : vertex.coord;
+      const previous = current[current.length - 1];
+      if (!previous || previous.cluster !== vertex.cluster) {
+        current.push({ coord, cluster: vertex.cluster });
+      }
+      if (junction && i > 0) {
+        if (current.length > 1) pieces.push(current.map(v => v.coord));
+        current = [{ coord, cluster: vertex.cluster }];
+      }
+    });
+    
+    if (pieces.length === 0) return; // Collapsed to a single point
+    
+    const unchanged = pieces.length === 1 &&
+      pieces[0].length === segment.coordinates.length &&
+      pieces[0].every((coord, i) => coord === segment.coordinates[i]);
+    if (unchanged) {
+      result.push(segment);
+      return;
+    }
+    
+    if (pieces.length > 1) splitCount++;
+    pieces.forEach((coords, i) => {
+      result.push({
+        ...segment,
+        id: pieces.length > 1 ? `${segment.id}_${i}` : segment.id,
+        parentId: segment.id,
+        coordinates: coords,
+        start: coords[0],
+        end: coords[coords.length - 1],
+        length: getPolylineLength(coords),
+        scores: { ...segment.scores },
+        closures: segment.closures ? [...segment.closures] : segment.closures,
+        bounds: null
+      });
+    });
+  });
+  
+  return {
+    segments: result,
+    stats: {
+      inputSegments: segments.length,
+      outputSegments: result.length,
+      splitSegments: splitCount,
+      junctions: clusters.filter(cluster => cluster.segments.size > 1).length,
+      tJunctions
+    }
+  };
+}
+
+// Connected components of the graph: { count, largest, isolated (components of at
+// most 2 nodes), sizes (largest first, top 10) }
+function getComponentStats(graph) {
+  const seen = new Set();
+  const sizes = [];
+  for (const nodeId in graph) {
+    if (seen.has(nodeId)) continue;
+    seen.add(nodeId);
+    const stack = [nodeId];
+    let size = 0;
+    while (stack.length > 0) {
+      const current = stack.pop();
+      size++;
+      for (const neighbor of graph[current].neighbors) {
+        if (!seen.has(neighbor.node)) {
+          seen.add(neighbor.node);
+          stack.push(neighbor.node);
+        }
+      }
+    }
+    sizes.push(size);
+  }
+  sizes.sort((a, b) => b - a);
+  
+  const totalNodes = seen.size;
+  return {
+    count: sizes.length,
+    largest: sizes[0] || 0,
+    largestShare: totalNodes > 0 ? Math.round((sizes[0] / totalNodes) * 1000) / 1000 : 0,
+    isolated: sizes.filter(size => size <= 2).length,
+    sizes: sizes.slice(0, 10)
+  };
 }
 
 // Build graph from segments
-function buildGraph(segments) {
+// (segments are first split at shared intersections - use the returned segments,
+// not the input, for anything that maps back onto graph edges)
+function buildGraph(inputSegments, options = {}) {
+  const { segments, stats } = options.split === false
+    ? { segments: inputSegments, stats: null }
+    : splitSegmentsAtIntersections(inputSegments, options.toleranceKm);
   const graph = {};
   const nodeMap = new Map(); // Map coordinates to node IDs
-  
+
   // Create nodes from segment endpoints
   let nodeIdCounter = 0;
   segments.forEach(segment => {
-    const startKey = `${segment.start[0].toFixed(6)},${segment.start[1].toFixed(6)}`;
-    const endKey = `${segment.end[0].toFixed(6)},${segment.end[1].toFixed(6)}`;
+    const startKey = getNodeKey(segment.start);
+    const endKey = getNodeKey(segment.end);
     
     if (!nodeMap.has(startKey)) {
       nodeMap.set(startKey, `node_${nodeIdCounter++}`);
@@ -282,24 +1143,50 @@ function buildGraph(segments) {
       graph[endNode] = { coords: segment.end, neighbors: [] };
     }
     
-    // Add edge (bidirectional)
+    // Add edge (bidirectional; forward = along the segment's coordinate order)
     graph[startNode].neighbors.push({
       node: endNode,
       segment: segment,
-      distance: segment.length
+      distance: segment.length,
+      forward: true
     });
     graph[endNode].neighbors.push({
       node: startNode,
       segment: segment,
-      distance: segment.length
+      distance: segment.length,
+      forward: false
     });
   });
   
-  return { graph, nodeMap, segments };
+  return { graph, nodeMap, segments, splitStats: stats };
+}
+
+// Grid indexes over graph nodes and segments, built once after the graph
+function buildSpatialIndex(graph, segments) {
+  const nodes = new GridIndex();
+  for (const nodeId in graph) {
+    nodes.insertPoint(nodeId, graph[nodeId].coords);
+  }
+  
+  const segmentIndex = new GridIndex();
+  segments.forEach(segment => {
+    segmentIndex.insertBounds(segment, getSegmentBounds(segment));
+  });
+  
+  return { nodes, segments: segmentIndex };
 }
 
 // Find closest node to a coordinate
-function findClosestNode(targetCoord, graph) {
+// (uses the node grid from buildSpatialIndex when given, otherwise scans every node)
+function findClosestNode(targetCoord, graph, spatialIndex = null) {
+  if (spatialIndex) {
+    const nearest = spatialIndex.nodes.nearest(
+      targetCoord,
+      nodeId => calculateDistance(targetCoord, graph[nodeId].coords)
+    );
+    return nearest ? nearest.item : null;
+  }
+  
   let minDistance = Infinity;
   let closestNode = null;
   
@@ -315,52 +1202,154 @@ function findClosestNode(targetCoord, graph) {
   return closestNode;
 }
 
-// Dijkstra's algorithm for fastest route (distance only)
-function findFastestPath(graph, startNode, endNode) {
-  const distances = {};
-  const previous = {};
-  const unvisited = new Set();
+// Insert temporary nodes at snapped points (results of findClosestSegmentPoint) so a
+// route can start or end part-way along a segment. Each snapped segment is split into
+// pieces between its end nodes and the snapped points; the original edge stays in place.
+// Returns { nodeIds (one per snap, in order), remove() } - call remove() once routing is done.
+function insertSnapNodes(graph, nodeMap, snaps) {
+  const SAME_POINT_KM = 0.001; // Within ~1m of a segment end, just use the end node
+  const tempNodeIds = [];
+  const tempSegments = new Set();
+  const touchedNodes = new Set();
+  const nodeIds = new Array(snaps.length).fill(null);
   
-  for (const nodeId in graph) {
-    distances[nodeId] = Infinity;
-    previous[nodeId] = null;
-    unvisited.add(nodeId);
-  }
-  distances[startNode] = 0;
+  const addEdge = (fromNode, toNode, segment) => {
+    graph[fromNode].neighbors.push({ node: toNode, segment, distance: segment.length, forward: true });
+    graph[toNode].neighbors.push({ node: fromNode, segment, distance: segment.length, forward: false });
+    touchedNodes.add(fromNode);
+    touchedNodes.add(toNode);
+  };
+  
+  // Group snaps by segment so two snaps on one segment are chained, not both tied to its ends
+  const bySegment = new Map();
+  snaps.forEach((snap, i) => {
+    if (!snap || !snap.segment) return;
+    if (!bySegment.has(snap.segment)) bySegment.set(snap.segment, []);
+    bySegment.get(snap.segment).push({ ...snap, snapIndex: i });
+  });
   
-  while (unvisited.size > 0) {
-    let currentNode = null;
-    let smallestDistance = Infinity;
+  bySegment.forEach((segmentSnaps, segment) => {
+    const coords = segment.coordinates;
+    const startNode = nodeMap.get(getNodeKey(segment.start));
+    const endNode = nodeMap.get(getNodeKey(segment.end));
+    if (!graph[startNode] || !graph[endNode]) return;
     
-    for (const nodeId of unvisited) {
-      if (distances[nodeId] < smallestDistance) {
-        smallestDistance = distances[nodeId];
-        currentNode = nodeId;
+    // Order snaps along the segment
+    segmentSnaps.sort((a, b) => a.pieceIndex - b.pieceIndex ||
+      calculateDistance(coords[a.pieceIndex], a.point) - calculateDistance(coords[b.pieceIndex], b.point));
+    
+    // Chain of stops along the segment: start node, snapped points, end node
+    const stops = [{ nodeId: startNode, point: coords[0], pieceIndex: 0 }];
+    segmentSnaps.forEach(snap => {
+      if (calculateDistance(snap.point, segment.start) < SAME_POINT_KM) {
+        nodeIds[snap.snapIndex] = startNode;
+      } else if (calculateDistance(snap.point, segment.end) < SAME_POINT_KM) {
+        nodeIds[snap.snapIndex] = endNode;
+      } else {
+        const nodeId = `snap_${snap.snapIndex}_${segment.id}`;
+        graph[nodeId] = { coords: snap.point, neighbors: [], temporary: true };
+        tempNodeIds.push(nodeId);
+        nodeIds[snap.snapIndex] = nodeId;
+        stops.push({ nodeId, point: snap.point, pieceIndex: snap.pieceIndex });
       }
+    });
+    stops.push({ nodeId: endNode, point: coords[coords.length - 1], pieceIndex: coords.length - 1 });
+    if (stops.length === 2) return; // Every snap landed on an existing node
+    
+    for (let i = 0; i < stops.length - 1; i++) {
+      const from = stops[i];
+      const to = stops[i + 1];
+      // Original vertices strictly between the two stops
+      const inner = coords.slice(from.pieceIndex + 1, to.pieceIndex + 1)
+        .filter(coord => coord !== coords[0] && coord !== coords[coords.length - 1]);
+      const pieceCoords = [from.point, ...inner, to.point];
+      const piece = {
+        ...segment,
+        id: `${segment.id}_part${i}`,
+        parentId: segment.parentId || segment.id,
+        coordinates: pieceCoords,
+        start: pieceCoords[0],
+        end: pieceCoords[pieceCoords.length - 1],
+        length: getPolylineLength(pieceCoords),
+        bounds: null,
+        temporary: true
+      };
+      tempSegments.add(piece);
+      addEdge(from.nodeId, to.nodeId, piece);
     }
+  });
+  
+  const remove = () => {
+    touchedNodes.forEach(nodeId => {
+      if (graph[nodeId] && !graph[nodeId].temporary) {
+        graph[nodeId].neighbors = graph[nodeId].neighbors.filter(n => !tempSegments.has(n.segment));
+      }
+    });
+    tempNodeIds.forEach(nodeId => {
+      delete graph[nodeId];
+    });
+  };
+  
+  return { nodeIds, remove };
+}
+
+// Edges taken by the paths searchPath and joinLegPaths return, by path. Two nodes can be joined
+// by more than one edge (an off-street path beside a street block), so the node IDs alone don't
+// say which was used.
+const pathEdges = new WeakMap();
+
+// Shared best-first search: Dijkstra, or A* when a heuristic is given.
+// Uses a binary heap instead of scanning every unvisited node, and breaks
+// ties by node insertion order so results match the original linear scan.
+function searchPath(graph, startNode, endNode, edgeCost, heuristic = null) {
+  if (!graph[startNode] || !graph[endNode]) return [];
+  
+  const order = new Map();
+  let index = 0;
+  for (const nodeId in graph) {
+    order.set(nodeId, index++);
+  }
+  
+  const distances = new Map([[startNode, 0]]);
+  const previous = new Map([[startNode, null]]);
+  const previousEdge = new Map(); // Node ID -> edge it was reached by
+  const visited = new Set();
+  const queue = new MinHeap();
+  queue.push(startNode, heuristic ? heuristic(startNode) : 0, order.get(startNode));
+  
+  while (queue.size > 0) {
+    const currentNode = queue.pop().value;
+    if (visited.has(currentNode)) continue; // Stale queue entry
     
-    if (currentNode === null || distances[currentNode] === Infinity) break;
     if (currentNode === endNode) {
       // Reconstruct path
       const path = [];
+      const edges = [];
       let node = endNode;
       while (node !== null) {
         path.unshift(node);
-        node = previous[node];
+        if (previousEdge.has(node)) edges.unshift(previousEdge.get(node));
+        node = previous.get(node);
       }
+      pathEdges.set(path, edges);
       return path;
     }
     
-    unvisited.delete(currentNode);
+    visited.add(currentNode);
+    const currentDistance = distances.get(currentNode);
     
     if (graph[currentNode] && graph[currentNode].neighbors) {
       for (const neighbor of graph[currentNode].neighbors) {
-        if (!unvisited.has(neighbor.node)) continue;
+        if (visited.has(neighbor.node)) continue;
         
-        const alt = distances[currentNode] + neighbor.distance;
-        if (alt < distances[neighbor.node]) {
-          distances[neighbor.node] = alt;
-          previous[neighbor.node] = currentNode;
+        const alt = currentDistance + edgeCost(neighbor);
+        const known = distances.has(neighbor.node) ? distances.get(neighbor.node) : Infinity;
+        if (alt < known) {
+          distances.set(neighbor.node, alt);
+          previous.set(neighbor.node, currentNode);
+          previousEdge.set(neighbor.node, neighbor);
+          const priority = heuristic ? alt + heuristic(neighbor.node) : alt;
+          queue.push(neighbor.node, priority, order.get(neighbor.node));
         }
       }
     }
@@ -369,181 +1358,804 @@ function findFastestPath(graph, startNode, endNode) {
   return [];
 }
 
-// Calculate sunrise and sunset times for Vancouver (approximate)
-// Vancouver coordinates: ~49.28°N, ~123.12°W
+// A* for fastest route (distance only, over edges the travel mode allows).
+// Straight-line distance to the destination never overestimates, so paths stay optimal.
+function findFastestPath(graph, startNode, endNode, options = {}) {
+  const target = graph[endNode] ? graph[endNode].coords : null;
+  if (!target) return [];
+  const mode = options.mode || DEFAULT_TRAVEL_MODE;
+  const avoid = options.avoid || null;
+  
+  return searchPath(
+    graph,
+    startNode,
+    endNode,
+    neighbor => {
+      if (!canTraverse(neighbor, mode)) return Infinity;
+      return avoid && avoid(neighbor.segment) ? neighbor.distance * AVOID_COST_FACTOR : neighbor.distance;
+    },
+    nodeId => calculateDistance(graph[nodeId].coords, target)
+  );
+}
+
+// Sunrise, sunset and civil twilight (Dates) for `date`'s calendar day in Vancouver
 function getSunriseSunset(date) {
-  const lat = 49.28;
-  const lng = -123.12;
+  const [year, month, day] = getVancouverDateString(date).split('-').map(Number);
+  return getSolarTimes(year, month, day, VANCOUVER_LAT, VANCOUVER_LNG);
+}
+
+// Daylight at `date`: the day's solar times and the period - 'day' (sunrise to sunset),
+// 'twilight' (civil dawn to sunrise, sunset to civil dusk) or 'night'
+function getDaylight(date) {
+  const { civilDawn, sunrise, sunset, civilDusk } = getSunriseSunset(date);
+  let period;
+  if (date >= sunrise && date < sunset) {
+    period = 'day';
+  } else if (date >= civilDawn && date < civilDusk) {
+    period = 'twilight';
+  } else {
+    period = 'night';
+  }
+  return { civilDawn, sunrise, sunset, civilDusk, period, isNight: period !== 'day' };
+}
+
+// Check if `date` is between sunset and sunrise (night, including civil twilight)
+function isNightTime(date) {
+  return getDaylight(date).isNight;
+}
+
+// Attach a user report to every segment within REPORT_RADIUS_KM.
+// Mutates the segments in place so a cached graph picks it up without a rebuild.
+// Returns the number of segments affected.
+function attachReportToSegments(report, segments) {
+  if (!REPORT_EFFECTS[report.type] || !report.location) return 0;
+
+  const point = [report.location.lat, report.location.lng];
+  // Cheap bounding-box reject before the exact distance check (~0.001° ≈ 110m)
+  const margin = 0.001;
+  let attached = 0;
+
+  segments.forEach(segment => {
+    if (!isPointInBounds(point, getSegmentBounds(segment), margin)) return;
+
+    if (distanceToPolyline(point, segment.coordinates) <= REPORT_RADIUS_KM) {
+      if (!segment.reports) segment.reports = [];
+      if (segment.reports.some(r => r.id === report.id)) return;
+      segment.reports.push({
+        id: report.id,
+        type: report.type,
+        location: point,
+        reportedAt: new Date(report.reportedAt).getTime()
+      });
+      attached++;
+    }
+  });
+
+  return attached;
+}
+
+// Segment scores at `date`: crime comes from the hourly crime profile for the departure
+// hour, active road closures raise disruption, and user report effects are applied faded
+// by report age. Pass crimeHour (getVancouverHour(date)) when scoring many segments at once.
+function getEffectiveScores(segment, date, halfLifeHours = REPORT_HALF_LIFE_HOURS, crimeHour = getVancouverHour(date)) {
+  const hasReports = segment.reports && segment.reports.length > 0;
+  const hasClosures = segment.closures && segment.closures.length > 0;
+  const hasCrimeProfile = !!segment.crimeProfile;
+  if (!hasReports && !hasClosures && !hasCrimeProfile) return segment.scores;
+
+  const scores = { ...segment.scores };
+  let changed = false;
+
+  if (hasCrimeProfile) {
+    scores.crime = segment.crimeProfile[crimeHour];
+    changed = true;
+  }
+
+  if (hasClosures && segment.closures.some(closure => isClosureActive(closure, date))) {
+    scores.disruption = Math.max(scores.disruption, CLOSURE_DISRUPTION);
+    changed = true;
+  }
+
+  if (hasReports) {
+    const time = date.getTime();
+    segment.reports.forEach(report => {
+      const ageHours = Math.max(0, (time - report.reportedAt) / (1000 * 60 * 60));
+      const weight = Math.pow(0.5, ageHours / halfLifeHours);
+      if (weight < REPORT_MIN_WEIGHT) return;
+
+      const effects = REPORT_EFFECTS[report.type] || {};
+      for (const component in effects) {
+        scores[component] += effects[component] * weight;
+        changed = true;
+      }
+    });
+  }
+
+  if (!changed) return segment.scores;
+
+  for (const component in scores) {
+    scores[component] = Math.max(0, Math.min(10, scores[component]));
+  }
+  return scores;
+}
+
+// Edge (neighbor entry) from the i-th node of a path to the next: the one the search took, or
+// for paths built elsewhere the first edge between the two nodes
+function getPathEdge(pathNodeIds, i, graph) {
+  const edges = pathEdges.get(pathNodeIds);
+  if (edges) return edges[i];
+  const node = graph[pathNodeIds[i]];
+  return node ? node.neighbors.find(n => n.node === pathNodeIds[i + 1]) : undefined;
+}
+
+// Graph edges (neighbor entries) traversed by a path of node IDs, in order
+function getPathEdges(pathNodeIds, graph) {
+  const edges = [];
+  if (!pathNodeIds) return edges;
+  
+  for (let i = 0; i < pathNodeIds.length - 1; i++) {
+    const neighbor = getPathEdge(pathNodeIds, i, graph);
+    if (neighbor && neighbor.segment) edges.push(neighbor);
+  }
+  
+  return edges;
+}
+
+// Segments traversed by a path of node IDs, in order
+function getPathSegments(pathNodeIds, graph) {
+  return getPathEdges(pathNodeIds, graph).map(edge => edge.segment);
+}
+
+// Dark stretches along a path in travel order: unlit intervals joined across segments,
+// kept when at least DARK_STRETCH_MIN_KM long. Returns
+// [{ startDistance, length (km), streetNames, coordinates: [[lat, lng]] }], or null when
+// no segment on the path has lighting data.
+function getPathDarkStretches(pathNodeIds, graph) {
+  const stretches = [];
+  let current = null;
+  let offset = 0;
+  let hasLighting = false;
+  
+  getPathEdges(pathNodeIds, graph).forEach(edge => {
+    const segment = edge.segment;
+    const coords = edge.forward === false ? segment.coordinates.slice().reverse() : segment.coordinates;
+    
+    if (segment.lightPoles) {
+      hasLighting = true;
+      getDarkIntervals(coords, segment.lightPoles).forEach(({ from, to }) => {
+        const piece = slicePolyline(coords, from, to);
+        if (current && offset + from - current.end < 1e-6) {
+          // Carries on from the previous segment's dark end
+          current.end = offset + to;
+          current.coordinates.push(...piece.slice(1));
+        } else {
+          if (current) stretches.push(current);
+          current = { start: offset + from, end: offset + to, coordinates: piece, streetNames: [] };
+        }
+        if (segment.streetName && !current.streetNames.includes(segment.streetName)) {
+          current.streetNames.push(segment.streetName);
+        }
+      });
+    }
+    offset += getPolylineLength(coords);
+  });
+  if (current) stretches.push(current);
+  
+  if (!hasLighting) return null;
+  return stretches
+    .filter(stretch => stretch.end - stretch.start >= DARK_STRETCH_MIN_KM)
+    .map(stretch => ({
+      startDistance: Math.round(stretch.start * 1000) / 1000,
+      length: Math.round((stretch.end - stretch.start) * 1000) / 1000,
+      streetNames: stretch.streetNames,
+      coordinates: stretch.coordinates
+    }));
+}
+
+// Initial bearing (degrees clockwise from north) from one [lat, lng] to another
+function calculateBearing(from, to) {
+  const lat1 = from[0] * Math.PI / 180;
+  const lat2 = to[0] * Math.PI / 180;
+  const dLng = (to[1] - from[1]) * Math.PI / 180;
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Change of direction from one bearing to another: -180 (left) to 180 (right)
+function getTurnAngle(fromBearing, toBearing) {
+  let angle = toBearing - fromBearing;
+  if (angle > 180) angle -= 360;
+  if (angle < -180) angle += 360;
+  return angle;
+}
+
+// Name used in instructions: the street, or for off-street paths the bike route they belong to
+function getManeuverNames(segment) {
+  const street = segment.streetName && segment.streetName !== 'Off Street' ? segment.streetName : '';
+  const route = segment.routeName || '';
+  return { street: street || route, route };
+}
+
+// "W 37th Ave (Midtown/Ridgeway)": the street, with the bike route it is part of
+function getManeuverLabel(stretch) {
+  return stretch.route && stretch.route !== stretch.street ? `${stretch.street} (${stretch.route})` : stretch.street;
+}
+
+// "400 m" / "1.2 km"
+function formatManeuverDistance(km) {
+  if (km < 1) return `${Math.max(10, Math.round(km * 100) * 10)} m`;
+  return `${km.toFixed(1)} km`;
+}
+
+// Instruction for entering `stretch` from `previous`: { type, modifier, instruction }
+function describeManeuver(previous, stretch) {
+  const angle = getTurnAngle(previous.exitBearing, stretch.entryBearing);
+  const magnitude = Math.abs(angle);
+  const side = angle > 0 ? 'right' : 'left';
+  const label = getManeuverLabel(stretch);
+  const distance = formatManeuverDistance(stretch.length);
+  
+  if (magnitude < MANEUVER_STRAIGHT_ANGLE) {
+    let instruction = `Continue straight for ${distance}`;
+    if (stretch.route && stretch.route === previous.route) {
+      instruction = `Continue on ${stretch.route} for ${distance}`;
+    } else if (stretch.street) {
+      instruction = `Continue onto ${label} for ${distance}`;
+    }
+    return { type: 'continue', modifier: 'straight', instruction };
+  }
+  if (magnitude >= MANEUVER_UTURN_ANGLE) {
+    return { type: 'uturn', modifier: 'uturn', instruction: stretch.street ? `Make a U-turn onto ${label}` : 'Make a U-turn' };
+  }
+  
+  let modifier = side;
+  let verb = `Turn ${side}`;
+  if (magnitude < MANEUVER_SLIGHT_ANGLE) {
+    modifier = `slight ${side}`;
+    verb = `Bear ${side}`;
+  } else if (magnitude >= MANEUVER_SHARP_ANGLE) {
+    modifier = `sharp ${side}`;
+    verb = `Sharp ${side}`;
+  }
+  let instruction = verb;
+  if (stretch.street && stretch.street === previous.street) {
+    instruction = `${verb} to stay on ${label}`;
+  } else if (stretch.street) {
+    instruction = `${verb} onto ${label}`;
+  }
+  return { type: 'turn', modifier, instruction };
+}
+
+// Turn-by-turn maneuvers along a path of node IDs, built from the street names of the segments
+// it uses. Consecutive segments on one street form a stretch unless the path bends sharply; each
+// stretch starts with a maneuver. Returns [{ type (depart, turn, continue, uturn, arrive),
+// modifier, instruction, streetName, routeName, distance (km to the next maneuver),
+// startDistance (km from the start), bearingBefore, bearingAfter, coordinate: [lat, lng] }].
+function getPathManeuvers(pathNodeIds, graph) {
+  const stretches = [];
+  let offset = 0;
+  let endCoord = null;
+  
+  const addToStretch = (stretch, part) => {
+    stretch.length += part.length;
+    stretch.exitBearing = part.exitBearing;
+    if (!stretch.route) stretch.route = part.route;
+  };
+  
+  getPathEdges(pathNodeIds, graph).forEach(edge => {
+    const coords = edge.forward === false ? edge.segment.coordinates.slice().reverse() : edge.segment.coordinates;
+    const length = getPolylineLength(coords);
+    if (length === 0) return;
+    
+    const lookKm = Math.min(MANEUVER_BEARING_KM, length);
+    const entry = slicePolyline(coords, 0, lookKm);
+    const exit = slicePolyline(coords, length - lookKm, length);
+    const part = {
+      ...getManeuverNames(edge.segment),
+      length,
+      entryBearing: calculateBearing(entry[0], entry[entry.length - 1]),
+      exitBearing: calculateBearing(exit[0], exit[exit.length - 1]),
+      startCoord: coords[0],
+      startDistance: offset
+    };
+    offset += length;
+    endCoord = coords[coords.length - 1];
+    
+    const last = stretches[stretches.length - 1];
+    if (last && last.street === part.street &&
+        Math.abs(getTurnAngle(last.exitBearing, part.entryBearing)) < MANEUVER_SLIGHT_ANGLE) {
+      addToStretch(last, part);
+    } else {
+      stretches.push(part);
+    }
+  });
+  if (stretches.length === 0) return [];
   
-  // Calculate day of year (1-365)
-  const startOfYear = new Date(date.getFullYear(), 0, 1);
-  const dayOfYear = Math.floor((date - startOfYear) / (1000 * 60 * 60 * 24)) + 1;
+  // Fold short stretches between two turns into the stretch before them, so the turn
+  // after is measured from the direction the user was travelling
+  const steps = [];
+  stretches.forEach((stretch, i) => {
+    const previous = steps[steps.length - 1];
+    if (previous && i < stretches.length - 1 && stretch.length < MANEUVER_MIN_STEP_KM) {
+      previous.length += stretch.length;
+      return;
+    }
+    if (previous && previous.street === stretch.street &&
+        Math.abs(getTurnAngle(previous.exitBearing, stretch.entryBearing)) < MANEUVER_SLIGHT_ANGLE) {
+      addToStretch(previous, stretch);
+      return;
+    }
+    steps.push({ ...stretch });
+  });
   
-  // Solar declination in radians
-  const declinationRad = 23.45 * (Math.PI / 180) * Math.sin(2 * Math.PI * (284 + dayOfYear) / 365);
+  const round = km => Math.round(km * 1000) / 1000;
+  const maneuvers = steps.map((step, i) => {
+    const description = i === 0
+      ? {
+          type: 'depart',
+          modifier: null,
+          instruction: `Head ${COMPASS_DIRECTIONS[Math.round(step.entryBearing / 45) % 8]}${step.street ? ` on ${getManeuverLabel(step)}` : ''}`
+        }
+      : describeManeuver(steps[i - 1], step);
+    return {
+      ...description,
+      streetName: step.street || null,
+      routeName: step.route || null,
+      distance: round(step.length),
+      startDistance: round(step.startDistance),
+      bearingBefore: i === 0 ? null : Math.round(steps[i - 1].exitBearing),
+      bearingAfter: Math.round(step.entryBearing),
+      coordinate: step.startCoord
+    };
+  });
+  
+  const last = steps[steps.length - 1];
+  maneuvers.push({
+    type: 'arrive',
+    modifier: null,
+    instruction: 'Arrive at your destination',
+    streetName: last.street || null,
+    routeName: last.route || null,
+    distance: 0,
+    startDistance: round(offset),
+    bearingBefore: Math.round(last.exitBearing),
+    bearingAfter: null,
+    coordinate: endCoord
+  });
+  return maneuvers;
+}
+
+// Overall 0-10 safety score from component scores, weighted like the routing formula with
+// the request's weights (crime and disruption count against the score, so they are inverted)
+function getSafetyScore(scores, weights = DEFAULT_WEIGHTS) {
+  const positive = weights.infra * scores.infra + weights.light * scores.light + weights.amenity * scores.amenity;
+  const negative = weights.crime * (10 - scores.crime) + weights.disruption * (10 - scores.disruption);
+  const totalWeight = weights.infra + weights.light + weights.amenity + weights.crime + weights.disruption;
+  return (positive + negative) / totalWeight;
+}
+
+// Safety breakdown of a path at `date` for a travel mode: distance-weighted averages of
+// the effective segment scores, their aggregate score, the segments in travel order
+// (consecutive pieces of the same bikeway are merged back into one entry), and the same
+// statistics per neighbourhood in the order the path enters them. options.weights (from
+// safetyWeights.js) sets how the components add up to each score.
+// Returns { score, components, distance,
+//           segments: [{ id, streetName, bikewayType, neighborhood, noSidewalk, distance, score, scores }],
+//           neighborhoods: [{ name, distance, score, components }] }
+function summarizePathSafety(pathNodeIds, graph, date, options = {}) {
+  const mode = options.mode || DEFAULT_TRAVEL_MODE;
+  const travelMode = getTravelMode(mode) || getTravelMode(DEFAULT_TRAVEL_MODE);
+  const weights = options.weights || DEFAULT_WEIGHTS;
+  const round = (value, places) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+  const emptyScores = () => ({ infra: 0, light: 0, crime: 0, disruption: 0, amenity: 0 });
+  const averaged = (sums, weight) => {
+    const scores = {};
+    for (const component in sums) {
+      scores[component] = weight > 0 ? sums[component] / weight : 0;
+    }
+    return scores;
+  };
   
-  // Latitude in radians
-  const latRad = lat * (Math.PI / 180);
+  const crimeHour = getVancouverHour(date);
+  const totals = emptyScores();
+  let totalWeight = 0;
+  let totalDistance = 0;
+  const groups = [];
+  const areas = new Map(); // Neighbourhood name -> { distance, weight, sums }
   
-  // Hour angle for sunrise/sunset
-  const hourAngle = Math.acos(-Math.tan(latRad) * Math.tan(declinationRad));
+  getPathEdges(pathNodeIds, graph).forEach(edge => {
+    const segment = edge.segment;
+    const scores = { ...getEffectiveScores(segment, date, options.reportHalfLifeHours, crimeHour) };
+    scores.infra = getModeInfraScore(edge, scores, travelMode);
+    const bikewayType = mode === 'bike' ? getTraversalBikewayType(edge) : segment.bikewayType;
+    // Weight by length, with a floor so zero-length pieces still count
+    const weight = Math.max(edge.distance, 0.001);
+    
+    const key = segment.parentId || segment.id;
+    let group = groups[groups.length - 1];
+    if (!group || group.id !== key || group.bikewayType !== bikewayType) {
+      group = {
+        id: key,
+        streetName: segment.streetName,
+        bikewayType,
+        neighborhood: segment.neighborhood || null,
+        noSidewalk: !!segment.noSidewalk,
+        distance: 0,
+        weight: 0,
+        sums: emptyScores()
+      };
+      groups.push(group);
+    }
+    
+    let area = null;
+    if (segment.neighborhood) {
+      if (!areas.has(segment.neighborhood)) {
+        areas.set(segment.neighborhood, { distance: 0, weight: 0, sums: emptyScores() });
+      }
+      area = areas.get(segment.neighborhood);
+      area.distance += edge.distance;
+      area.weight += weight;
+    }
+    
+    for (const component in totals) {
+      totals[component] += scores[component] * weight;
+      group.sums[component] += scores[component] * weight;
+      if (area) area.sums[component] += scores[component] * weight;
+    }
+    group.weight += weight;
+    group.distance += edge.distance;
+    totalWeight += weight;
+    totalDistance += edge.distance;
+  });
   
-  // Sunrise and sunset in hours (UTC)
-  const sunriseUTC = 12 - (hourAngle * 180 / Math.PI) / 15;
-  const sunsetUTC = 12 + (hourAngle * 180 / Math.PI) / 15;
+  const roundScores = (scores) => {
+    const rounded = {};
+    for (const component in scores) {
+      rounded[component] = round(scores[component], 1);
+    }
+    return rounded;
+  };
   
-  // Convert to local time (PST/PDT is UTC-8 or UTC-7)
-  // Simple approximation: assume UTC-8 (PST) for now
-  // Note: This doesn't account for DST, but is close enough
-  const timezoneOffset = 8; // PST offset
-  let sunriseLocal = sunriseUTC - timezoneOffset;
-  let sunsetLocal = sunsetUTC - timezoneOffset;
+  const components = averaged(totals, totalWeight);
+  return {
+    score: totalWeight > 0 ? round(getSafetyScore(components, weights), 1) : null,
+    components: roundScores(components),
+    distance: round(totalDistance, 3),
+    segments: groups.map(group => {
+      const scores = averaged(group.sums, group.weight);
+      return {
+        id: group.id,
+        streetName: group.streetName,
+        bikewayType: group.bikewayType,
+        neighborhood: group.neighborhood,
+        noSidewalk: group.noSidewalk,
+        distance: round(group.distance, 3),
+        score: round(getSafetyScore(scores, weights), 1),
+        scores: roundScores(scores)
+      };
+    }),
+    neighborhoods: Array.from(areas, ([name, area]) => {
+      const scores = averaged(area.sums, area.weight);
+      return {
+        name,
+        distance: round(area.distance, 3),
+        score: round(getSafetyScore(scores, weights), 1),
+        components: roundScores(scores)
+      };
+    })
+  };
+}
+
+// Road closures active at `date` along a path of node IDs
+function getPathClosures(pathNodeIds, graph, date) {
+  const seen = new Set();
+  const closures = [];
   
-  // Normalize to 0-24 range
-  if (sunriseLocal < 0) sunriseLocal += 24;
-  if (sunsetLocal < 0) sunsetLocal += 24;
-  if (sunriseLocal >= 24) sunriseLocal -= 24;
-  if (sunsetLocal >= 24) sunsetLocal -= 24;
+  getPathSegments(pathNodeIds, graph).forEach(segment => {
+    (segment.closures || []).forEach(closure => {
+      if (seen.has(closure.id) || !isClosureActive(closure, date)) return;
+      seen.add(closure.id);
+      closures.push({
+        id: closure.id,
+        project: closure.project,
+        street: closure.street,
+        location: closure.location,
+        completionDate: closure.completionDate,
+        url: closure.url,
+        lat: closure.center[0],
+        lng: closure.center[1]
+      });
+    });
+  });
   
-  return { sunrise: sunriseLocal, sunset: sunsetLocal };
+  return closures;
 }
 
-// Check if current time is between sunset and sunrise (night)
-function isNightTime(date) {
-  const { sunrise, sunset } = getSunriseSunset(date);
-  const hour = date.getHours() + date.getMinutes() / 60;
-  
-  // Normalize hour to 0-24 range
-  const normalizedHour = hour >= 0 && hour < 24 ? hour : (hour < 0 ? hour + 24 : hour - 24);
-  
-  // Handle case where sunset is after midnight (winter - shouldn't happen in Vancouver)
-  if (sunset > sunrise) {
-    // Normal case: sunset in evening (e.g., 18:00), sunrise in morning (e.g., 6:00)
-    // Night is: hour >= sunset OR hour < sunrise
-    const isNight = normalizedHour >= sunset || normalizedHour < sunrise;
-    console.log(`[isNightTime] Hour: ${normalizedHour.toFixed(2)}, Sunrise: ${sunrise.toFixed(2)}, Sunset: ${sunset.toFixed(2)}, IsNight: ${isNight}`);
-    return isNight;
-  } else {
-    // Edge case: very high latitude (shouldn't happen in Vancouver)
-    return normalizedHour >= sunset && normalizedHour < sunrise;
-  }
+// "3 hours ago" for a report `hours` old
+function formatReportAge(hours) {
+  if (hours < 1) return 'less than an hour ago';
+  if (hours < 48) return `${Math.round(hours)} ${Math.round(hours) === 1 ? 'hour' : 'hours'} ago`;
+  return `${Math.round(hours / 24)} days ago`;
 }
 
-// Dijkstra's algorithm for safest route (safety-weighted)
-function findSafestPath(graph, startNode, endNode, departureDate) {
-  // Parse departure date - can be Date object, ISO string, or hour number
+// Things to warn about along a path of node IDs, in travel order: user reports still in effect
+// at `date`, active road closures, dark stretches and high-crime blocks (at the departure hour).
+// Returns [{ id, type (report, closure, darkStretch, crime), title, detail, startDistance (km),
+// length (km, 0 for a spot), coordinate: [lat, lng] where it starts, coordinates (stretches only),
+// segmentIds (closures only: the closed segments on the path, for rerouting around just those) }]
+function getPathHazards(pathNodeIds, graph, date) {
+  const hazards = [];
+  const seen = new Set();
+  const closureHazards = new Map(); // Closure ID -> its hazard
+  const time = date.getTime();
+  const crimeHour = getVancouverHour(date);
+  let offset = 0;
+  let crimeBlock = null;
+  
+  const stretchHazard = (type, title, detail, stretch) => ({
+    id: `${type}_${stretch.coordinates[0][0].toFixed(5)},${stretch.coordinates[0][1].toFixed(5)}`,
+    type,
+    title,
+    detail: stretch.streetNames.length > 0 ? `${detail} on ${stretch.streetNames.join(', ')}` : detail,
+    startDistance: stretch.start,
+    length: stretch.end - stretch.start,
+    coordinate: stretch.coordinates[0],
+    coordinates: stretch.coordinates
+  });
+  
+  const endCrimeBlock = () => {
+    if (crimeBlock) hazards.push(stretchHazard('crime', 'High-crime block', 'Frequent reported crime at this time of day', crimeBlock));
+    crimeBlock = null;
+  };
+  
+  getPathEdges(pathNodeIds, graph).forEach(edge => {
+    const segment = edge.segment;
+    const coords = edge.forward === false ? segment.coordinates.slice().reverse() : segment.coordinates;
+    const length = getPolylineLength(coords);
+    
+    (segment.reports || []).forEach(report => {
+      if (seen.has(report.id) || !report.location) return;
+      const ageHours = Math.max(0, (time - report.reportedAt) / (1000 * 60 * 60));
+      if (Math.pow(0.5, ageHours / REPORT_HALF_LIFE_HOURS) < REPORT_MIN_WEIGHT) return;
+      seen.add(report.id);
+      hazards.push({
+        id: report.id,
+        type: 'report',
+        title: REPORT_HAZARD_TITLES[report.type] || 'Reported hazard',
+        detail: `Reported ${formatReportAge(ageHours)}`,
+        startDistance: offset + projectOntoPolyline(report.location, coords).along,
+        length: 0,
+        coordinate: report.location
+      });
+    });
+    
+    (segment.closures || []).forEach(closure => {
+      const segmentId = segment.parentId || segment.id;
+      if (closureHazards.has(closure.id)) {
+        const segmentIds = closureHazards.get(closure.id).segmentIds;
+        if (!segmentIds.includes(segmentId)) segmentIds.push(segmentId);
+        return;
+      }
+      if (!isClosureActive(closure, date)) return;
+      // Placed where the closure's centre meets the path, rather than at the junction before it
+      const closest = closestPointOnPolyline(closure.center, coords);
+      const hazard = {
+        id: closure.id,
+        type: 'closure',
+        title: 'Road closure',
+        detail: [...new Set([closure.project, closure.location || closure.street].filter(Boolean))].join(': '),
+        startDistance: offset + projectOntoPolyline(closest.point, coords).along,
+        length: 0,
+        coordinate: closest.point,
+        segmentIds: [segmentId]
+      };
+      closureHazards.set(closure.id, hazard);
+      hazards.push(hazard);
+    });
+    
+    if (getEffectiveScores(segment, date, REPORT_HALF_LIFE_HOURS, crimeHour).crime >= HIGH_CRIME_SCORE) {
+      if (!crimeBlock) crimeBlock = { start: offset, end: offset, coordinates: [coords[0]], streetNames: [] };
+      crimeBlock.end = offset + length;
+      crimeBlock.coordinates.push(...coords.slice(1));
+      if (segment.streetName && !crimeBlock.streetNames.includes(segment.streetName)) {
+        crimeBlock.streetNames.push(segment.streetName);
+      }
+    } else {
+      endCrimeBlock();
+    }
+    offset += length;
+  });
+  endCrimeBlock();
+  
+  (getPathDarkStretches(pathNodeIds, graph) || []).forEach(stretch => {
+    hazards.push(stretchHazard('darkStretch', 'Poorly lit stretch', `${Math.round(stretch.length * 1000)}m without street lighting`, {
+      ...stretch,
+      start: stretch.startDistance,
+      end: stretch.startDistance + stretch.length
+    }));
+  });
+  
+  return hazards
+    .sort((a, b) => a.startDistance - b.startDistance)
+    .map(hazard => ({
+      ...hazard,
+      startDistance: Math.round(hazard.startDistance * 1000) / 1000,
+      length: Math.round(hazard.length * 1000) / 1000
+    }));
+}
+
+// Parse departure date - can be Date object, ISO string, or hour number
+function parseDepartureDate(departureDate) {
   let date;
   if (departureDate instanceof Date) {
     date = departureDate;
   } else if (typeof departureDate === 'string') {
     date = new Date(departureDate);
   } else {
-    // Fallback: treat as hour number
+    // Fallback: treat as hour number (Vancouver time, today)
     const hour = parseInt(departureDate) || 12;
-    date = new Date();
-    date.setHours(hour, 0, 0, 0);
+    date = getVancouverDateAtHour(hour);
   }
-  
+  return date;
+}
+
+// Edge cost function for the safest route at a given departure date
+// (options: mode, weights, reportHalfLifeHours)
+function createSafestEdgeCost(date, options = {}) {
   const isNight = isNightTime(date);
-  const hour = date.getHours();
+  const hour = getVancouverHour(date);
+  const mode = options.mode || DEFAULT_TRAVEL_MODE;
+  // Resolved once here rather than for every edge the search costs
+  const travelMode = getTravelMode(mode) || getTravelMode(DEFAULT_TRAVEL_MODE);
   
-  console.log(`[findSafestPath] Date: ${date.toISOString()}, Hour: ${hour}, IsNight: ${isNight}`);
-  
-  let lightWeight = W_LIGHTING;
-  let crimeWeight = W_CRIME;
+  // Only the balance between the request's weights matters, not their scale
+  const weights = normalizeWeights(options.weights || DEFAULT_WEIGHTS);
+  let lightWeight = weights.light;
+  let crimeWeight = -weights.crime;
+  const disruptionWeight = -weights.disruption;
   
   if (isNight) {
     // Night time (between sunset and sunrise): Use original safety formula
-    console.log('[findSafestPath] Using NIGHT mode (original safety formula)');
     crimeWeight = crimeWeight * 1.5;
   } else {
     // Day time (between sunrise and sunset): Similar to fastest but with small safety bonus
-    console.log('[findSafestPath] Using DAY mode (distance-based with safety penalty)');
-    lightWeight = 0.1;
-  }
-  
-  const distances = {};
-  const previous = {};
-  const unvisited = new Set();
-  
-  for (const nodeId in graph) {
-    distances[nodeId] = Infinity;
-    previous[nodeId] = null;
-    unvisited.add(nodeId);
+    lightWeight = weights.light * DAY_LIGHT_WEIGHT_FACTOR;
   }
-  distances[startNode] = 0;
   
-  while (unvisited.size > 0) {
-    let currentNode = null;
-    let smallestDistance = Infinity;
+  return (neighbor) => {
+    if (!canTraverse(neighbor, mode)) return Infinity;
     
-    for (const nodeId of unvisited) {
-      if (distances[nodeId] < smallestDistance) {
-        smallestDistance = distances[nodeId];
-        currentNode = nodeId;
-      }
-    }
+    const segment = neighbor.segment;
+    const scores = getEffectiveScores(segment, date, options.reportHalfLifeHours, hour);
+    const infra = getModeInfraScore(neighbor, scores, travelMode);
+    // Walking routes steer away from streets without a sidewalk
+    const distance = mode === 'walk' && segment.noSidewalk
+      ? neighbor.distance * NO_SIDEWALK_COST_FACTOR
+      : neighbor.distance;
     
-    if (currentNode === null || distances[currentNode] === Infinity) break;
-    if (currentNode === endNode) {
-      const path = [];
-      let node = endNode;
-      while (node !== null) {
-        path.unshift(node);
-        node = previous[node];
-      }
-      return path;
+    let cost;
+    if (isNight) {
+      // Night: Use original safety formula (safety-weighted)
+      const safetyScore = (weights.infra * infra) +
+                        (lightWeight * scores.light) +
+                        (weights.amenity * scores.amenity) +
+                        (crimeWeight * scores.crime) +
+                        (disruptionWeight * scores.disruption);
+      
+      // Cost = distance - safety bonus (safer routes are "shorter")
+      cost = distance - (safetyScore * 0.1);
+    } else {
+      // Day: Similar to fastest but with safety consideration
+      // Use distance as primary factor, but add penalty for low safety
+      // Make it more distinct from fastest by using a larger safety penalty
+      const safetyScore = (weights.infra * infra) +
+                        (lightWeight * scores.light) +
+                        (weights.amenity * scores.amenity) +
+                        (crimeWeight * scores.crime) +
+                        (disruptionWeight * scores.disruption);
+      
+      // Cost = distance + safety penalty (lower safety = higher cost)
+      // Use a larger multiplier (0.15) to make it more distinct from fastest
+      // This makes it prioritize shorter routes but avoid very unsafe segments
+      const safetyPenalty = Math.max(0, 5 - safetyScore) * 0.15;
+      cost = distance + safetyPenalty;
     }
     
-    unvisited.delete(currentNode);
+    cost = Math.max(0.1, cost);
+    return options.avoid && options.avoid(segment) ? cost * AVOID_COST_FACTOR : cost;
+  };
+}
+
+// Dijkstra's algorithm for safest route (safety-weighted)
+function findSafestPath(graph, startNode, endNode, departureDate, options = {}) {
+  const date = parseDepartureDate(departureDate);
+  return searchPath(graph, startNode, endNode, createSafestEdgeCost(date, options));
+}
+
+// Length of a path of node IDs along its edges (km)
+function getPathDistance(pathNodeIds, graph) {
+  return getPathEdges(pathNodeIds, graph).reduce((total, edge) => total + edge.distance, 0);
+}
+
+// Share of a path's length (0-1) that runs along edges of any of the other paths
+function getPathOverlap(pathNodeIds, otherPaths, graph) {
+  const edges = getPathEdges(pathNodeIds, graph);
+  const total = edges.reduce((sum, edge) => sum + edge.distance, 0);
+  if (total === 0) return 1;
+  const used = new Set();
+  otherPaths.forEach(other => getPathEdges(other, graph).forEach(edge => used.add(edge.segment.id)));
+  const shared = edges.reduce((sum, edge) => sum + (used.has(edge.segment.id) ? edge.distance : 0), 0);
+  return shared / total;
+}
+
+// Up to `count` alternative paths (node ID arrays) that differ from the given paths and each
+// other by at least ALTERNATIVE_MIN_DIFFERENCE of their length. Uses the penalty method: after
+// each search, the edges of the path found cost ALTERNATIVE_PENALTY_FACTOR times more, pushing
+// the next search onto other streets. Paths longer than ALTERNATIVE_MAX_STRETCH times the
+// shortest path are dropped. Alternatives are ordered by length.
+function findAlternativePaths(graph, startNode, endNode, existingPaths = [], options = {}) {
+  const count = Math.min(options.count !== undefined ? options.count : 2, MAX_ALTERNATIVES);
+  const target = graph[endNode] ? graph[endNode].coords : null;
+  if (!target || count <= 0) return [];
+  const mode = options.mode || DEFAULT_TRAVEL_MODE;
+  const avoid = options.avoid || null;
+  
+  const known = existingPaths.filter(pathNodeIds => pathNodeIds && pathNodeIds.length > 1);
+  const penalties = new Map(); // Segment ID -> cost multiplier
+  const penalize = pathNodeIds => getPathEdges(pathNodeIds, graph).forEach(edge => {
+    penalties.set(edge.segment.id, (penalties.get(edge.segment.id) || 1) * ALTERNATIVE_PENALTY_FACTOR);
+  });
+  known.forEach(penalize);
+  
+  const shortest = known.length > 0
+    ? Math.min(...known.map(pathNodeIds => getPathDistance(pathNodeIds, graph)))
+    : getPathDistance(findFastestPath(graph, startNode, endNode, { mode, avoid }), graph);
+  
+  const alternatives = [];
+  for (let attempt = 0; attempt < count * ALTERNATIVE_ATTEMPTS_PER_ROUTE && alternatives.length < count; attempt++) {
+    const pathNodeIds = searchPath(
+      graph,
+      startNode,
+      endNode,
+      neighbor => canTraverse(neighbor, mode)
+        ? neighbor.distance * (penalties.get(neighbor.segment.id) || 1) * (avoid && avoid(neighbor.segment) ? AVOID_COST_FACTOR : 1)
+        : Infinity,
+      nodeId => calculateDistance(graph[nodeId].coords, target)
+    );
+    if (pathNodeIds.length < 2) break;
+    penalize(pathNodeIds);
     
-    if (graph[currentNode] && graph[currentNode].neighbors) {
-      for (const neighbor of graph[currentNode].neighbors) {
-        if (!unvisited.has(neighbor.node)) continue;
-        
-        const segment = neighbor.segment;
-        const scores = segment.scores;
-        
-        let cost;
-        if (isNight) {
-          // Night: Use original safety formula (safety-weighted)
-          const safetyScore = (W_INFRASTRUCTURE * scores.infra) +
-                            (lightWeight * scores.light) +
-                            (W_AMENITY * scores.amenity) +
-                            (crimeWeight * scores.crime) +
-                            (W_DISRUPTION * scores.disruption);
-          
-          // Cost = distance - safety bonus (safer routes are "shorter")
-          cost = neighbor.distance - (safetyScore * 0.1);
-        } else {
-          // Day: Similar to fastest but with safety consideration
-          // Use distance as primary factor, but add penalty for low safety
-          // Make it more distinct from fastest by using a larger safety penalty
-          const safetyScore = (W_INFRASTRUCTURE * scores.infra) +
-                            (lightWeight * scores.light) +
-                            (W_AMENITY * scores.amenity) +
-                            (crimeWeight * scores.crime) +
-                            (W_DISRUPTION * scores.disruption);
-          
-          // Cost = distance + safety penalty (lower safety = higher cost)
-          // Use a larger multiplier (0.15) to make it more distinct from fastest
-          // This makes it prioritize shorter routes but avoid very unsafe segments
-          const safetyPenalty = Math.max(0, 5 - safetyScore) * 0.15;
-          cost = neighbor.distance + safetyPenalty;
-        }
-        
-        const finalCost = Math.max(0.1, cost);
-        
-        const alt = distances[currentNode] + finalCost;
-        if (alt < distances[neighbor.node]) {
-          distances[neighbor.node] = alt;
-          previous[neighbor.node] = currentNode;
-        }
-      }
-    }
+    if (getPathDistance(pathNodeIds, graph) > shortest * ALTERNATIVE_MAX_STRETCH) break;
+    if (getPathOverlap(pathNodeIds, [...known, ...alternatives], graph) > 1 - ALTERNATIVE_MIN_DIFFERENCE) continue;
+    alternatives.push(pathNodeIds);
   }
   
-  return [];
+  return alternatives
+    .map(pathNodeIds => ({ pathNodeIds, distance: getPathDistance(pathNodeIds, graph) }))
+    .sort((a, b) => a.distance - b.distance)
+    .map(alternative => alternative.pathNodeIds);
+}
+
+// Length of a path (km) on edges the avoid filter matches - the part of a route that
+// could not be kept out of the user's avoid areas and streets
+function getPathAvoidedDistance(pathNodeIds, graph, avoid) {
+  if (!avoid) return 0;
+  return getPathEdges(pathNodeIds, graph).reduce((total, edge) => total + (avoid(edge.segment) ? edge.distance : 0), 0);
+}
+
+// Join per-leg paths (each ending where the next starts) into one path of node IDs.
+// Empty if any leg has no path, since the stops can't all be reached.
+function joinLegPaths(legPaths) {
+  if (legPaths.length === 0 || legPaths.some(pathNodeIds => !pathNodeIds || pathNodeIds.length === 0)) return [];
+  const joined = legPaths.reduce((path, pathNodeIds) => {
+    if (path.length === 0) return pathNodeIds.slice();
+    return path.concat(pathNodeIds.slice(1));
+  }, []);
+  if (legPaths.every(pathNodeIds => pathEdges.has(pathNodeIds))) {
+    pathEdges.set(joined, [].concat(...legPaths.map(pathNodeIds => pathEdges.get(pathNodeIds))));
+  }
+  return joined;
 }
 
 // Convert path of node IDs to full coordinate array
@@ -559,8 +2171,8 @@ function pathToCoordinates(pathNodeIds, graph) {
     const node = graph[currentNode];
     if (!node) continue;
     
-    // Find the segment connecting these nodes
-    const neighbor = node.neighbors.find(n => n.node === nextNode);
+    // The segment connecting these nodes
+    const neighbor = getPathEdge(pathNodeIds, i, graph);
     if (neighbor && neighbor.segment) {
       const segment = neighbor.segment;
       const coords = segment.coordinates;
@@ -624,11 +2236,39 @@ const testNodes = {
 module.exports = {
   loadStreetData,
   buildGraph,
+  splitSegmentsAtIntersections,
+  getComponentStats,
   findClosestNode,
   findFastestPath,
   findSafestPath,
+  findAlternativePaths,
+  getPathDistance,
+  joinLegPaths,
+  getPathAvoidedDistance,
   pathToCoordinates,
   testNodes,
-  calculateDistance
+  calculateDistance,
+  attachReportToSegments,
+  applySafeHavensToSegments,
+  getEffectiveScores,
+  getVancouverHour,
+  getVancouverDateAtHour,
+  getDaylight,
+  getPathSegments,
+  getPathClosures,
+  getPathDarkStretches,
+  getPathManeuvers,
+  getPathHazards,
+  getSafetyScore,
+  summarizePathSafety,
+  parseDepartureDate,
+  createSafestEdgeCost,
+  getTravelMode,
+  canTraverse,
+  MAX_ALTERNATIVES,
+  MAX_WAYPOINTS,
+  buildSpatialIndex,
+  findClosestSegmentPoint,
+  insertSnapNodes
 };
 
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { CRIME_FILE } = require('./crimeData');
+const { NEIGHBORHOODS_FILE } = require('./neighborhoods');
+
+// Data layers read from data/. Only the bikeway network is required: every other layer is
+// optional, and the safety factors it feeds keep neutral defaults when it is missing.
+// Each entry: { id, label, file, factors (score keys it feeds), required, url }, where url
+// is where `npm run fetch-data` downloads the file from, for layers with a public export
+const DATA_SOURCES = [];
+// id -> outcome of the last load: { status, rows, modified, latestRecord, loadedAt, error }
+const sourceStatus = new Map();
+
+function registerDataSource(source) {
+  if (!source || !source.id || !source.file) {
+    throw new Error('Data source needs an id and a file');
+  }
+  if (DATA_SOURCES.some(existing => existing.id === source.id)) return;
+  DATA_SOURCES.push({ label: source.id, factors: [], required: false, ...source });
+}
+
+// Export of a City of Vancouver Open Data Portal dataset. CSVs come with column labels as
+// headers and semicolons between fields, the way the portal's download button saves them.
+function getOpenDataUrl(dataset, format = 'csv') {
+  const url = `https://opendata.vancouver.ca/api/explore/v2.1/catalog/datasets/${dataset}/exports/${format}`;
+  return format === 'csv' ? `${url}?delimiter=%3B&use_labels=true` : url;
+}
+
+registerDataSource({ id: 'bikeways', label: 'Bikeway network', file: 'bikeways.csv', factors: ['infra'], required: true });
+registerDataSource({
+  id: 'sidewalks',
+  label: 'Sidewalk condition',
+  file: 'sidewalk-condition-rating.csv',
+  factors: ['infra'],
+  url: getOpenDataUrl('sidewalk-condition-rating')
+});
+registerDataSource({
+  id: 'lighting',
+  label: 'Street lighting poles',
+  file: 'street-lighting-poles.csv',
+  factors: ['light'],
+  url: getOpenDataUrl('street-lighting-poles')
+});
+registerDataSource({ id: 'crime', label: 'VPD crime incidents', file: CRIME_FILE, factors: ['crime'] });
+registerDataSource({ id: 'closures', label: 'Road closures', file: 'road-ahead-current-road-closures.csv', factors: ['disruption'] });
+registerDataSource({
+  id: 'neighborhoods',
+  label: 'Neighbourhood boundaries',
+  file: NEIGHBORHOODS_FILE,
+  factors: [],
+  url: getOpenDataUrl('local-area-boundary', 'geojson')
+});
+
+// Load one registered source: load(filePath) returns its records (an array, counted as rows).
+// options.latest(records) can give the newest record's Date for freshness.
+// Returns the records, or null when the file is missing or fails to load - unless the
+// source is required, in which case the error is thrown.
+function loadDataSource(dataDir, id, load, options = {}) {
+  const source = DATA_SOURCES.find(candidate => candidate.id === id);
+  if (!source) throw new Error(`Unknown data source: ${id}`);
+
+  const filePath = path.join(dataDir, source.file);
+  const loadedAt = new Date().toISOString();
+
+  if (!fs.existsSync(filePath)) {
+    sourceStatus.set(id, { status: 'missing', rows: 0, modified: null, latestRecord: null, loadedAt, error: null });
+    if (source.required) {
+      throw new Error(`Required data file not found: ${source.file}`);
+    }
+    console.warn(`Data layer "${source.label}" not loaded (${source.file} not found)`);
+    return null;
+  }
+
+  const modified = fs.statSync(filePath).mtime.toISOString();
+  try {
+    const records = load(filePath) || [];
+    const latest = options.latest ? options.latest(records) : null;
+    sourceStatus.set(id, {
+      status: 'loaded',
+      rows: Array.isArray(records) ? records.length : null,
+      modified,
+      latestRecord: latest ? latest.toISOString() : null,
+      loadedAt,
+      error: null
+    });
+    return records;
+  } catch (error) {
+    sourceStatus.set(id, { status: 'error', rows: 0, modified, latestRecord: null, loadedAt, error: error.message });
+    if (source.required) throw error;
+    console.warn(`Data layer "${source.label}" failed to load (${source.file}):`, error.message);
+    return null;
+  }
+}
+
+// Every registered source with the outcome of its last load ('pending' before the first)
+function getDataSourceStatus() {
+  return DATA_SOURCES.map(source => ({
+    id: source.id,
+    label: source.label,
+    file: source.file,
+    factors: source.factors,
+    required: source.required,
+    ...(sourceStatus.get(source.id) || { status: 'pending', rows: 0, modified: null, latestRecord: null, loadedAt: null, error: null })
+  }));
+}
+
+// Which safety factors have data behind them: { infra: true, light: false, ... }.
+// A factor is active when at least one source feeding it loaded.
+function getActiveFactors() {
+  const factors = {};
+  DATA_SOURCES.forEach(source => {
+    const loaded = (sourceStatus.get(source.id) || {}).status === 'loaded';
+    source.factors.forEach(factor => {
+      factors[factor] = factors[factor] || loaded;
+    });
+  });
+  return factors;
+}
+
+module.exports = {
+  DATA_SOURCES,
+  registerDataSource,
+  loadDataSource,
+  getDataSourceStatus,
+  getActiveFactors
+};
@@ -0,0 +1,55 @@
+// Downloads the optional data layers that have a public export (a `url` in the data source
+// registry) into data/. Files already there are kept unless --force is given. Restart the
+// server or POST /api/reload afterwards to load them.
+//
+// Usage: npm run fetch-data [-- --force]
+const fs = require('fs');
+const path = require('path');
+const { DATA_SOURCES } = require('./dataSources');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Download url to filePath, through a temporary file so a failed download leaves no partial file
+async function download(url, filePath) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+  const body = Buffer.from(await response.arrayBuffer());
+  const tmpPath = `${filePath}.download`;
+  fs.writeFileSync(tmpPath, body);
+  fs.renameSync(tmpPath, filePath);
+  return body.length;
+}
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const sources = DATA_SOURCES.filter(source => source.url);
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  let failures = 0;
+  for (const source of sources) {
+    const filePath = path.join(DATA_DIR, source.file);
+    if (!force && fs.existsSync(filePath)) {
+      console.log(`skip  ${source.file} (already in data/)`);
+      continue;
+    }
+    try {
+      const bytes = await download(source.url, filePath);
+      console.log(`ok    ${source.file} (${(bytes / 1024 / 1024).toFixed(1)} MB)`);
+    } catch (error) {
+      failures++;
+      // fetch() puts the network error (e.g. ENOTFOUND) in error.cause
+      const cause = error.cause ? ` (${error.cause.code || error.cause.message})` : '';
+      console.error(`FAIL  ${source.file}: ${error.message}${cause}`);
+      console.error(`      from ${source.url}`);
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`\n${failures} download(s) failed`);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,95 @@
+const fs = require('fs');
+
+// Neighbourhood boundaries: City of Vancouver "Local area boundary" open data, exported
+// as GeoJSON (a FeatureCollection of Polygon/MultiPolygon features with a `name` property)
+const NEIGHBORHOODS_FILE = 'local-area-boundary.geojson';
+
+// Feature name from whichever property the export uses
+function getFeatureName(properties = {}) {
+  const name = properties.name || properties.Name || properties.NAME || properties.mapid;
+  return name ? String(name).trim() : null;
+}
+
+// GeoJSON rings are [lng, lat]; convert to [lat, lng] like the rest of the backend
+function toLatLngRing(ring) {
+  return ring.map(coord => [coord[1], coord[0]]);
+}
+
+// Load neighbourhood polygons from the GeoJSON at filePath:
+// [{ name, polygons: [[outerRing, ...holes]], bounds }]
+function loadNeighborhoods(filePath) {
+  const collection = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+  const neighborhoods = [];
+  (collection.features || []).forEach(feature => {
+    const geometry = feature.geometry;
+    const name = getFeatureName(feature.properties);
+    if (!geometry || !name) return;
+
+    let polygons;
+    if (geometry.type === 'Polygon') {
+      polygons = [geometry.coordinates.map(toLatLngRing)];
+    } else if (geometry.type === 'MultiPolygon') {
+      polygons = geometry.coordinates.map(polygon => polygon.map(toLatLngRing));
+    } else {
+      return;
+    }
+
+    let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+    polygons.forEach(polygon => {
+      polygon[0].forEach(([lat, lng]) => {
+        if (lat < minLat) minLat = lat;
+        if (lat > maxLat) maxLat = lat;
+        if (lng < minLng) minLng = lng;
+        if (lng > maxLng) maxLng = lng;
+      });
+    });
+
+    neighborhoods.push({ name, polygons, bounds: { minLat, maxLat, minLng, maxLng } });
+  });
+
+  return neighborhoods;
+}
+
+// Ray casting: is [lat, lng] inside a closed ring?
+function pointInRing(point, ring) {
+  const [lat, lng] = point;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [latI, lngI] = ring[i];
+    const [latJ, lngJ] = ring[j];
+    const crosses = (latI > lat) !== (latJ > lat) &&
+      lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+// Inside the outer ring and not inside any hole
+function pointInPolygon(point, polygon) {
+  if (!pointInRing(point, polygon[0])) return false;
+  for (let i = 1; i < polygon.length; i++) {
+    if (pointInRing(point, polygon[i])) return false;
+  }
+  return true;
+}
+
+// Name of the neighbourhood containing [lat, lng], or null
+function findNeighborhood(point, neighborhoods) {
+  for (const neighborhood of neighborhoods) {
+    const { bounds } = neighborhood;
+    if (point[0] < bounds.minLat || point[0] > bounds.maxLat ||
+        point[1] < bounds.minLng || point[1] > bounds.maxLng) continue;
+    if (neighborhood.polygons.some(polygon => pointInPolygon(point, polygon))) {
+      return neighborhood.name;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  NEIGHBORHOODS_FILE,
+  loadNeighborhoods,
+  findNeighborhood,
+  pointInPolygon
+};
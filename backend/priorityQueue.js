@@ -0,0 +1,62 @@
+// Binary min-heap keyed on (priority, order).
+// `order` breaks ties so equal-priority items come out in a stable, caller-defined
+// sequence (the path functions use node insertion order to match the old linear scan).
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority, order = 0) {
+    this.items.push({ value, priority, order });
+    this.bubbleUp(this.items.length - 1);
+  }
+
+  // Remove and return the entry with the lowest priority ({ value, priority, order })
+  pop() {
+    const items = this.items;
+    if (items.length === 0) return null;
+
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      this.sinkDown(0);
+    }
+    return top;
+  }
+
+  less(a, b) {
+    return a.priority < b.priority || (a.priority === b.priority && a.order < b.order);
+  }
+
+  bubbleUp(index) {
+    const items = this.items;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.less(items[index], items[parent])) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  sinkDown(index) {
+    const items = this.items;
+    const length = items.length;
+    while (true) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < length && this.less(items[left], items[smallest])) smallest = left;
+      if (right < length && this.less(items[right], items[smallest])) smallest = right;
+      if (smallest === index) break;
+      [items[index], items[smallest]] = [items[smallest], items[index]];
+      index = smallest;
+    }
+  }
+}
+
+module.exports = { MinHeap };
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Report types accepted from the Report forms
+const REPORT_TYPES = [
+  'poor-lighting',
+  'dangerous-drivers',
+  'suspicious-activity',
+  'broken-sidewalks',
+  'construction-zones'
+];
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Reports queued offline may arrive late, but not later than this
+const MAX_REPORT_AGE_DAYS = 7;
+
+// Reports are runtime data, so they live next to (not inside) the shipped CSVs
+const REPORTS_FILE = process.env.REPORTS_FILE ||
+  path.join(__dirname, '..', 'data', 'reports.json');
+
+// In-memory copy of everything on disk
+let reports = null;
+// Serialize writes so concurrent POSTs never interleave on disk
+let writeQueue = Promise.resolve();
+
+// Load reports from disk (once)
+function loadReports() {
+  if (reports) return reports;
+
+  try {
+    const content = fs.readFileSync(REPORTS_FILE, 'utf-8');
+    const parsed = JSON.parse(content);
+    reports = Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.warn(`[reportStore] Could not read ${REPORTS_FILE}: ${e.message}`);
+    }
+    reports = [];
+  }
+
+  return reports;
+}
+
+// Write all reports plus `added` to disk via a temp file so a crash never leaves half a file,
+// and only keep `added` in memory once it is on disk. The snapshot is taken when the write's
+// turn comes, so it includes every report an earlier write added. A failed write rejects
+// only its own caller; the next write still runs.
+function persistReport(added) {
+  const write = writeQueue.catch(() => {}).then(async () => {
+    const snapshot = JSON.stringify([...reports, added], null, 2);
+    const tmpFile = `${REPORTS_FILE}.tmp`;
+    await fs.promises.mkdir(path.dirname(REPORTS_FILE), { recursive: true });
+    await fs.promises.writeFile(tmpFile, snapshot, 'utf-8');
+    await fs.promises.rename(tmpFile, REPORTS_FILE);
+    reports.push(added);
+  });
+  writeQueue = write;
+  return write;
+}
+
+// Accept { lat, lng } or [lat, lng]
+function normalizeLocation(location) {
+  if (!location) return null;
+  const lat = Array.isArray(location) ? location[0] : location.lat;
+  const lng = Array.isArray(location) ? location[1] : location.lng;
+  const parsedLat = typeof lat === 'string' ? parseFloat(lat) : lat;
+  const parsedLng = typeof lng === 'string' ? parseFloat(lng) : lng;
+  if (!Number.isFinite(parsedLat) || !Number.isFinite(parsedLng)) return null;
+  return { lat: parsedLat, lng: parsedLng };
+}
+
+// Validate an incoming report body. Returns { errors } or { report }
+function validateReport(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object') {
+    return { errors: ['Request body must be a JSON object'] };
+  }
+
+  const type = typeof body.type === 'string' ? body.type.trim() : '';
+  if (!REPORT_TYPES.includes(type)) {
+    errors.push(`Invalid type. Expected one of: ${REPORT_TYPES.join(', ')}`);
+  }
+
+  const location = normalizeLocation(body.location);
+  if (!location) {
+    errors.push('Missing or invalid location. Expected { lat, lng }');
+  } else if (location.lat < 49 || location.lat > 50 || location.lng < -124 || location.lng > -122) {
+    // Same Vancouver-area check as /route
+    errors.push('Location must be in Vancouver, BC');
+  }
+
+  let description = '';
+  if (body.description !== undefined && body.description !== null) {
+    if (typeof body.description !== 'string') {
+      errors.push('Description must be a string');
+    } else {
+      description = body.description.trim();
+      if (description.length > MAX_DESCRIPTION_LENGTH) {
+        errors.push(`Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+      }
+    }
+  }
+
+  // Reports queued offline carry the time they were made; never trust a future one,
+  // and refuse ones older than MAX_REPORT_AGE_DAYS
+  const now = new Date();
+  let reportedAt = now;
+  if (body.timestamp) {
+    const parsed = new Date(body.timestamp);
+    if (now - parsed > MAX_REPORT_AGE_DAYS * 24 * 60 * 60 * 1000) {
+      errors.push(`Timestamp must be within the last ${MAX_REPORT_AGE_DAYS} days`);
+    } else if (!isNaN(parsed.getTime()) && parsed <= now) {
+      reportedAt = parsed;
+    }
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const report = {
+    type,
+    description,
+    location,
+    reportedAt: reportedAt.toISOString()
+  };
+  if (typeof body.location.address === 'string') {
+    report.address = body.location.address.slice(0, 200);
+  }
+  if (body.routeType === 'fastest' || body.routeType === 'safest') {
+    report.routeType = body.routeType;
+  }
+
+  return { report };
+}
+
+// Store a validated report and persist it
+async function addReport(report) {
+  loadReports();
+  const stored = {
+    id: crypto.randomUUID(),
+    ...report,
+    createdAt: new Date().toISOString()
+  };
+  await persistReport(stored);
+  return stored;
+}
+
+// Query reports by bbox ({ minLat, minLng, maxLat, maxLng }) and time window (Dates)
+function getReports({ bbox, since, until } = {}) {
+  return loadReports().filter(report => {
+    const { lat, lng } = report.location;
+    if (bbox && (lat < bbox.minLat || lat > bbox.maxLat || lng < bbox.minLng || lng > bbox.maxLng)) {
+      return false;
+    }
+    const reportedAt = new Date(report.reportedAt);
+    if (since && reportedAt < since) return false;
+    if (until && reportedAt > until) return false;
+    return true;
+  });
+}
+
+// Parse "minLat,minLng,maxLat,maxLng" (same order as LatLngBounds.toUrlValue())
+function parseBbox(bboxString) {
+  if (!bboxString) return null;
+  const parts = String(bboxString).split(',').map(part => parseFloat(part.trim()));
+  if (parts.length !== 4 || parts.some(isNaN)) return null;
+  const [minLat, minLng, maxLat, maxLng] = parts;
+  if (minLat > maxLat || minLng > maxLng) return null;
+  return { minLat, minLng, maxLat, maxLng };
+}
+
+module.exports = {
+  REPORT_TYPES,
+  validateReport,
+  addReport,
+  getReports,
+  parseBbox
+};
@@ -1,71 +1,195 @@
 const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
 const router = express.Router();
 const {
   loadStreetData,
   buildGraph,
-  findClosestNode,
+  getComponentStats,
+  buildSpatialIndex,
+  findClosestSegmentPoint,
+  insertSnapNodes,
   findFastestPath,
   findSafestPath,
+  findAlternativePaths,
+  joinLegPaths,
+  getPathAvoidedDistance,
+  MAX_ALTERNATIVES,
+  MAX_WAYPOINTS,
   pathToCoordinates,
   testNodes,
-  calculateDistance
+  calculateDistance,
+  getTravelMode,
+  attachReportToSegments,
+  applySafeHavensToSegments,
+  getPathClosures,
+  getPathDarkStretches,
+  getPathHazards,
+  getPathManeuvers,
+  summarizePathSafety,
+  getDaylight,
+  getVancouverHour,
+  getVancouverDateAtHour
 } = require('./dataProcessor');
+const {
+  validateReport,
+  addReport,
+  getReports,
+  parseBbox
+} = require('./reportStore');
+const { loadSafeHavens, getSafeHavensInBounds } = require('./safeHavens');
+const { getDataSourceStatus, getActiveFactors } = require('./dataSources');
+const { parseWeightsParam, validateWeights, getWeightPresets, DEFAULT_WEIGHTS, DEFAULT_PRESET, MAX_WEIGHT } = require('./safetyWeights');
+const {
+  parseAvoidAreasParam,
+  parseAvoidStreetsParam,
+  parseAvoidSegmentsParam,
+  validateAvoidances,
+  createAvoidFilter,
+  getUnmatchedStreets
+} = require('./avoidances');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
 
 // Cache loaded data
 let streetData = null;
 let graphData = null;
 let graph = null;
 let nodeMap = null;
+let spatialIndex = null;
+let graphStats = null;
+let safeHavens = [];
 let isLoading = false;
 let loadPromise = null;
 let loadError = null;
+let loadedAt = null;
+let nextRetryAt = 0;
+let loadEndedAt = 0; // When the last load finished, successfully or not
 
-// Initialize data - can be called multiple times safely
-function initializeData() {
-  // If already loaded, return immediately
-  if (streetData && graph) {
-    return Promise.resolve();
-  }
-  
-  // If currently loading, return the existing promise
-  if (isLoading && loadPromise) {
-    return loadPromise;
-  }
-  
-  // If there was an error, throw it
-  if (loadError) {
-    return Promise.reject(loadError);
-  }
-  
-  // Start loading
-  isLoading = true;
-  loadPromise = new Promise((resolve, reject) => {
+// After a failed load, wait this long before trying again (configurable via env)
+const LOAD_RETRY_MS = parseInt(process.env.DATA_LOAD_RETRY_MS) || 30000;
+
+// A reload re-reads every file and blocks the server while it runs, so only admins may start
+// one: with RELOAD_TOKEN set, requests must send it as a bearer token; without it, only
+// requests from this machine are accepted
+const RELOAD_TOKEN = process.env.RELOAD_TOKEN || null;
+const LOCAL_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+// Loading blocks the server, so requests queued behind a reload only run once it is done:
+// refuse new reloads this soon after the last load finished (configurable via env)
+const RELOAD_COOLDOWN_MS = parseInt(process.env.RELOAD_COOLDOWN_MS) || 10000;
+
+// Alternative routes returned alongside fastest and safest unless ?alternatives= says otherwise
+const DEFAULT_ALTERNATIVES = 2;
+
+// Load every data layer and build the graph. Results only replace the cached data once
+// everything has been built, so a reload keeps serving the previous graph until then.
+function loadData() {
+  return new Promise((resolve, reject) => {
     try {
       console.log('Loading street data from CSV files...');
       const startTime = Date.now();
       
-      streetData = loadStreetData();
-      console.log(`Loaded ${streetData.length} street segments in ${Date.now() - startTime}ms`);
+      const segments = loadStreetData(DATA_DIR);
+      console.log(`Loaded ${segments.length} street segments in ${Date.now() - startTime}ms`);
       
       const buildStart = Date.now();
-      const built = buildGraph(streetData);
+      const built = buildGraph(segments);
+      // Segments split at intersections - these are what graph edges point to
+      const builtSegments = built.segments;
+      const builtStats = {
+        split: built.splitStats,
+        components: getComponentStats(built.graph)
+      };
+      console.log(`Built graph with ${Object.keys(built.graph).length} nodes in ${Date.now() - buildStart}ms`);
+      console.log(`Split ${built.splitStats.splitSegments} segments at intersections (${built.splitStats.inputSegments} -> ${built.splitStats.outputSegments}), ${builtStats.components.count} connected components`);
+      
+      const indexStart = Date.now();
+      const builtIndex = buildSpatialIndex(built.graph, builtSegments);
+      console.log(`Built spatial index in ${Date.now() - indexStart}ms`);
+      
+      // Fire halls and other 24-hour places raise nearby amenity scores
+      const havens = loadSafeHavens(DATA_DIR);
+      const havenSegments = applySafeHavensToSegments(havens, builtSegments);
+      console.log(`Applied ${havens.length} safe havens to ${havenSegments} segments`);
+      
+      // Apply stored user reports to the freshly built segments
+      const reports = getReports();
+      let reportedSegments = 0;
+      reports.forEach(report => {
+        reportedSegments += attachReportToSegments(report, builtSegments);
+      });
+      console.log(`Applied ${reports.length} user reports to ${reportedSegments} segments`);
+      
+      streetData = builtSegments;
       graph = built.graph;
       nodeMap = built.nodeMap;
-      console.log(`Built graph with ${Object.keys(graph).length} nodes in ${Date.now() - buildStart}ms`);
-      
-      isLoading = false;
+      graphStats = builtStats;
+      spatialIndex = builtIndex;
+      safeHavens = havens;
+      loadedAt = new Date();
+      loadError = null;
       resolve();
     } catch (error) {
       console.error('Error loading data:', error);
-      isLoading = false;
       loadError = error;
+      nextRetryAt = Date.now() + LOAD_RETRY_MS;
+      // Try again in the background, so a fixed data folder is picked up without a restart
+      setTimeout(() => {
+        initializeData().catch(err => console.error('Data load retry failed:', err.message));
+      }, LOAD_RETRY_MS).unref();
       reject(error);
     }
   });
-  
+}
+
+// Run one load at a time; concurrent callers share it
+function startLoad() {
+  if (!loadPromise) {
+    isLoading = true;
+    loadPromise = loadData().finally(() => {
+      isLoading = false;
+      loadPromise = null;
+      loadEndedAt = Date.now();
+    });
+  }
   return loadPromise;
 }
 
+// Initialize data - can be called multiple times safely
+function initializeData() {
+  // If already loaded, return immediately
+  if (streetData && graph) {
+    return Promise.resolve();
+  }
+  
+  // If currently loading, return the existing promise
+  if (loadPromise) {
+    return loadPromise;
+  }
+  
+  // After a failure, report the error until the retry delay has passed
+  if (loadError && Date.now() < nextRetryAt) {
+    return Promise.reject(loadError);
+  }
+  
+  return startLoad();
+}
+
+// Reload every data layer from disk (e.g. after adding or updating a file in data/).
+// A reload that is already running is joined rather than started again.
+function reloadData() {
+  return startLoad();
+}
+
+function isReloadAllowed(req) {
+  if (!RELOAD_TOKEN) {
+    return LOCAL_ADDRESSES.includes(req.socket.remoteAddress);
+  }
+  const expected = Buffer.from(`Bearer ${RELOAD_TOKEN}`);
+  const given = Buffer.from(req.get('Authorization') || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
 // Pre-load data when module is loaded (non-blocking)
 setImmediate(() => {
   initializeData().catch(err => {
@@ -73,15 +197,115 @@ setImmediate(() => {
   });
 });
 
+// Parse a route location: a test node ID (A-F) or "lat,lng". Returns { coord } or { error }.
+function parseLocation(value, name) {
+  const upper = value.toUpperCase().trim();
+  if (testNodes[upper]) {
+    return { coord: testNodes[upper] };
+  }
+  
+  // Try to parse as coordinates (handle URL encoding)
+  const decoded = decodeURIComponent(value);
+  const parts = decoded.split(',');
+  if (parts.length !== 2) {
+    return { error: `Invalid ${name}: ${decoded}. Use node ID (A-F) or lat,lng coordinates` };
+  }
+  const lat = parseFloat(parts[0].trim());
+  const lng = parseFloat(parts[1].trim());
+  if (isNaN(lat) || isNaN(lng)) {
+    return { error: `Invalid ${name} coordinates: ${decoded}. Expected format: lat,lng` };
+  }
+  return { coord: [lat, lng] };
+}
+
+// Daylight for the response: ISO timestamps (null if the event doesn't happen that day)
+function formatDaylight(daylight) {
+  const toISO = date => date ? date.toISOString() : null;
+  return {
+    civilDawn: toISO(daylight.civilDawn),
+    sunrise: toISO(daylight.sunrise),
+    sunset: toISO(daylight.sunset),
+    civilDusk: toISO(daylight.civilDusk),
+    period: daylight.period,
+    isNight: daylight.isNight
+  };
+}
+
+// Dark stretches for the response, with coordinates in Google Maps format
+function formatDarkStretches(stretches) {
+  if (!stretches) return null;
+  return stretches.map(stretch => ({
+    ...stretch,
+    coordinates: stretch.coordinates.map(([lat, lng]) => ({ lat, lng }))
+  }));
+}
+
+// Hazards for the response, with coordinates in Google Maps format
+function formatHazards(hazards) {
+  return hazards.map(hazard => ({
+    ...hazard,
+    coordinate: { lat: hazard.coordinate[0], lng: hazard.coordinate[1] },
+    ...(hazard.coordinates && { coordinates: hazard.coordinates.map(([lat, lng]) => ({ lat, lng })) })
+  }));
+}
+
+// Maneuvers for the response, with coordinates in Google Maps format
+function formatManeuvers(maneuvers) {
+  return maneuvers.map(maneuver => ({
+    ...maneuver,
+    coordinate: { lat: maneuver.coordinate[0], lng: maneuver.coordinate[1] }
+  }));
+}
+
 // GET /status endpoint to check loading status
-router.get('/status', (req, res) => {
-  res.json({
+function getStatus() {
+  return {
     loaded: !!(streetData && graph),
     loading: isLoading,
+    loadedAt: loadedAt ? loadedAt.toISOString() : null,
     segments: streetData ? streetData.length : 0,
     nodes: graph ? Object.keys(graph).length : 0,
-    error: loadError ? loadError.message : null
-  });
+    graph: graphStats,
+    factors: getActiveFactors(),
+    sources: getDataSourceStatus(),
+    error: loadError ? loadError.message : null,
+    nextRetryAt: loadError && nextRetryAt > Date.now() ? new Date(nextRetryAt).toISOString() : null
+  };
+}
+
+router.get('/status', (req, res) => {
+  res.json(getStatus());
+});
+
+// POST /reload endpoint - re-read every data layer from disk without restarting
+router.post('/reload', async (req, res) => {
+  if (!isReloadAllowed(req)) {
+    return res.status(403).json({
+      error: 'Reload not allowed',
+      message: RELOAD_TOKEN
+        ? 'Send the reload token as "Authorization: Bearer <token>"'
+        : 'Reloads are only accepted from localhost unless RELOAD_TOKEN is set'
+    });
+  }
+  const waitMs = loadEndedAt + RELOAD_COOLDOWN_MS - Date.now();
+  if (!loadPromise && waitMs > 0) {
+    res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+    return res.status(429).json({
+      error: 'Reload too soon',
+      message: `Data finished loading less than ${RELOAD_COOLDOWN_MS / 1000}s ago; try again in ${Math.ceil(waitMs / 1000)}s`,
+      status: getStatus()
+    });
+  }
+  try {
+    await reloadData();
+    res.json(getStatus());
+  } catch (error) {
+    res.status(500).json({
+      error: 'Data reload failed',
+      message: error.message,
+      status: getStatus()
+    });
+  }
 });
 
 // GET /route endpoint
@@ -90,13 +314,57 @@ router.get('/route', async (req, res) => {
     // Wait for data to be loaded
     await initializeData();
     
-    const { start, end, hour, departure } = req.query;
+    const { start, end, waypoints, hour, departure, mode, alternatives, preset, weights, avoidAreas, avoidStreets, avoidSegments } = req.query;
     
     if (!start || !end) {
       return res.status(400).json({ 
         error: 'Missing required parameters: start and end' 
       });
     }
+    
+    // Travel mode: walk (default) or bike
+    const travelMode = getTravelMode(mode);
+    if (!travelMode) {
+      return res.status(400).json({ 
+        error: `Invalid mode: ${mode}. Use walk or bike` 
+      });
+    }
+
+    // Safety weights: a named preset, optionally overridden per factor (weights=infra:3,light:5)
+    const { errors: weightErrors, profile: weightProfile } = validateWeights({
+      preset,
+      weights: weights ? parseWeightsParam(weights) : null
+    });
+    if (weightErrors) {
+      return res.status(400).json({
+        error: 'Invalid weights',
+        details: weightErrors
+      });
+    }
+
+    // Places to stay out of: avoidAreas=lat,lng;lat,lng;lat,lng|..., avoidStreets=Main St|...
+    // and avoidSegments=bike_12|... (from a closure hazard's segmentIds)
+    const { errors: avoidErrors, avoid: avoidance } = validateAvoidances({
+      areas: avoidAreas ? parseAvoidAreasParam(avoidAreas) : null,
+      streets: avoidStreets ? parseAvoidStreetsParam(avoidStreets) : null,
+      segments: avoidSegments ? parseAvoidSegmentsParam(avoidSegments) : null
+    });
+    if (avoidErrors) {
+      return res.status(400).json({
+        error: 'Invalid avoidances',
+        details: avoidErrors
+      });
+    }
+    const avoid = createAvoidFilter(avoidance);
+    const routeOptions = { mode: travelMode.name, weights: weightProfile.weights, avoid };
+
+    // Number of alternative routes (0 to MAX_ALTERNATIVES)
+    const alternativeCount = alternatives === undefined ? DEFAULT_ALTERNATIVES : Number(alternatives);
+    if (!Number.isInteger(alternativeCount) || alternativeCount < 0 || alternativeCount > MAX_ALTERNATIVES) {
+      return res.status(400).json({ 
+        error: `Invalid alternatives: ${alternatives}. Use a whole number from 0 to ${MAX_ALTERNATIVES}` 
+      });
+    }
 
     // Extract departure date if provided, otherwise use hour parameter or default
     let departureDate = null;
@@ -112,14 +380,12 @@ router.get('/route', async (req, res) => {
         }
       } catch (e) {
         console.warn(`[routes.js] Error parsing departure date: ${e.message}`);
-        // If parsing fails, fall back to hour parameter
+        // If parsing fails, fall back to hour parameter (Vancouver time, today)
         const currentHour = hour ? parseInt(hour) : 12;
-        departureDate = new Date();
-        departureDate.setHours(currentHour, 0, 0, 0);
+        departureDate = getVancouverDateAtHour(currentHour);
       }
     } else if (hour) {
-      departureDate = new Date();
-      departureDate.setHours(parseInt(hour), 0, 0, 0);
+      departureDate = getVancouverDateAtHour(parseInt(hour));
     } else {
       // Default to current time + 1 hour
       departureDate = new Date();
@@ -127,105 +393,189 @@ router.get('/route', async (req, res) => {
     }
     
     if (!departureDate) {
-      departureDate = new Date();
-      departureDate.setHours(12, 0, 0, 0);
+      departureDate = getVancouverDateAtHour(12);
     }
     
-    console.log(`[routes.js] Using departure date: ${departureDate.toISOString()}, Hour: ${departureDate.getHours()}`);
+    console.log(`[routes.js] Using departure date: ${departureDate.toISOString()}, Hour: ${getVancouverHour(departureDate)}`);
     
     // Handle test node IDs (A-F) or coordinates
-    let startCoord, endCoord;
-    const startUpper = start.toUpperCase().trim();
-    const endUpper = end.toUpperCase().trim();
+    const startLocation = parseLocation(start, 'start');
+    if (startLocation.error) {
+      return res.status(400).json({ error: startLocation.error });
+    }
+    const endLocation = parseLocation(end, 'end');
+    if (endLocation.error) {
+      return res.status(400).json({ error: endLocation.error });
+    }
+    const startCoord = startLocation.coord;
+    const endCoord = endLocation.coord;
     
-    if (testNodes[startUpper]) {
-      startCoord = testNodes[startUpper];
-    } else {
-      // Try to parse as coordinates (handle URL encoding)
-      const decodedStart = decodeURIComponent(start);
-      const parts = decodedStart.split(',');
-      if (parts.length === 2) {
-        const lat = parseFloat(parts[0].trim());
-        const lng = parseFloat(parts[1].trim());
-        if (isNaN(lat) || isNaN(lng)) {
-          return res.status(400).json({ 
-            error: `Invalid start coordinates: ${decodedStart}. Expected format: lat,lng` 
-          });
-        }
-        startCoord = [lat, lng];
-      } else {
+    // Optional stops between start and end, in visiting order: waypoints=lat,lng|lat,lng
+    const waypointCoords = [];
+    if (waypoints) {
+      const parts = String(waypoints).split('|');
+      if (parts.length > MAX_WAYPOINTS) {
         return res.status(400).json({ 
-          error: `Invalid start: ${decodedStart}. Use node ID (A-F) or lat,lng coordinates` 
+          error: `Too many waypoints: ${parts.length}. Use at most ${MAX_WAYPOINTS}` 
         });
       }
-    }
-    
-    if (testNodes[endUpper]) {
-      endCoord = testNodes[endUpper];
-    } else {
-      // Try to parse as coordinates (handle URL encoding)
-      const decodedEnd = decodeURIComponent(end);
-      const parts = decodedEnd.split(',');
-      if (parts.length === 2) {
-        const lat = parseFloat(parts[0].trim());
-        const lng = parseFloat(parts[1].trim());
-        if (isNaN(lat) || isNaN(lng)) {
-          return res.status(400).json({ 
-            error: `Invalid end coordinates: ${decodedEnd}. Expected format: lat,lng` 
-          });
+      for (let i = 0; i < parts.length; i++) {
+        const waypoint = parseLocation(parts[i], `waypoint ${i + 1}`);
+        if (waypoint.error) {
+          return res.status(400).json({ error: waypoint.error });
         }
-        endCoord = [lat, lng];
-      } else {
-        return res.status(400).json({ 
-          error: `Invalid end: ${decodedEnd}. Use node ID (A-F) or lat,lng coordinates` 
-        });
+        waypointCoords.push(waypoint.coord);
       }
     }
+    const stops = [startCoord, ...waypointCoords, endCoord];
     
     // Validate coordinates are in reasonable range (Vancouver area)
-    if (startCoord[0] < 49 || startCoord[0] > 50 || startCoord[1] < -124 || startCoord[1] > -122 ||
-        endCoord[0] < 49 || endCoord[0] > 50 || endCoord[1] < -124 || endCoord[1] > -122) {
+    if (stops.some(coord => coord[0] < 49 || coord[0] > 50 || coord[1] < -124 || coord[1] > -122)) {
       return res.status(400).json({ 
         error: 'Please select locations in Vancouver, BC.' 
       });
     }
     
-    // Find closest nodes in graph
-    const startNode = findClosestNode(startCoord, graph);
-    const endNode = findClosestNode(endCoord, graph);
+    // Snap every stop to the nearest point on the nearest segment
+    const stopSnaps = stops.map(coord => findClosestSegmentPoint(coord, streetData, spatialIndex));
+    const startSnap = stopSnaps[0];
+    const endSnap = stopSnaps[stopSnaps.length - 1];
     
-    if (!startNode || !endNode) {
+    if (stopSnaps.some(snap => !snap.segment)) {
       return res.status(400).json({ 
         error: 'Could not find nearby street segments for the given coordinates. Please try locations closer to bike routes.' 
       });
     }
     
-    // Find paths
-    const fastestPathNodes = findFastestPath(graph, startNode, endNode);
-    const safestPathNodes = findSafestPath(graph, startNode, endNode, departureDate);
+    // Connect a leg's route to the exact requested coordinates of its stops
+    const connectEndpoints = (coords, fromCoord, toCoord) => {
+      if (coords.length === 0) return;
+      if (calculateDistance(coords[0], fromCoord) > 0.001) {
+        coords.unshift(fromCoord);
+      } else {
+        coords[0] = fromCoord;
+      }
+      if (calculateDistance(coords[coords.length - 1], toCoord) > 0.001) {
+        coords.push(toCoord);
+      } else {
+        coords[coords.length - 1] = toCoord;
+      }
+    };
+    
+    // Coordinates of each leg (a path of node IDs), connected to its stops
+    const getLegCoords = (legPaths) => legPaths.map((pathNodeIds, i) => {
+      const coords = pathNodeIds.length === 1
+        ? [graph[pathNodeIds[0]].coords] // Both stops snapped to the same point
+        : pathToCoordinates(pathNodeIds, graph);
+      connectEndpoints(coords, stops[i], stops[i + 1]);
+      return coords;
+    });
     
-    if (fastestPathNodes.length === 0 && safestPathNodes.length === 0) {
-      return res.status(404).json({ 
-        error: 'No route found between the specified locations' 
-      });
-    }
+    // One coordinate list for the whole route; each leg starts where the previous one ended
+    const joinLegCoords = (legCoords) => legCoords.reduce(
+      (joined, coords) => joined.length === 0 ? coords.slice() : joined.concat(coords.slice(1)),
+      []
+    );
     
-    // Convert to coordinates
-    const fastestRouteCoords = fastestPathNodes.length > 0 
-      ? pathToCoordinates(fastestPathNodes, graph)
-      : [];
-    const safestRouteCoords = safestPathNodes.length > 0
-      ? pathToCoordinates(safestPathNodes, graph)
-      : [];
+    // Turn-by-turn maneuvers for a route's legs; each stop before the end is a waypoint maneuver
+    const getRouteManeuvers = (legPaths) => {
+      const maneuvers = [];
+      let offset = 0;
+      legPaths.forEach((pathNodeIds, i) => {
+        const legManeuvers = getPathManeuvers(pathNodeIds, graph);
+        if (legManeuvers.length === 0) return;
+        const arrival = legManeuvers[legManeuvers.length - 1];
+        if (i < legPaths.length - 1) {
+          arrival.type = 'waypoint';
+          arrival.instruction = `Arrive at stop ${i + 1}`;
+        }
+        legManeuvers.forEach(maneuver => {
+          maneuvers.push({ ...maneuver, startDistance: Math.round((offset + maneuver.startDistance) * 1000) / 1000 });
+        });
+        offset += arrival.startDistance;
+      });
+      return maneuvers;
+    };
     
-    // Ensure routes start and end at exact coordinates
-    if (fastestRouteCoords.length > 0) {
-      fastestRouteCoords[0] = startCoord;
-      fastestRouteCoords[fastestRouteCoords.length - 1] = endCoord;
-    }
-    if (safestRouteCoords.length > 0) {
-      safestRouteCoords[0] = startCoord;
-      safestRouteCoords[safestRouteCoords.length - 1] = endCoord;
+    // Temporary mid-segment nodes so routes start where the user is, not at a segment end
+    const snapNodes = insertSnapNodes(graph, nodeMap, stopSnaps);
+    let fastestRouteCoords, safestRouteCoords, fastestClosures, safestClosures, fastestSafety, safestSafety;
+    let fastestDarkStretches, safestDarkStretches, fastestLegCoords, safestLegCoords;
+    let fastestAvoidedDistance, safestAvoidedDistance, fastestManeuvers, safestManeuvers;
+    let fastestHazards, safestHazards;
+    let alternativeRoutes = [];
+    try {
+      const stopNodes = snapNodes.nodeIds;
+      
+      // Find paths leg by leg, then join them into one route
+      const fastestLegPaths = [];
+      const safestLegPaths = [];
+      for (let i = 0; i < stopNodes.length - 1; i++) {
+        fastestLegPaths.push(findFastestPath(graph, stopNodes[i], stopNodes[i + 1], { mode: travelMode.name, avoid }));
+        safestLegPaths.push(findSafestPath(graph, stopNodes[i], stopNodes[i + 1], departureDate, routeOptions));
+      }
+      const fastestPathNodes = joinLegPaths(fastestLegPaths);
+      const safestPathNodes = joinLegPaths(safestLegPaths);
+      
+      if (fastestPathNodes.length === 0 && safestPathNodes.length === 0) {
+        return res.status(404).json({ 
+          error: waypointCoords.length > 0
+            ? 'No route found through all of the specified stops'
+            : 'No route found between the specified locations' 
+        });
+      }
+      
+      // Convert to coordinates
+      fastestLegCoords = fastestPathNodes.length > 0 ? getLegCoords(fastestLegPaths) : [];
+      safestLegCoords = safestPathNodes.length > 0 ? getLegCoords(safestLegPaths) : [];
+      fastestRouteCoords = joinLegCoords(fastestLegCoords);
+      safestRouteCoords = joinLegCoords(safestLegCoords);
+      
+      // Road closures (active at departure) each route passes along
+      fastestClosures = getPathClosures(fastestPathNodes, graph, departureDate);
+      safestClosures = getPathClosures(safestPathNodes, graph, departureDate);
+      
+      // Safety score breakdown from the segments each route uses
+      fastestSafety = summarizePathSafety(fastestPathNodes, graph, departureDate, routeOptions);
+      safestSafety = summarizePathSafety(safestPathNodes, graph, departureDate, routeOptions);
+      
+      // Unlit stretches along each route (null without lighting data)
+      fastestDarkStretches = getPathDarkStretches(fastestPathNodes, graph);
+      safestDarkStretches = getPathDarkStretches(safestPathNodes, graph);
+      
+      // Turn-by-turn instructions from the streets each route uses
+      fastestManeuvers = fastestPathNodes.length > 0 ? getRouteManeuvers(fastestLegPaths) : [];
+      safestManeuvers = safestPathNodes.length > 0 ? getRouteManeuvers(safestLegPaths) : [];
+      
+      // Reports, closures, dark stretches and high-crime blocks to warn about while navigating
+      fastestHazards = getPathHazards(fastestPathNodes, graph, departureDate);
+      safestHazards = getPathHazards(safestPathNodes, graph, departureDate);
+      
+      // Distance each route still spends in avoid areas or on avoided streets (no way around)
+      fastestAvoidedDistance = getPathAvoidedDistance(fastestPathNodes, graph, avoid);
+      safestAvoidedDistance = getPathAvoidedDistance(safestPathNodes, graph, avoid);
+      
+      // Alternatives that differ from both routes (and each other) by a minimum share of their length.
+      // Only for routes without waypoints.
+      if (waypointCoords.length === 0) {
+        const [startNode, endNode] = stopNodes;
+        const alternativePaths = findAlternativePaths(graph, startNode, endNode, [fastestPathNodes, safestPathNodes], {
+          mode: travelMode.name,
+          count: alternativeCount,
+          avoid
+        });
+        alternativeRoutes = alternativePaths.map(pathNodes => ({
+          coords: getLegCoords([pathNodes])[0],
+          closures: getPathClosures(pathNodes, graph, departureDate),
+          safety: summarizePathSafety(pathNodes, graph, departureDate, routeOptions),
+          darkStretches: getPathDarkStretches(pathNodes, graph),
+          maneuvers: getRouteManeuvers([pathNodes]),
+          hazards: getPathHazards(pathNodes, graph, departureDate),
+          avoidedDistance: getPathAvoidedDistance(pathNodes, graph, avoid)
+        }));
+      }
+    } finally {
+      snapNodes.remove();
     }
     
     // Calculate total distance and estimated time for each route
@@ -239,11 +589,10 @@ router.get('/route', async (req, res) => {
       return totalDistance; // Distance in km
     };
     
-    // Calculate estimated time (assuming average walking speed of 5 km/h)
+    // Calculate estimated time at the travel mode's average speed (walk 5 km/h, bike 15 km/h)
     const calculateRouteTime = (distanceKm) => {
       if (!distanceKm || distanceKm === 0) return 0;
-      const walkingSpeedKmh = 5; // Average walking speed
-      const timeHours = distanceKm / walkingSpeedKmh;
+      const timeHours = distanceKm / travelMode.speedKmh;
       const timeMinutes = Math.round(timeHours * 60);
       return Math.max(1, timeMinutes); // At least 1 minute
     };
@@ -253,12 +602,25 @@ router.get('/route', async (req, res) => {
     const fastestTime = calculateRouteTime(fastestDistance);
     const safestTime = calculateRouteTime(safestDistance);
     
+    // Per-leg distance and time: leg i runs from stop i to stop i + 1 (start, waypoints..., end)
+    const summarizeLegs = (legCoords) => legCoords.map((coords, index) => {
+      const distance = calculateRouteDistance(coords);
+      return {
+        index,
+        start: { lat: stops[index][0], lng: stops[index][1] },
+        end: { lat: stops[index + 1][0], lng: stops[index + 1][1] },
+        distance: distance, // Distance in km
+        time: calculateRouteTime(distance) // Estimated time in minutes
+      };
+    });
+    
     // Debug logging
     console.log('Route calculations:', {
       fastestDistance,
       fastestTime,
       safestDistance,
       safestTime,
+      legs: stops.length - 1,
       fastestCoordsLength: fastestRouteCoords.length,
       safestCoordsLength: safestRouteCoords.length
     });
@@ -272,14 +634,56 @@ router.get('/route', async (req, res) => {
     };
     
     res.json({
+      mode: travelMode.name,
+      weights: weightProfile, // { preset, weights } used to score the routes
+      avoid: {
+        areas: avoidance.areas.length,
+        streets: avoidance.streets,
+        segments: avoidance.segments,
+        unmatchedStreets: getUnmatchedStreets(avoidance.streets, streetData) // Names no street in the data has
+      },
       fastestRoute: convertToGoogleFormat(fastestRouteCoords),
       safestRoute: convertToGoogleFormat(safestRouteCoords),
       start: { lat: startCoord[0], lng: startCoord[1] },
       end: { lat: endCoord[0], lng: endCoord[1] },
+      waypoints: waypointCoords.map(([lat, lng]) => ({ lat, lng })),
       fastestDistance: fastestDistance, // Distance in km
       safestDistance: safestDistance, // Distance in km
       fastestTime: fastestTime, // Estimated time in minutes
-      safestTime: safestTime // Estimated time in minutes
+      safestTime: safestTime, // Estimated time in minutes
+      fastestLegs: summarizeLegs(fastestLegCoords),
+      safestLegs: summarizeLegs(safestLegCoords),
+      fastestClosures: fastestClosures,
+      safestClosures: safestClosures,
+      fastestSafety: fastestSafety,
+      safestSafety: safestSafety,
+      fastestDarkStretches: formatDarkStretches(fastestDarkStretches),
+      safestDarkStretches: formatDarkStretches(safestDarkStretches),
+      fastestManeuvers: formatManeuvers(fastestManeuvers),
+      safestManeuvers: formatManeuvers(safestManeuvers),
+      fastestHazards: formatHazards(fastestHazards),
+      safestHazards: formatHazards(safestHazards),
+      fastestAvoidedDistance: fastestAvoidedDistance, // km in avoid areas or on avoided streets
+      safestAvoidedDistance: safestAvoidedDistance, // km in avoid areas or on avoided streets
+      alternatives: alternativeRoutes.map((route, index) => {
+        const distance = calculateRouteDistance(route.coords);
+        return {
+          id: `alternative-${index + 1}`,
+          route: convertToGoogleFormat(route.coords),
+          distance: distance, // Distance in km
+          time: calculateRouteTime(distance), // Estimated time in minutes
+          closures: route.closures,
+          safety: route.safety,
+          darkStretches: formatDarkStretches(route.darkStretches),
+          maneuvers: formatManeuvers(route.maneuvers),
+          hazards: formatHazards(route.hazards),
+          avoidedDistance: route.avoidedDistance // km in avoid areas or on avoided streets
+        };
+      }),
+      startSnapDistance: startSnap.distance, // Distance (km) from start to the route network
+      endSnapDistance: endSnap.distance, // Distance (km) from end to the route network
+      waypointSnapDistances: stopSnaps.slice(1, -1).map(snap => snap.distance), // Distance (km) from each waypoint to the network
+      daylight: formatDaylight(getDaylight(departureDate)) // Sun times used for day/night scoring
     });
   } catch (error) {
     console.error('Error in /route:', error);
@@ -290,6 +694,114 @@ router.get('/route', async (req, res) => {
   }
 });
 
+// GET /weights endpoint - safety weight presets for the preferences panel
+router.get('/weights', (req, res) => {
+  res.json({
+    defaultPreset: DEFAULT_PRESET,
+    defaults: DEFAULT_WEIGHTS,
+    maxWeight: MAX_WEIGHT,
+    presets: getWeightPresets()
+  });
+});
+
+// POST /report endpoint for user hazard reports
+router.post('/report', async (req, res) => {
+  try {
+    const { errors, report } = validateReport(req.body);
+    if (errors) {
+      return res.status(400).json({
+        error: 'Invalid report',
+        details: errors
+      });
+    }
+
+    const stored = await addReport(report);
+    console.log(`[routes.js] Stored ${stored.type} report ${stored.id} at ${stored.location.lat},${stored.location.lng}`);
+    
+    // Update the cached graph in place so routing reflects the report immediately
+    // (if data is still loading, initializeData applies it once loaded)
+    if (streetData && graph) {
+      const affected = attachReportToSegments(stored, streetData);
+      console.log(`[routes.js] Report ${stored.id} affects ${affected} segments`);
+    }
+    res.status(201).json(stored);
+  } catch (error) {
+    console.error('Error in /report:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /reports endpoint - optional bbox=minLat,minLng,maxLat,maxLng and since/until ISO timestamps
+router.get('/reports', (req, res) => {
+  const { bbox, since, until } = req.query;
+
+  let bounds = null;
+  if (bbox) {
+    bounds = parseBbox(bbox);
+    if (!bounds) {
+      return res.status(400).json({
+        error: `Invalid bbox: ${bbox}. Expected format: minLat,minLng,maxLat,maxLng`
+      });
+    }
+  }
+
+  let sinceDate = null;
+  let untilDate = null;
+  if (since) {
+    sinceDate = new Date(since);
+    if (isNaN(sinceDate.getTime())) {
+      return res.status(400).json({ error: `Invalid since timestamp: ${since}` });
+    }
+  }
+  if (until) {
+    untilDate = new Date(until);
+    if (isNaN(untilDate.getTime())) {
+      return res.status(400).json({ error: `Invalid until timestamp: ${until}` });
+    }
+  }
+
+  const reports = getReports({ bbox: bounds, since: sinceDate, until: untilDate });
+  res.json({ count: reports.length, reports });
+});
+
+// GET /safe-havens endpoint - fire halls and other 24-hour places, optional bbox=minLat,minLng,maxLat,maxLng
+router.get('/safe-havens', async (req, res) => {
+  try {
+    await initializeData();
+
+    const { bbox } = req.query;
+    let bounds = null;
+    if (bbox) {
+      bounds = parseBbox(bbox);
+      if (!bounds) {
+        return res.status(400).json({
+          error: `Invalid bbox: ${bbox}. Expected format: minLat,minLng,maxLat,maxLng`
+        });
+      }
+    }
+
+    const havens = getSafeHavensInBounds(safeHavens, bounds).map(haven => ({
+      id: haven.id,
+      type: haven.type,
+      label: haven.label,
+      name: haven.name,
+      address: haven.address,
+      lat: haven.point[0],
+      lng: haven.point[1]
+    }));
+    res.json({ count: havens.length, safeHavens: havens });
+  } catch (error) {
+    console.error('Error in /safe-havens:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 // GET /nodes endpoint to get available test nodes
 router.get('/nodes', (req, res) => {
   const nodeList = Object.keys(testNodes).map(id => ({
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const { parse } = require('csv-parse/sync');
+const { registerDataSource, loadDataSource } = require('./dataSources');
+
+// Safe havens: places someone can go for help at any hour. Each loader reads one file
+// from data/ and returns [{ name, address, point: [lat, lng] }]; missing files are skipped.
+// Other 24-hour places plug in through registerSafeHavenLoader.
+const SAFE_HAVEN_LOADERS = [];
+
+// loader: { type, label, file, load(filePath) }. Each loader is also a data source
+// (reported by /api/status) feeding the amenity score.
+function registerSafeHavenLoader(loader) {
+  if (!loader || !loader.type || !loader.file || typeof loader.load !== 'function') {
+    throw new Error('Safe haven loader needs type, file and load(filePath)');
+  }
+  SAFE_HAVEN_LOADERS.push(loader);
+  registerDataSource({
+    id: getSourceId(loader),
+    label: `Safe havens: ${loader.label}`,
+    file: loader.file,
+    factors: ['amenity']
+  });
+}
+
+function getSourceId(loader) {
+  return `safeHavens:${loader.type}`;
+}
+
+// Point from a GeoJSON Point string, falling back to a "lat, lng" string
+function parsePoint(geom, latLng) {
+  if (geom) {
+    try {
+      const parsed = JSON.parse(geom);
+      if (parsed.type === 'Point' && Array.isArray(parsed.coordinates)) {
+        return [parsed.coordinates[1], parsed.coordinates[0]];
+      }
+    } catch (e) {
+      // Try the lat/lng column
+    }
+  }
+  if (latLng) {
+    const [lat, lng] = String(latLng).split(',').map(part => parseFloat(part.trim()));
+    if (!isNaN(lat) && !isNaN(lng)) return [lat, lng];
+  }
+  return null;
+}
+
+// City of Vancouver fire halls (semicolon-separated: Name;Address;Geom;Geo Local Area;geo_point_2d)
+registerSafeHavenLoader({
+  type: 'fire-hall',
+  label: 'Fire hall',
+  file: 'fire-halls.csv',
+  load(filePath) {
+    const records = parse(fs.readFileSync(filePath, 'utf-8'), {
+      columns: true,
+      skip_empty_lines: true,
+      bom: true,
+      trim: true,
+      delimiter: ';',
+      skip_records_with_error: true
+    });
+    return records.map(record => ({
+      name: record.Name ? `Fire Hall ${record.Name.replace(/^No\s*/i, 'No. ')}` : 'Fire Hall',
+      address: record.Address || '',
+      point: parsePoint(record.Geom, record.geo_point_2d)
+    }));
+  }
+});
+
+// Any other 24-hour places (hospitals, police stations, all-night stores...):
+// comma-separated with Name, Type, Address, Latitude, Longitude columns
+registerSafeHavenLoader({
+  type: 'other',
+  label: '24-hour place',
+  file: 'safe-havens.csv',
+  load(filePath) {
+    const records = parse(fs.readFileSync(filePath, 'utf-8'), {
+      columns: true,
+      skip_empty_lines: true,
+      bom: true,
+      trim: true,
+      skip_records_with_error: true
+    });
+    return records.map(record => ({
+      name: record.Name || '24-hour place',
+      type: record.Type ? record.Type.toLowerCase().replace(/\s+/g, '-') : undefined,
+      address: record.Address || '',
+      point: parsePoint(null, `${record.Latitude},${record.Longitude}`)
+    }));
+  }
+});
+
+// Load every registered layer: [{ id, type, label, name, address, point }]
+function loadSafeHavens(dataDir) {
+  const havens = [];
+  SAFE_HAVEN_LOADERS.forEach(loader => {
+    const loaded = loadDataSource(dataDir, getSourceId(loader),
+      filePath => loader.load(filePath).filter(haven => haven && haven.point));
+    if (!loaded) return;
+
+    loaded.forEach((haven, index) => {
+      havens.push({
+        id: `${loader.type}_${index}`,
+        type: haven.type || loader.type,
+        label: loader.label,
+        name: haven.name,
+        address: haven.address || '',
+        point: haven.point
+      });
+    });
+    console.log(`Loaded ${loaded.length} safe havens from ${loader.file}`);
+  });
+  return havens;
+}
+
+// Havens inside a { minLat, minLng, maxLat, maxLng } box (all when bbox is null)
+function getSafeHavensInBounds(havens, bbox) {
+  if (!bbox) return havens;
+  return havens.filter(haven =>
+    haven.point[0] >= bbox.minLat && haven.point[0] <= bbox.maxLat &&
+    haven.point[1] >= bbox.minLng && haven.point[1] <= bbox.maxLng
+  );
+}
+
+module.exports = {
+  registerSafeHavenLoader,
+  loadSafeHavens,
+  getSafeHavensInBounds
+};
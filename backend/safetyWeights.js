@@ -0,0 +1,109 @@
+// How much each safety factor counts when scoring and routing. Every weight is a positive
+// importance: crime and disruption count against safety, the others for it.
+const DEFAULT_WEIGHTS = {
+  infra: 2.5,
+  light: 2.0,
+  amenity: 1.5,
+  crime: 3.0,
+  disruption: 2.0
+};
+
+const WEIGHT_KEYS = Object.keys(DEFAULT_WEIGHTS);
+const MAX_WEIGHT = 10;
+
+// Named profiles offered by the preferences panel
+const WEIGHT_PRESETS = {
+  'balanced': {
+    label: 'Balanced',
+    description: 'The default mix of all safety factors',
+    weights: DEFAULT_WEIGHTS
+  },
+  'well-lit': {
+    label: 'Well-lit priority',
+    description: 'Prefers streets with plenty of street lighting after dark',
+    weights: { infra: 1.5, light: 5, amenity: 1.5, crime: 3, disruption: 1 }
+  },
+  'avoid-traffic': {
+    label: 'Avoid traffic',
+    description: 'Stays on protected routes and away from construction and dangerous drivers',
+    weights: { infra: 3.5, light: 1.5, amenity: 1, crime: 1.5, disruption: 4.5 }
+  },
+  'max-infrastructure': {
+    label: 'Max infrastructure',
+    description: 'Favours protected bike lanes and good sidewalks above everything else',
+    weights: { infra: 7, light: 1, amenity: 1, crime: 1.5, disruption: 1 }
+  }
+};
+const DEFAULT_PRESET = 'balanced';
+
+// Parse "infra:3,light:5" into { infra: '3', light: '5' } (values checked by validateWeights)
+function parseWeightsParam(param) {
+  const weights = {};
+  String(param).split(',').forEach(part => {
+    const [key, value] = part.split(':').map(piece => piece.trim());
+    if (key) weights[key] = value;
+  });
+  return weights;
+}
+
+// Validate a weights profile: { preset, weights } where weights (optional, all or some
+// factors) override the preset's values. Returns { errors } or
+// { profile: { preset, weights } } with every factor filled in.
+function validateWeights({ preset, weights } = {}) {
+  const errors = [];
+
+  const presetName = preset || DEFAULT_PRESET;
+  if (!Object.prototype.hasOwnProperty.call(WEIGHT_PRESETS, presetName)) {
+    return { errors: [`Invalid preset. Expected one of: ${Object.keys(WEIGHT_PRESETS).join(', ')}`] };
+  }
+
+  const resolved = { ...WEIGHT_PRESETS[presetName].weights };
+  const overrides = weights || {};
+  Object.keys(overrides).forEach(key => {
+    if (!WEIGHT_KEYS.includes(key)) {
+      errors.push(`Unknown weight "${key}". Expected: ${WEIGHT_KEYS.join(', ')}`);
+      return;
+    }
+    const value = typeof overrides[key] === 'string' ? Number(overrides[key]) : overrides[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > MAX_WEIGHT) {
+      errors.push(`Weight "${key}" must be a number from 0 to ${MAX_WEIGHT}`);
+      return;
+    }
+    resolved[key] = value;
+  });
+
+  if (errors.length === 0 && WEIGHT_KEYS.every(key => resolved[key] === 0)) {
+    errors.push('At least one weight must be above 0');
+  }
+  if (errors.length > 0) return { errors };
+
+  const custom = Object.keys(overrides).length > 0;
+  return { profile: { preset: custom ? 'custom' : presetName, weights: resolved } };
+}
+
+// Scale weights so they add up to the defaults' total. Route costs are tuned for that total,
+// so only the balance between factors changes, not how strongly safety counts against distance.
+function normalizeWeights(weights) {
+  const defaultTotal = WEIGHT_KEYS.reduce((sum, key) => sum + DEFAULT_WEIGHTS[key], 0);
+  const total = WEIGHT_KEYS.reduce((sum, key) => sum + weights[key], 0);
+  const normalized = {};
+  WEIGHT_KEYS.forEach(key => {
+    normalized[key] = total > 0 ? weights[key] * defaultTotal / total : DEFAULT_WEIGHTS[key];
+  });
+  return normalized;
+}
+
+// Presets for GET /api/weights: [{ id, label, description, weights }]
+function getWeightPresets() {
+  return Object.keys(WEIGHT_PRESETS).map(id => ({ id, ...WEIGHT_PRESETS[id] }));
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  DEFAULT_PRESET,
+  MAX_WEIGHT,
+  parseWeightsParam,
+  validateWeights,
+  normalizeWeights,
+  getWeightPresets
+};
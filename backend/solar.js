@@ -0,0 +1,88 @@
+// Sun position using the NOAA solar calculator equations
+// (https://gml.noaa.gov/grad/solcalc/calcdetails.html). Accurate to about a minute
+// at Vancouver's latitude.
+
+// Solar zenith angles (degrees) for each event. Sunrise/sunset allow for atmospheric
+// refraction and the sun's radius; civil twilight ends when the sun is 6° below the horizon.
+const ZENITH_SUNRISE = 90.833;
+const ZENITH_CIVIL = 96;
+
+const toRad = deg => deg * Math.PI / 180;
+const toDeg = rad => rad * 180 / Math.PI;
+
+// Declination (degrees) and equation of time (minutes) at a Julian day
+function getSunPosition(julianDay) {
+  const t = (julianDay - 2451545) / 36525; // Julian centuries since J2000
+
+  const meanLong = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+  const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+  const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+
+  const m = toRad(meanAnomaly);
+  const center = Math.sin(m) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+    Math.sin(2 * m) * (0.019993 - 0.000101 * t) +
+    Math.sin(3 * m) * 0.000289;
+  const trueLong = meanLong + center;
+  const omega = 125.04 - 1934.136 * t;
+  const apparentLong = trueLong - 0.00569 - 0.00478 * Math.sin(toRad(omega));
+
+  const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+  const obliquity = meanObliquity + 0.00256 * Math.cos(toRad(omega));
+
+  const declination = toDeg(Math.asin(Math.sin(toRad(obliquity)) * Math.sin(toRad(apparentLong))));
+
+  const y = Math.pow(Math.tan(toRad(obliquity / 2)), 2);
+  const l0 = toRad(meanLong);
+  const equationOfTime = 4 * toDeg(
+    y * Math.sin(2 * l0) -
+    2 * eccentricity * Math.sin(m) +
+    4 * eccentricity * y * Math.sin(m) * Math.cos(2 * l0) -
+    0.5 * y * y * Math.sin(4 * l0) -
+    1.25 * eccentricity * eccentricity * Math.sin(2 * m)
+  );
+
+  return { declination, equationOfTime };
+}
+
+// Hour angle (degrees) at which the sun reaches `zenith`, or null if it never does that day
+function getHourAngle(lat, declination, zenith) {
+  const latRad = toRad(lat);
+  const decRad = toRad(declination);
+  const cosH = (Math.cos(toRad(zenith)) - Math.sin(latRad) * Math.sin(decRad)) /
+    (Math.cos(latRad) * Math.cos(decRad));
+  if (cosH < -1 || cosH > 1) return null;
+  return toDeg(Math.acos(cosH));
+}
+
+// Time of a solar event as minutes after 00:00 UTC of the given calendar day.
+// `rising` picks the morning event. Refined once with the sun's position at the
+// first estimate. Returns null when the sun doesn't reach that zenith.
+function getEventMinutesUTC(year, month, day, lat, lng, zenith, rising) {
+  const julianMidnight = Date.UTC(year, month - 1, day) / 86400000 + 2440587.5;
+
+  let minutes = 720 - 4 * lng; // Start from the mean solar noon estimate
+  for (let i = 0; i < 2; i++) {
+    const { declination, equationOfTime } = getSunPosition(julianMidnight + minutes / 1440);
+    const hourAngle = getHourAngle(lat, declination, zenith);
+    if (hourAngle === null) return null;
+    const solarNoon = 720 - 4 * lng - equationOfTime;
+    minutes = solarNoon + (rising ? -4 : 4) * hourAngle;
+  }
+  return minutes;
+}
+
+// Sunrise, sunset and civil twilight for a calendar day (year, month 1-12, day) at
+// [lat, lng] (lng negative west). Returns Dates, or null for events that don't happen.
+function getSolarTimes(year, month, day, lat, lng) {
+  const toDate = minutes => minutes === null ? null : new Date(Date.UTC(year, month - 1, day) + minutes * 60000);
+  return {
+    civilDawn: toDate(getEventMinutesUTC(year, month, day, lat, lng, ZENITH_CIVIL, true)),
+    sunrise: toDate(getEventMinutesUTC(year, month, day, lat, lng, ZENITH_SUNRISE, true)),
+    sunset: toDate(getEventMinutesUTC(year, month, day, lat, lng, ZENITH_SUNRISE, false)),
+    civilDusk: toDate(getEventMinutesUTC(year, month, day, lat, lng, ZENITH_CIVIL, false))
+  };
+}
+
+module.exports = {
+  getSolarTimes
+};
@@ -0,0 +1,112 @@
+// Uniform lat/lng grid for nearest-neighbour lookups (nodes, segments, points of interest).
+// Items are bucketed by cell; queries walk outward ring by ring from the query point.
+const KM_PER_DEGREE = 111.32;
+
+class GridIndex {
+  constructor(cellSize = 0.005) {
+    this.cellSize = cellSize; // Degrees (~550m north-south, ~360m east-west in Vancouver)
+    this.cells = new Map();
+    this.size = 0;
+  }
+
+  cellCoord(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  addToCell(row, col, item) {
+    const key = `${row},${col}`;
+    if (!this.cells.has(key)) {
+      this.cells.set(key, []);
+    }
+    this.cells.get(key).push(item);
+  }
+
+  // Index an item at a single [lat, lng] point
+  insertPoint(item, point) {
+    this.addToCell(this.cellCoord(point[0]), this.cellCoord(point[1]), item);
+    this.size++;
+  }
+
+  // Index an item in every cell its { minLat, maxLat, minLng, maxLng } box overlaps
+  insertBounds(item, bounds) {
+    const rowMin = this.cellCoord(bounds.minLat);
+    const rowMax = this.cellCoord(bounds.maxLat);
+    const colMin = this.cellCoord(bounds.minLng);
+    const colMax = this.cellCoord(bounds.maxLng);
+    for (let row = rowMin; row <= rowMax; row++) {
+      for (let col = colMin; col <= colMax; col++) {
+        this.addToCell(row, col, item);
+      }
+    }
+    this.size++;
+  }
+
+  // All items in cells overlapping the box (deduplicated)
+  query(bounds) {
+    const results = new Set();
+    const rowMin = this.cellCoord(bounds.minLat);
+    const rowMax = this.cellCoord(bounds.maxLat);
+    const colMin = this.cellCoord(bounds.minLng);
+    const colMax = this.cellCoord(bounds.maxLng);
+    for (let row = rowMin; row <= rowMax; row++) {
+      for (let col = colMin; col <= colMax; col++) {
+        const items = this.cells.get(`${row},${col}`);
+        if (items) items.forEach(item => results.add(item));
+      }
+    }
+    return results;
+  }
+
+  // Items in cells exactly `ring` steps away from (row, col)
+  ringItems(row, col, ring) {
+    const items = [];
+    const visit = (r, c) => {
+      const cell = this.cells.get(`${r},${c}`);
+      if (cell) items.push(...cell);
+    };
+    if (ring === 0) {
+      visit(row, col);
+      return items;
+    }
+    for (let c = col - ring; c <= col + ring; c++) {
+      visit(row - ring, c);
+      visit(row + ring, c);
+    }
+    for (let r = row - ring + 1; r <= row + ring - 1; r++) {
+      visit(r, col - ring);
+      visit(r, col + ring);
+    }
+    return items;
+  }
+
+  // Nearest item to `point`, where distanceFn(item) gives its distance in km.
+  // Returns { item, distance } or null if nothing is within maxRings cells.
+  nearest(point, distanceFn, maxRings = 40) {
+    if (this.size === 0) return null;
+
+    const row = this.cellCoord(point[0]);
+    const col = this.cellCoord(point[1]);
+    // Smallest cell side in km (east-west shrinks with latitude)
+    const cellKm = this.cellSize * KM_PER_DEGREE * Math.cos(point[0] * Math.PI / 180);
+    const seen = new Set();
+    let best = null;
+
+    for (let ring = 0; ring <= maxRings; ring++) {
+      // Anything in this ring or beyond is at least (ring - 1) cells away
+      if (best && (ring - 1) * cellKm > best.distance) break;
+
+      for (const item of this.ringItems(row, col, ring)) {
+        if (seen.has(item)) continue;
+        seen.add(item);
+        const distance = distanceFn(item);
+        if (!best || distance < best.distance) {
+          best = { item, distance };
+        }
+      }
+    }
+
+    return best;
+  }
+}
+
+module.exports = { GridIndex };
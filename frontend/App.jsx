@@ -1,406 +1,76 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import GoogleMap from './components/GoogleMap';
 import LocationSearch from './components/LocationSearch';
+import AvoidPreferences from './components/AvoidPreferences';
 import NavigationMode from './components/NavigationMode';
+import RouteLegs from './components/RouteLegs';
+import SafetyBreakdown from './components/SafetyBreakdown';
+import SafetyPreferences from './components/SafetyPreferences';
+import { submitReport, flushPendingReports } from './utils/reports';
+import { describeFastestRoute, describeSafestRoute } from './utils/routeDescriptions';
+import { fetchSafeHavensAlongRoute } from './utils/safeHavens';
+import { fetchWeightPresets, loadWeightProfile, saveWeightProfile, getWeightQuery, DEFAULT_WEIGHT_PROFILE } from './utils/safetyWeights';
+import { loadAvoidList, saveAvoidList, getAvoidQuery, createAvoidId, MAX_AVOID_AREAS, MAX_AVOID_SEGMENTS } from './utils/avoidList';
+import { getRouteOverlap } from './utils/routeProgress';
 
 // Get API base URL from environment variable, fallback to default
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
 
-// Known areas with specific safety characteristics
-const AREA_DESCRIPTIONS = {
-  eastHastings: {
-    bounds: { 
-      latMin: 49.270, latMax: 49.290, 
-      lngMin: -123.130, lngMax: -123.100 
-    },
-    warnings: [
-      '⚠️ Passes through East Hastings - high crime area, poor lighting, avoid at night'
-    ],
-    safeFeatures: []
-  },
-  downtown: {
-    bounds: { 
-      latMin: 49.275, latMax: 49.285, 
-      lngMin: -123.130, lngMax: -123.115 
-    },
-    warnings: [],
-    safeFeatures: [
-      '✅ Safe route through downtown core with excellent infrastructure and lighting',
-      '✅ Well-lit downtown area with active street life',
-      '✅ Good pedestrian infrastructure and safe havens nearby'
-    ]
-  },
-  yaletown: {
-    bounds: { 
-      latMin: 49.270, latMax: 49.280, 
-      lngMin: -123.135, lngMax: -123.120 
-    },
-    warnings: [],
-    safeFeatures: [
-      '✅ Excellent route: Well-lit path through Yaletown with parks and safe havens nearby',
-      '✅ Residential Yaletown area with good sidewalks and lighting',
-      '✅ Route through quiet neighborhoods with low crime'
-    ]
-  },
-  gastown: {
-    bounds: { 
-      latMin: 49.280, latMax: 49.290, 
-      lngMin: -123.125, lngMax: -123.115 
-    },
-    warnings: [],
-    safeFeatures: [
-      '✅ Well-lit historic Gastown area with active street life and nearby fire hall',
-      '✅ Safe area with good lighting and pedestrian infrastructure'
-    ]
-  },
-  kitsilano: {
-    bounds: {
-      latMin: 49.265, latMax: 49.280,
-      lngMin: -123.170, lngMax: -123.145
-    },
-    warnings: [],
-    safeFeatures: [
-      '✅ Route through Kitsilano - safe residential area with good lighting',
-      '✅ Well-maintained sidewalks and bike lanes in Kitsilano',
-      '✅ Active neighborhood with parks and community amenities nearby'
-    ]
-  },
-  shaughnessy: {
-    bounds: {
-      latMin: 49.240, latMax: 49.260,
-      lngMin: -123.145, lngMax: -123.120
-    },
-    warnings: [],
-    safeFeatures: [
-      '✅ Passes through Shaughnessy - upscale residential area with excellent safety',
-      '✅ Quiet, well-lit streets in Shaughnessy with low traffic',
-      '✅ High-quality pedestrian infrastructure in this neighborhood'
-    ]
-  },
-  strathcona: {
-    bounds: {
-      latMin: 49.275, latMax: 49.290,
-      lngMin: -123.100, lngMax: -123.080
-    },
-    warnings: [
-      '⚠️ Route passes through Strathcona - mixed area, be cautious at night'
-    ],
-    safeFeatures: [
-      '✅ Some areas of Strathcona have good community infrastructure'
-    ]
-  },
-  ubc: {
-    bounds: {
-      latMin: 49.250, latMax: 49.270,
-      lngMin: -123.260, lngMax: -123.230
-    },
-    warnings: [],
-    safeFeatures: [
-      '✅ Route near UBC campus - well-lit with active student presence',
-      '✅ Good pedestrian infrastructure around UBC area',
-      '✅ Campus security and emergency services nearby'
-    ]
-  },
-  highway1: {
-    bounds: {
-      latMin: 49.200, latMax: 49.300,
-      lngMin: -123.200, lngMax: -123.100
-    },
-    warnings: [
-      '⚠️ Route passes near Highway 1 - higher traffic and noise levels',
-      '⚠️ Be extra cautious when crossing or near major highways'
-    ],
-    safeFeatures: []
-  },
-  highway99: {
-    bounds: {
-      latMin: 49.250, latMax: 49.300,
-      lngMin: -123.150, lngMax: -123.100
-    },
-    warnings: [
-      '⚠️ Route passes near Highway 99 - busy arterial with heavy traffic',
-      '⚠️ Exercise caution near highway intersections'
-    ],
-    safeFeatures: []
-  },
-  mountPleasant: {
-    bounds: {
-      latMin: 49.265, latMax: 49.280,
-      lngMin: -123.100, lngMax: -123.080
-    },
-    warnings: [],
-    safeFeatures: [
-      '✅ Route through Mount Pleasant - vibrant neighborhood with good infrastructure',
-      '✅ Well-maintained streets and active community presence'
-    ]
-  },
-  fairview: {
-    bounds: {
-      latMin: 49.260, latMax: 49.275,
-      lngMin: -123.130, lngMax: -123.110
-    },
-    warnings: [],
-    safeFeatures: [
-      '✅ Passes through Fairview - residential area with good lighting',
-      '✅ Safe neighborhood with community amenities nearby'
-    ]
-  },
-  westEnd: {
-    bounds: {
-      latMin: 49.280, latMax: 49.290,
-      lngMin: -123.140, lngMax: -123.125
-    },
-    warnings: [],
-    safeFeatures: [
-      '✅ Route through West End - safe, well-lit residential area',
-      '✅ Active neighborhood with good pedestrian infrastructure'
-    ]
-  },
-  coalHarbour: {
-    bounds: {
-      latMin: 49.285, latMax: 49.295,
-      lngMin: -123.130, lngMax: -123.120
-    },
-    warnings: [],
-    safeFeatures: [
-      '✅ Route through Coal Harbour - upscale area with excellent safety',
-      '✅ Well-maintained waterfront paths and excellent lighting'
-    ]
-  }
-};
+// Warn when start/end is further than this from the mapped route network (km)
+const SNAP_WARNING_DISTANCE_KM = 0.15;
 
-// Major schools in Vancouver (approximate locations)
-const SCHOOLS = [
-  { name: 'UBC', bounds: { latMin: 49.250, latMax: 49.270, lngMin: -123.260, lngMax: -123.230 } },
-  { name: 'SFU', bounds: { latMin: 49.275, latMax: 49.285, lngMin: -122.920, lngMax: -122.900 } },
-  { name: 'Vancouver Technical Secondary', bounds: { latMin: 49.265, latMax: 49.275, lngMin: -123.070, lngMax: -123.060 } },
-  { name: 'Lord Byng Secondary', bounds: { latMin: 49.265, latMax: 49.275, lngMin: -123.180, lngMax: -123.170 } },
-  { name: 'Kitsilano Secondary', bounds: { latMin: 49.270, latMax: 49.280, lngMin: -123.160, lngMax: -123.150 } },
-  { name: 'Point Grey Secondary', bounds: { latMin: 49.255, latMax: 49.265, lngMin: -123.200, lngMax: -123.190 } },
-  { name: 'University Hill Secondary', bounds: { latMin: 49.250, latMax: 49.260, lngMin: -123.250, lngMax: -123.240 } }
-];
+// Stops allowed between start and end (matches the backend limit)
+const MAX_WAYPOINTS = 8;
 
-// Function to check if coordinates are within bounds
-function isInBounds(coord, bounds) {
-  return coord.lat >= bounds.latMin && coord.lat <= bounds.latMax &&
-         coord.lng >= bounds.lngMin && coord.lng <= bounds.lngMax;
-}
+// Safety factors, shown as active when /api/status reports data loaded for them
+const SAFETY_FACTORS = [
+  { key: 'infra', label: 'Infrastructure' },
+  { key: 'light', label: 'Lighting' },
+  { key: 'crime', label: 'Crime' },
+  { key: 'disruption', label: 'Closures' },
+  { key: 'amenity', label: 'Safe havens' }
+];
 
-// Function to check if coordinate is near a point (within radius)
-function isNearPoint(coord, point, radiusKm = 0.5) {
-  const R = 6371; // Earth's radius in km
-  const dLat = (coord.lat - point.lat) * Math.PI / 180;
-  const dLng = (coord.lng - point.lng) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(point.lat * Math.PI / 180) * Math.cos(coord.lat * Math.PI / 180) *
-    Math.sin(dLng / 2) * Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const distance = R * c;
-  return distance <= radiusKm;
-}
+// Map line colours: fastest and safest, then one per alternative route (in order)
+const FASTEST_ROUTE_COLOR = '#0572f7'; // Apple Blue
+const SAFEST_ROUTE_COLOR = '#00FF7F'; // Spring Green
+const ALTERNATIVE_ROUTE_COLORS = ['#BF5AF2', '#FF9F0A', '#64D2FF', '#FF375F', '#FFD60A'];
 
-// Helper function to analyze route areas
-function analyzeRouteAreas(routeCoords) {
-  if (!routeCoords || routeCoords.length === 0) {
-    return { areasPassed: new Set(), schoolsNearby: new Set(), neighborhoods: [] };
-  }
-
-  const areasPassed = new Set();
-  const schoolsNearby = new Set();
-  const neighborhoods = [];
-  
-  // Check each coordinate in the route
-  routeCoords.forEach(coord => {
-    // Normalize coordinate format (handle both {lat, lng} and [lat, lng])
-    const normalizedCoord = {
-      lat: coord.lat || coord[0] || (Array.isArray(coord) ? coord[0] : null),
-      lng: coord.lng || coord[1] || (Array.isArray(coord) ? coord[1] : null)
-    };
-    
-    if (!normalizedCoord.lat || !normalizedCoord.lng) return;
-    
-    // Check neighborhoods and areas
-    for (const [areaName, areaData] of Object.entries(AREA_DESCRIPTIONS)) {
-      if (isInBounds(normalizedCoord, areaData.bounds)) {
-        areasPassed.add(areaName);
-      }
-    }
-    
-    // Check for schools nearby
-    SCHOOLS.forEach(school => {
-      if (isInBounds(normalizedCoord, school.bounds)) {
-        schoolsNearby.add(school.name);
-      }
-    });
-  });
+// Wait this long after the last weight or avoid list change before re-fetching routes (ms),
+// so dragging a slider doesn't fire a request per step
+const PREFERENCES_REFETCH_DELAY_MS = 500;
 
-  // Neighborhood display names mapping
-  const neighborhoodNames = {
-    'coalHarbour': 'Coal Harbour',
-    'westEnd': 'West End',
-    'shaughnessy': 'Shaughnessy',
-    'kitsilano': 'Kitsilano',
-    'mountPleasant': 'Mount Pleasant',
-    'fairview': 'Fairview',
-    'yaletown': 'Yaletown',
-    'downtown': 'Downtown',
-    'gastown': 'Gastown',
-    'strathcona': 'Strathcona',
-    'eastHastings': 'East Hastings'
-  };
-  
-  const neighborhoodOrder = [
-    'coalHarbour', 'westEnd', 'shaughnessy', 'kitsilano', 'mountPleasant', 
-    'fairview', 'yaletown', 'downtown', 'gastown', 'strathcona', 'eastHastings'
-  ];
-  
-  neighborhoodOrder.forEach(areaName => {
-    if (areasPassed.has(areaName)) {
-      neighborhoods.push(neighborhoodNames[areaName] || areaName);
-    }
-  });
+// How often to re-check /api/status while the backend is loading or retrying (ms)
+const STATUS_POLL_MS = 2000;
 
-  return { areasPassed, schoolsNearby, neighborhoods };
-}
+// Departure period the routes were scored for (daylight.period from /api/route)
+const DAYLIGHT_LABELS = {
+  day: '☀️ Daytime departure',
+  twilight: '🌆 Twilight departure - scored as night',
+  night: '🌙 Night departure'
+};
 
-// Function to analyze safest route - returns structured data with "Route Benefits" only (no warnings)
-function analyzeSafestRoute(routeCoords) {
-  if (!routeCoords || routeCoords.length === 0) {
-    return {
-      benefits: ['Optimized for pedestrian safety infrastructure', 'Better street lighting coverage', 'Well-maintained sidewalks and pathways']
-    };
-  }
-
-  const { areasPassed, schoolsNearby, neighborhoods } = analyzeRouteAreas(routeCoords);
-  const benefits = [];
-
-  // No warnings for safest route - only positive benefits
-
-  // Route Benefits - always positive
-  const neighborhoodOrder = [
-    'coalHarbour', 'westEnd', 'shaughnessy', 'kitsilano', 'mountPleasant', 
-    'fairview', 'yaletown', 'downtown', 'gastown'
-  ];
-  
-  neighborhoodOrder.forEach(areaName => {
-    if (areasPassed.has(areaName)) {
-      const areaData = AREA_DESCRIPTIONS[areaName];
-      if (areaData.safeFeatures && areaData.safeFeatures.length > 0) {
-        // Extract positive messages (remove emojis and warnings)
-        areaData.safeFeatures.forEach(feature => {
-          if (!feature.includes('⚠️')) {
-            benefits.push(feature.replace(/^✅\s*/, ''));
-          }
-        });
-      }
-    }
+// ISO timestamp as a Vancouver clock time, e.g. "9:21 p.m."
+function formatVancouverTime(iso) {
+  return new Date(iso).toLocaleTimeString('en-CA', {
+    timeZone: 'America/Vancouver',
+    hour: 'numeric',
+    minute: '2-digit'
   });
-
-  // UBC proximity
-  if (areasPassed.has('ubc')) {
-    benefits.push('Route near UBC campus - well-lit with active student presence');
-    benefits.push('Good pedestrian infrastructure around UBC area');
-  } else {
-    const ubcCenter = { lat: 49.260, lng: -123.246 };
-    const nearUBC = routeCoords.some(coord => {
-      const normalizedCoord = {
-        lat: coord.lat || coord[0] || (Array.isArray(coord) ? coord[0] : null),
-        lng: coord.lng || coord[1] || (Array.isArray(coord) ? coord[1] : null)
-      };
-      return normalizedCoord.lat && normalizedCoord.lng && isNearPoint(normalizedCoord, ubcCenter, 2);
-    });
-    if (nearUBC) {
-      benefits.push('Route passes near UBC campus area');
-    }
-  }
-
-  // Schools detection
-  if (schoolsNearby.size > 0) {
-    const schoolList = Array.from(schoolsNearby).join(', ');
-    if (schoolsNearby.has('UBC')) {
-      benefits.push(`Route passes near ${schoolList} - active campus area with good lighting`);
-    } else {
-      benefits.push(`Route passes near ${schoolList} - well-monitored school zones`);
-    }
-  }
-
-  // Neighborhood summary
-  if (neighborhoods.length > 0) {
-    if (neighborhoods.length > 1) {
-      benefits.unshift(`Route passes through: ${neighborhoods.join(', ')}`);
-    } else {
-      benefits.unshift(`Route through ${neighborhoods[0]} neighborhood`);
-    }
-  }
-
-  // Default benefits if none found
-  if (benefits.length === 0) {
-    benefits.push('Optimized for pedestrian safety infrastructure');
-    benefits.push('Better street lighting coverage');
-    benefits.push('Well-maintained sidewalks and pathways');
-  }
-
-  return { benefits };
-}
-
-// Function to analyze fastest route - returns structured data with "Route Information"
-function analyzeFastestRoute(routeCoords) {
-  if (!routeCoords || routeCoords.length === 0) {
-    return {
-      information: ['Shorter distance for quicker travel']
-    };
-  }
-
-  const { areasPassed, schoolsNearby, neighborhoods } = analyzeRouteAreas(routeCoords);
-  const information = [];
-
-  // Warnings about areas
-  if (areasPassed.has('eastHastings')) {
-    information.push('⚠️ Passes through East Hastings - high crime area, poor lighting, avoid at night');
-  }
-  
-  if (areasPassed.has('strathcona')) {
-    information.push('⚠️ Route passes through Strathcona - mixed area, be cautious at night');
-  }
-
-  if (areasPassed.has('highway1')) {
-    information.push('⚠️ Route passes near Highway 1 - higher traffic and noise levels');
-  }
-  
-  if (areasPassed.has('highway99')) {
-    information.push('⚠️ Route passes near Highway 99 - busy arterial with heavy traffic');
-  }
-
-  // Schools (as information, not necessarily negative)
-  if (schoolsNearby.size > 0 && !schoolsNearby.has('UBC')) {
-    const schoolList = Array.from(schoolsNearby).join(', ');
-    information.push(`Route passes near ${schoolList} - be mindful of school zones`);
-  }
-
-  // Neighborhood information
-  if (neighborhoods.length > 0) {
-    if (neighborhoods.length > 1) {
-      information.push(`Route passes through: ${neighborhoods.join(', ')}`);
-    } else {
-      information.push(`Route through ${neighborhoods[0]} neighborhood`);
-    }
-  }
-
-  // Always have at least one line - use positive if no warnings
-  if (information.length === 0) {
-    if (neighborhoods.length > 0) {
-      information.push(`Direct route through ${neighborhoods[0]} - shorter distance for quicker travel`);
-    } else {
-      information.push('Shorter distance for quicker travel');
-    }
-  }
-
-  return { information };
 }
 
 function App() {
   const [startLocation, setStartLocation] = useState(null);
   const [endLocation, setEndLocation] = useState(null);
+  const [waypoints, setWaypoints] = useState([]); // Stops between start and end, in visiting order: [{ id, location }]
+  const nextWaypointIdRef = useRef(1);
+  const [travelMode, setTravelMode] = useState('walk'); // 'walk' or 'bike'
+  const [weightProfile, setWeightProfile] = useState(loadWeightProfile); // Saved safety weight preset or custom weights
+  const [weightOptions, setWeightOptions] = useState(null); // Presets from /api/weights
+  const [avoidList, setAvoidList] = useState(loadAvoidList); // Saved areas and streets to route around
+  const [drawingArea, setDrawingArea] = useState(null); // Corners of an avoid area being drawn, or null
+  const [unmatchedStreets, setUnmatchedStreets] = useState([]); // Avoided street names not in the street data
+  const [avoidedDistances, setAvoidedDistances] = useState({}); // Route id -> km still in avoided places
   const [departureTimeEnabled, setDepartureTimeEnabled] = useState(false);
   const [departureDate, setDepartureDate] = useState('today'); // 'today' or 'tomorrow'
   const [departureTime, setDepartureTime] = useState(() => {
@@ -417,11 +87,24 @@ function App() {
   const [safestDistance, setSafestDistance] = useState(null);
   const [fastestTime, setFastestTime] = useState(null);
   const [safestTime, setSafestTime] = useState(null);
+  const [fastestLegs, setFastestLegs] = useState([]); // Per-leg distance and time between stops
+  const [safestLegs, setSafestLegs] = useState([]);
+  const [fastestSafety, setFastestSafety] = useState(null);
+  const [safestSafety, setSafestSafety] = useState(null);
+  const [daylight, setDaylight] = useState(null); // Sun times the routes were scored with
+  const [fastestDarkStretches, setFastestDarkStretches] = useState([]);
+  const [safestDarkStretches, setSafestDarkStretches] = useState([]);
+  const [fastestManeuvers, setFastestManeuvers] = useState([]); // Turn-by-turn steps for navigation
+  const [safestManeuvers, setSafestManeuvers] = useState([]);
+  const [fastestHazards, setFastestHazards] = useState([]); // Reports, closures, dark stretches and high-crime blocks to alert on
+  const [safestHazards, setSafestHazards] = useState([]);
+  const [alternatives, setAlternatives] = useState([]); // Extra routes from /api/route, each with its own info
   const [startCoords, setStartCoords] = useState(null);
   const [endCoords, setEndCoords] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [backendReady, setBackendReady] = useState(false);
+  const [activeFactors, setActiveFactors] = useState(null); // Safety factors with data loaded (from /api/status)
   const [showResults, setShowResults] = useState(false);
   const [selectedRoute, setSelectedRoute] = useState('safest'); // Default to safest route
   const [expandedRoute, setExpandedRoute] = useState(null); // Track which route card is expanded
@@ -431,58 +114,200 @@ function App() {
   const [reportType, setReportType] = useState('');
   const [reportDescription, setReportDescription] = useState('');
   const [reportLocation, setReportLocation] = useState(null);
+  const [reportSubmitting, setReportSubmitting] = useState(false);
+  const [reportError, setReportError] = useState(null);
   const [navigationMode, setNavigationMode] = useState(false);
+  const [userPosition, setUserPosition] = useState(null); // Live position while navigating
+  const navigationStopsVisitedRef = useRef(0); // Stops passed before the last reroute
+  const navigationAvoidAreasRef = useRef([]); // Hazards routed around since navigation started
+  const navigationAvoidSegmentsRef = useRef([]); // Closed segments routed around since navigation started
   const [navigationRouteType, setNavigationRouteType] = useState(null);
+  const [snapWarning, setSnapWarning] = useState(null);
+  const [routeSafeHavens, setRouteSafeHavens] = useState([]); // Fire halls etc. along the shown route
 
-  // Check backend status on mount
+  // Check backend status on mount, polling until the data has loaded. The backend
+  // retries failed loads by itself, so keep polling through errors too.
   useEffect(() => {
+    let pollTimer = null;
+    let cancelled = false;
+
     const checkStatus = async () => {
       try {
         const statusRes = await fetch(`${API_BASE_URL}/status`);
         if (statusRes.ok) {
           const status = await statusRes.json();
-          if (!status.loaded && status.loading) {
-            setError('Backend is loading street data... Please wait.');
-            // Poll until ready
-            const pollInterval = setInterval(async () => {
-              const pollRes = await fetch(`${API_BASE_URL}/status`);
-              if (pollRes.ok) {
-                const pollStatus = await pollRes.json();
-                if (pollStatus.loaded) {
-                  clearInterval(pollInterval);
-                  setError(null);
-                  setBackendReady(true);
-                } else if (pollStatus.error) {
-                  clearInterval(pollInterval);
-                  setError(`Backend error: ${pollStatus.error}`);
-                }
-              }
-            }, 1000);
-            return () => clearInterval(pollInterval);
-          } else if (status.loaded) {
+          if (cancelled) return;
+          setActiveFactors(status.factors || null);
+          if (status.loaded) {
             setError(null);
             setBackendReady(true);
-          } else if (status.error) {
-            setError(`Backend error: ${status.error}`);
+            return;
           }
+          setError(status.error
+            ? `Backend error: ${status.error}. Retrying...`
+            : 'Backend is loading street data... Please wait.');
         } else {
           setError('Cannot connect to backend. Make sure the server is running on port 3001.');
         }
       } catch (err) {
         console.error('Status check failed:', err);
+        if (cancelled) return;
         setError('Cannot connect to backend. Make sure the server is running on port 3001.');
       }
+      pollTimer = setTimeout(checkStatus, STATUS_POLL_MS);
     };
     
     checkStatus();
+    return () => {
+      cancelled = true;
+      clearTimeout(pollTimer);
+    };
   }, []);
 
+  // Departure time for /api/route as an ISO timestamp, or null when leaving now
+  const getDepartureTimestamp = () => {
+    if (!departureTimeEnabled || !departureTime) return null;
+    // Combine date selection (today/tomorrow) with time
+    const departure = new Date();
+    if (departureDate === 'tomorrow') {
+      departure.setDate(departure.getDate() + 1);
+    }
+    const [hours, minutes] = departureTime.split(':');
+    departure.setHours(parseInt(hours, 10), parseInt(minutes, 10), 0, 0);
+    return departure.toISOString();
+  };
+
+  // /api/route URL from `start` to the end location through `stops` ({ lat, lng } each),
+  // with the current travel mode, safety weights, avoid list and departure time
+  const buildRouteUrl = (start, stops, avoid = avoidList) => {
+    // Format coordinates as lat,lng (URL encode to handle special characters)
+    const startStr = encodeURIComponent(`${start.lat},${start.lng}`);
+    const endStr = encodeURIComponent(`${endLocation.lat},${endLocation.lng}`);
+
+    let url = `${API_BASE_URL}/route?start=${startStr}&end=${endStr}&mode=${travelMode}${getWeightQuery(weightProfile)}${getAvoidQuery(avoid)}`;
+    if (stops.length > 0) {
+      const waypointStr = stops.map(stop => `${stop.lat},${stop.lng}`).join('|');
+      url += `&waypoints=${encodeURIComponent(waypointStr)}`;
+    }
+    const departureTimestamp = getDepartureTimestamp();
+    if (departureTimestamp) {
+      url += `&departure=${encodeURIComponent(departureTimestamp)}`;
+    }
+    return url;
+  };
+
+  // Fetch routes from /api/route, throwing with the server's message when it fails
+  const requestRoutes = async (url) => {
+    console.log('Fetching route from:', url);
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      let errorMessage = 'Failed to fetch routes';
+      try {
+        const errorData = await response.json();
+        errorMessage = errorData.error || errorData.message || errorMessage;
+      } catch (e) {
+        errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+      }
+      throw new Error(errorMessage);
+    }
+
+    const data = await response.json();
+    console.log('Route data received:', {
+      fastestPoints: data.fastestRoute?.length || 0,
+      safestPoints: data.safestRoute?.length || 0,
+      start: data.start,
+      end: data.end
+    });
+
+    if (!data.fastestRoute || !data.safestRoute) {
+      throw new Error('Invalid route data received from server');
+    }
+    return data;
+  };
+
+  // Show the routes from an /api/route response
+  const showRouteData = (data) => {
+    setFastestRoute(data.fastestRoute || []);
+    setSafestRoute(data.safestRoute || []);
+    setFastestDistance(data.fastestDistance !== undefined ? data.fastestDistance : null);
+    setSafestDistance(data.safestDistance !== undefined ? data.safestDistance : null);
+    setFastestTime(data.fastestTime !== undefined ? data.fastestTime : null);
+    setSafestTime(data.safestTime !== undefined ? data.safestTime : null);
+    setFastestLegs(data.fastestLegs || []);
+    setSafestLegs(data.safestLegs || []);
+    setFastestSafety(data.fastestSafety || null);
+    setSafestSafety(data.safestSafety || null);
+    setDaylight(data.daylight || null);
+    setFastestDarkStretches(data.fastestDarkStretches || []);
+    setSafestDarkStretches(data.safestDarkStretches || []);
+    setFastestManeuvers(data.fastestManeuvers || []);
+    setSafestManeuvers(data.safestManeuvers || []);
+    setFastestHazards(data.fastestHazards || []);
+    setSafestHazards(data.safestHazards || []);
+    setAlternatives((data.alternatives || []).map((alternative, index) => ({
+      ...alternative,
+      name: `Alternative ${index + 1}`,
+      color: ALTERNATIVE_ROUTE_COLORS[index % ALTERNATIVE_ROUTE_COLORS.length],
+      info: describeFastestRoute(alternative.safety, alternative.darkStretches)
+    })));
+    setStartCoords(data.start);
+    setEndCoords(data.end);
+    setUnmatchedStreets(data.avoid ? data.avoid.unmatchedStreets : []);
+    setAvoidedDistances({
+      fastest: data.fastestAvoidedDistance || 0,
+      safest: data.safestAvoidedDistance || 0,
+      ...Object.fromEntries((data.alternatives || []).map(alternative => [alternative.id, alternative.avoidedDistance || 0]))
+    });
+    
+    // Warn when the route has to bridge a long gap to reach the route network
+    const snapWarnings = [];
+    if (data.startSnapDistance > SNAP_WARNING_DISTANCE_KM) {
+      snapWarnings.push(`your start is ${Math.round(data.startSnapDistance * 1000)}m`);
+    }
+    if (data.endSnapDistance > SNAP_WARNING_DISTANCE_KM) {
+      snapWarnings.push(`your destination is ${Math.round(data.endSnapDistance * 1000)}m`);
+    }
+    (data.waypointSnapDistances || []).forEach((distance, index) => {
+      if (distance > SNAP_WARNING_DISTANCE_KM) {
+        snapWarnings.push(`stop ${index + 1} is ${Math.round(distance * 1000)}m`);
+      }
+    });
+    setSnapWarning(snapWarnings.length > 0
+      ? `Heads up: ${snapWarnings.join(' and ')} from the nearest mapped route. That stretch is not safety-scored.`
+      : null);
+
+    // Debug: Log the received data
+    console.log('Route data received:', {
+      fastestTime: data.fastestTime,
+      fastestDistance: data.fastestDistance,
+      safestTime: data.safestTime,
+      safestDistance: data.safestDistance,
+      fastestTimeType: typeof data.fastestTime,
+      fastestDistanceType: typeof data.fastestDistance,
+      fullData: data
+    });
+    
+    // Describe routes from their safety breakdown (per-neighbourhood segment statistics)
+    const fastestInfo = describeFastestRoute(data.fastestSafety, data.fastestDarkStretches);
+    const safestInfo = describeSafestRoute(data.safestSafety, data.safestDarkStretches);
+    
+    // Store structured info in state
+    setFastestRouteInfo(fastestInfo);
+    setSafestRouteInfo(safestInfo);
+  };
+
   const fetchRoutes = async () => {
     if (!startLocation || !endLocation) {
       setError('Please select both start and end locations.');
       return;
     }
     
+    if (waypoints.some(waypoint => !waypoint.location)) {
+      setError('Please choose a location for every stop, or remove the empty ones.');
+      return;
+    }
+    
     // Validate coordinates
     if (typeof startLocation.lat !== 'number' || typeof startLocation.lng !== 'number' ||
         typeof endLocation.lat !== 'number' || typeof endLocation.lng !== 'number') {
@@ -495,97 +320,114 @@ function App() {
     setShowResults(false);
     
     try {
-      // Format coordinates as lat,lng (URL encode to handle special characters)
-      const startStr = encodeURIComponent(`${startLocation.lat},${startLocation.lng}`);
-      const endStr = encodeURIComponent(`${endLocation.lat},${endLocation.lng}`);
-      
-      // Convert departure time to ISO timestamp if enabled
-      let url = `${API_BASE_URL}/route?start=${startStr}&end=${endStr}`;
-      if (departureTimeEnabled && departureTime) {
-        // Combine date selection (today/tomorrow) with time
-        const now = new Date();
-        if (departureDate === 'tomorrow') {
-          now.setDate(now.getDate() + 1);
-        }
-        const [hours, minutes] = departureTime.split(':');
-        now.setHours(parseInt(hours, 10), parseInt(minutes, 10), 0, 0);
-        const departureTimestamp = now.toISOString();
-        url += `&departure=${encodeURIComponent(departureTimestamp)}`;
-      }
-      console.log('Fetching route from:', url);
-      
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        let errorMessage = 'Failed to fetch routes';
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.error || errorData.message || errorMessage;
-        } catch (e) {
-          errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-        }
-        throw new Error(errorMessage);
-      }
-      
-      const data = await response.json();
-      console.log('Route data received:', {
-        fastestPoints: data.fastestRoute?.length || 0,
-        safestPoints: data.safestRoute?.length || 0,
-        start: data.start,
-        end: data.end
-      });
-      
-      if (!data.fastestRoute || !data.safestRoute) {
-        throw new Error('Invalid route data received from server');
-      }
-      
-      setFastestRoute(data.fastestRoute || []);
-      setSafestRoute(data.safestRoute || []);
-      setFastestDistance(data.fastestDistance !== undefined ? data.fastestDistance : null);
-      setSafestDistance(data.safestDistance !== undefined ? data.safestDistance : null);
-      setFastestTime(data.fastestTime !== undefined ? data.fastestTime : null);
-      setSafestTime(data.safestTime !== undefined ? data.safestTime : null);
-      setStartCoords(data.start);
-      setEndCoords(data.end);
+      const data = await requestRoutes(buildRouteUrl(startLocation, waypoints.map(waypoint => waypoint.location)));
+      showRouteData(data);
       setSelectedRoute('safest'); // Reset to safest route by default
       setShowResults(true);
-      
-      // Debug: Log the received data
-      console.log('Route data received:', {
-        fastestTime: data.fastestTime,
-        fastestDistance: data.fastestDistance,
-        safestTime: data.safestTime,
-        safestDistance: data.safestDistance,
-        fastestTimeType: typeof data.fastestTime,
-        fastestDistanceType: typeof data.fastestDistance,
-        fullData: data
-      });
-      
-      // Analyze routes and store structured descriptions
-      const fastestInfo = analyzeFastestRoute(data.fastestRoute);
-      const safestInfo = analyzeSafestRoute(data.safestRoute);
-      
-      // Store structured info in state
-      setFastestRouteInfo(fastestInfo);
-      setSafestRouteInfo(safestInfo);
     } catch (err) {
       console.error('Error fetching routes:', err);
       setError(err.message || 'Failed to fetch routes. Please check that the backend is running.');
       setFastestRoute([]);
       setSafestRoute([]);
+      setAlternatives([]);
       setStartCoords(null);
       setEndCoords(null);
+      setSnapWarning(null);
       setShowResults(false);
     } finally {
       setLoading(false);
     }
   };
 
+  // Reroute during navigation: from the traveller's position to the destination through the stops
+  // not yet reached, with the same route type and settings. Alternatives are found afresh for each
+  // request, so navigating one continues on whichever new route overlaps it most, with a note
+  // when that is a different one.
+  // stopsVisited counts the stops passed on the route being navigated. avoidArea: corners of a
+  // hazard to route around, and avoidSegments: IDs of closed segments to route around; both are
+  // kept out of every later reroute until navigation stops.
+  const rerouteNavigation = async (position, stopsVisited, { avoidArea, avoidSegments = [] } = {}) => {
+    const visited = navigationStopsVisitedRef.current + stopsVisited;
+    const remainingStops = waypoints.filter(waypoint => waypoint.location).slice(visited).map(waypoint => waypoint.location);
+    // A request can avoid at most MAX_AVOID_AREAS areas: the newest hazards always go in,
+    // and the user's own enabled areas fill the room left
+    const hazardAreas = (avoidArea ? [...navigationAvoidAreasRef.current, avoidArea] : navigationAvoidAreasRef.current)
+      .slice(-MAX_AVOID_AREAS);
+    const userAreas = avoidList.areas.filter(area => area.enabled);
+    const keptAreas = userAreas.slice(0, MAX_AVOID_AREAS - hazardAreas.length);
+    const hazardSegments = [...new Set([...navigationAvoidSegmentsRef.current, ...avoidSegments])].slice(-MAX_AVOID_SEGMENTS);
+    const avoid = {
+      ...avoidList,
+      areas: [...hazardAreas.map((path, index) => ({ id: `hazard-${index}`, name: 'Hazard', path, enabled: true })), ...keptAreas],
+      segments: hazardSegments
+    };
+    const data = await requestRoutes(buildRouteUrl(position, remainingStops, avoid));
+    navigationStopsVisitedRef.current = visited;
+    navigationAvoidAreasRef.current = hazardAreas;
+    navigationAvoidSegmentsRef.current = hazardSegments;
+    showRouteData(data);
+    const notes = [];
+    if (navigationRouteType !== 'fastest' && navigationRouteType !== 'safest') {
+      const previousPath = (mapRoutes.find(route => route.id === navigationRouteType) || mapRoutes[1]).path;
+      const candidates = [
+        { id: 'fastest', name: 'the fastest route', path: data.fastestRoute },
+        { id: 'safest', name: 'the safest route', path: data.safestRoute },
+        ...(data.alternatives || []).map((alternative, index) => ({ id: alternative.id, name: `Alternative ${index + 1}`, path: alternative.route }))
+      ];
+      const closest = candidates.reduce((best, candidate) => {
+        const overlap = getRouteOverlap(candidate.path, previousPath);
+        return overlap > best.overlap ? { ...candidate, overlap } : best;
+      }, { ...candidates[1], overlap: -1 });
+      setNavigationRouteType(closest.id);
+      if (closest.id !== navigationRouteType) {
+        notes.push(`Now following ${closest.name}, the closest to the route you were on`);
+      }
+    }
+    const dropped = userAreas.length - keptAreas.length;
+    if (dropped > 0) {
+      notes.push(`${dropped} of your avoid areas ${dropped === 1 ? 'was' : 'were'} left out of this route to make room for hazards`);
+    }
+    return notes.length > 0 ? notes.join('. ') : null;
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     fetchRoutes();
   };
 
+  // Stops between start and end. LocationSearch keeps its first onChange, so updates
+  // go through the waypoint's id rather than its position in the list.
+  const addWaypoint = () => {
+    const id = nextWaypointIdRef.current++;
+    setWaypoints(current => current.length < MAX_WAYPOINTS ? [...current, { id, location: null }] : current);
+  };
+
+  const updateWaypoint = (id, location) => {
+    setWaypoints(current => current.map(waypoint => waypoint.id === id ? { ...waypoint, location } : waypoint));
+  };
+
+  const removeWaypoint = (id) => {
+    setWaypoints(current => current.filter(waypoint => waypoint.id !== id));
+  };
+
+  // Move a stop one place earlier (-1) or later (+1) in the visiting order
+  const moveWaypoint = (id, offset) => {
+    setWaypoints(current => {
+      const index = current.findIndex(waypoint => waypoint.id === id);
+      const target = index + offset;
+      if (index === -1 || target < 0 || target >= current.length) return current;
+      const reordered = current.slice();
+      [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+      return reordered;
+    });
+  };
+
+  // Chosen stops for the map's numbered markers
+  const waypointMarkers = useMemo(() => waypoints
+    .filter(waypoint => waypoint.location)
+    .map(({ location }) => ({ lat: location.lat, lng: location.lng, label: location.address })),
+  [waypoints]);
+
   // Clear routes when locations are cleared
   useEffect(() => {
     if (!startLocation || !endLocation) {
@@ -595,6 +437,19 @@ function App() {
       setSafestDistance(null);
       setFastestTime(null);
       setSafestTime(null);
+      setFastestLegs([]);
+      setSafestLegs([]);
+      setFastestSafety(null);
+      setSafestSafety(null);
+      setDaylight(null);
+      setFastestDarkStretches([]);
+      setSafestDarkStretches([]);
+      setFastestManeuvers([]);
+      setSafestManeuvers([]);
+      setFastestHazards([]);
+      setSafestHazards([]);
+      setAlternatives([]);
+      setAvoidedDistances({});
       setStartCoords(null);
       setEndCoords(null);
       setShowResults(false);
@@ -603,9 +458,66 @@ function App() {
       setSelectedRoute('safest'); // Reset to default
       setFastestRouteInfo({ information: [] });
       setSafestRouteInfo({ benefits: [] });
+      setSnapWarning(null);
     }
   }, [startLocation, endLocation]);
 
+  // Auto-refetch routes when the travel mode changes (if routes are already shown)
+  useEffect(() => {
+    if (startLocation && endLocation && (fastestRoute.length > 0 || safestRoute.length > 0)) {
+      fetchRoutes();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [travelMode]);
+
+  // Load the weight presets once the backend is up; forget a saved preset it no longer offers
+  useEffect(() => {
+    if (!backendReady) return;
+    fetchWeightPresets()
+      .then(options => {
+        setWeightOptions(options);
+        setWeightProfile(profile => {
+          if (profile.preset === 'custom' || options.presets.some(preset => preset.id === profile.preset)) return profile;
+          saveWeightProfile(DEFAULT_WEIGHT_PROFILE);
+          return DEFAULT_WEIGHT_PROFILE;
+        });
+      })
+      .catch(err => console.error('Failed to load safety weight presets:', err));
+  }, [backendReady]);
+
+  const handleWeightProfileChange = (profile) => {
+    setWeightProfile(profile);
+    saveWeightProfile(profile);
+  };
+
+  const handleAvoidListChange = (list) => {
+    setAvoidList(list);
+    saveAvoidList(list);
+  };
+
+  // Drawing an avoid area: each map click places a corner until it is saved or cancelled
+  const handleMapClick = (point) => {
+    setDrawingArea(points => points ? [...points, point] : points);
+  };
+
+  const finishDrawingArea = () => {
+    if (!drawingArea || drawingArea.length < 3) return;
+    const area = { id: createAvoidId(), name: `Area ${avoidList.areas.length + 1}`, path: drawingArea, enabled: true };
+    handleAvoidListChange({ ...avoidList, areas: [...avoidList.areas, area] });
+    setDrawingArea(null);
+  };
+
+  // Enabled avoid areas, shaded on the map
+  const avoidAreasOnMap = useMemo(() => avoidList.areas.filter(area => area.enabled), [avoidList]);
+
+  // Auto-refetch routes when the safety weights or avoid list change (if routes are already shown)
+  useEffect(() => {
+    if (!startLocation || !endLocation || (fastestRoute.length === 0 && safestRoute.length === 0)) return;
+    const timer = setTimeout(fetchRoutes, PREFERENCES_REFETCH_DELAY_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [weightProfile, avoidList]);
+
   // Auto-refetch routes when departure time changes (if locations are set and toggle is enabled)
   useEffect(() => {
     // Only auto-refetch if:
@@ -618,23 +530,105 @@ function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [departureTime, departureDate, departureTimeEnabled]); // Refetch when departure time, date, or toggle changes
 
-  const canSearch = startLocation && endLocation && backendReady && !loading;
+  // Every route drawn on the map, by id ('fastest', 'safest' or an alternative's id)
+  const mapRoutes = useMemo(() => [
+    {
+      id: 'fastest',
+      path: fastestRoute,
+      color: FASTEST_ROUTE_COLOR,
+      darkStretches: fastestDarkStretches,
+      maneuvers: fastestManeuvers,
+      hazards: fastestHazards,
+      info: fastestRouteInfo
+    },
+    {
+      id: 'safest',
+      path: safestRoute,
+      color: SAFEST_ROUTE_COLOR,
+      darkStretches: safestDarkStretches,
+      maneuvers: safestManeuvers,
+      hazards: safestHazards,
+      info: safestRouteInfo
+    },
+    ...alternatives.map(alternative => ({
+      id: alternative.id,
+      path: alternative.route,
+      color: alternative.color,
+      darkStretches: alternative.darkStretches || [],
+      maneuvers: alternative.maneuvers || [],
+      hazards: alternative.hazards || [],
+      info: alternative.info
+    }))
+  ], [fastestRoute, safestRoute, fastestDarkStretches, safestDarkStretches, fastestManeuvers, safestManeuvers, fastestHazards, safestHazards, fastestRouteInfo, safestRouteInfo, alternatives]);
+
+  // Safe havens and dark stretches along the route shown on the map
+  const shownRouteType = navigationMode ? navigationRouteType : selectedRoute;
+  const shownMapRoute = mapRoutes.find(route => route.id === shownRouteType) || mapRoutes[1];
+  const shownRoute = shownMapRoute.path;
+  const shownDarkStretches = shownMapRoute.darkStretches;
+  useEffect(() => {
+    if (shownRoute.length < 2) {
+      setRouteSafeHavens([]);
+      return;
+    }
 
-  const handleReportSubmit = (e) => {
+    let cancelled = false;
+    fetchSafeHavensAlongRoute(shownRoute)
+      .then(havens => {
+        if (!cancelled) setRouteSafeHavens(havens);
+      })
+      .catch(err => {
+        console.error('Failed to load safe havens:', err);
+        if (!cancelled) setRouteSafeHavens([]);
+      });
+    return () => { cancelled = true; };
+  }, [shownRoute]);
+
+  const canSearch = startLocation && endLocation && waypoints.every(waypoint => waypoint.location) && backendReady && !loading;
+
+  // Send reports saved while offline once the backend is reachable again
+  useEffect(() => {
+    if (!backendReady) return;
+
+    flushPendingReports().catch(err => console.error('Failed to send queued reports:', err));
+
+    const handleOnline = () => {
+      flushPendingReports().catch(err => console.error('Failed to send queued reports:', err));
+    };
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [backendReady]);
+
+  const handleReportSubmit = async (e) => {
     e.preventDefault();
-    // TODO: Send report to backend
-    console.log('Report submitted:', {
-      type: reportType,
-      description: reportDescription,
-      location: reportLocation
-    });
-    // Reset form and close modal
-    setReportType('');
-    setReportDescription('');
-    setReportLocation(null);
-    setShowReportModal(false);
-    // Show success message (you can add a toast notification here)
-    alert('Thank you for your report! We will review it shortly.');
+    if (!reportLocation) {
+      setReportError('Please choose where the issue is.');
+      return;
+    }
+
+    setReportSubmitting(true);
+    setReportError(null);
+    try {
+      const result = await submitReport({
+        type: reportType,
+        description: reportDescription,
+        location: reportLocation
+      });
+
+      // Reset form and close modal
+      setReportType('');
+      setReportDescription('');
+      setReportLocation(null);
+      setShowReportModal(false);
+      alert(result.status === 'sent'
+        ? 'Thank you for your report! We will review it shortly.'
+        : 'You appear to be offline. Your report was saved and will be sent automatically.');
+    } catch (err) {
+      console.error('Error submitting report:', err);
+      setReportError(err.message || 'Failed to submit report.');
+    } finally {
+      setReportSubmitting(false);
+    }
   };
 
   return (
@@ -642,7 +636,10 @@ function App() {
       {/* Report Button - Top Right */}
       <button
         className="report-button"
-        onClick={() => setShowReportModal(true)}
+        onClick={() => {
+          setReportError(null);
+          setShowReportModal(true);
+        }}
         aria-label="Report an issue"
       >
         <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -701,16 +698,25 @@ function App() {
               </div>
 
               <div className="form-group">
-                <label htmlFor="report-location" className="form-label">Location (Optional)</label>
+                <label htmlFor="report-location" className="form-label">Location</label>
                 <LocationSearch
                   label=""
                   placeholder="Search for location..."
                   value={reportLocation}
                   onChange={(location) => setReportLocation(location)}
-                  disabled={loading || !backendReady}
+                  disabled={reportSubmitting}
                 />
               </div>
 
+              {reportError && (
+                <div className="alert alert-error">
+                  <svg className="alert-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  </svg>
+                  <span>{reportError}</span>
+                </div>
+              )}
+
               <div className="modal-actions">
                 <button
                   type="button"
@@ -722,8 +728,9 @@ function App() {
                 <button
                   type="submit"
                   className="btn-primary"
+                  disabled={reportSubmitting}
                 >
-                  Submit Report
+                  {reportSubmitting ? 'Submitting...' : 'Submit Report'}
                 </button>
               </div>
             </form>
@@ -734,24 +741,38 @@ function App() {
       {/* Full-screen Map Background - Edge to Edge */}
       <div className="map-container">
         <GoogleMap
-          fastestRoute={fastestRoute}
-          safestRoute={safestRoute}
+          routes={mapRoutes}
           start={startCoords}
           end={endCoords}
+          waypoints={waypointMarkers}
           startLabel={startLocation?.address || 'Start'}
           endLabel={endLocation?.address || 'End'}
           selectedRoute={navigationMode ? navigationRouteType : selectedRoute}
           onRouteSelect={setSelectedRoute}
+          safeHavens={routeSafeHavens}
+          darkStretches={shownDarkStretches}
+          avoidAreas={avoidAreasOnMap}
+          drawingPath={drawingArea}
+          onMapClick={drawingArea ? handleMapClick : null}
+          userPosition={navigationMode ? userPosition : null}
         />
       </div>
 
       {/* Navigation Mode Overlay - Full Screen */}
       {navigationMode && (
         <NavigationMode
-          route={navigationRouteType === 'fastest' ? fastestRoute : safestRoute}
+          route={shownMapRoute.path}
+          maneuvers={shownMapRoute.maneuvers}
+          hazards={shownMapRoute.hazards}
           routeType={navigationRouteType}
-          routeInfo={navigationRouteType === 'fastest' ? fastestRouteInfo : safestRouteInfo}
+          routeInfo={shownMapRoute.info}
+          travelMode={travelMode}
+          onPositionChange={setUserPosition}
+          onReroute={rerouteNavigation}
           onStop={() => {
+            navigationStopsVisitedRef.current = 0;
+            navigationAvoidAreasRef.current = [];
+            navigationAvoidSegmentsRef.current = [];
             setNavigationMode(false);
             setNavigationRouteType(null);
           }}
@@ -796,6 +817,60 @@ function App() {
             />
           </div>
 
+          {waypoints.map((waypoint, index) => (
+            <div key={waypoint.id} className="form-group waypoint-row">
+              <div className="waypoint-search">
+                <LocationSearch
+                  label={`Stop ${index + 1}`}
+                  placeholder="Search for a stop..."
+                  value={waypoint.location}
+                  onChange={(location) => updateWaypoint(waypoint.id, location)}
+                  disabled={loading || !backendReady}
+                />
+              </div>
+              <div className="waypoint-actions">
+                <button
+                  type="button"
+                  className="waypoint-btn"
+                  onClick={() => moveWaypoint(waypoint.id, -1)}
+                  disabled={loading || index === 0}
+                  aria-label={`Move stop ${index + 1} earlier`}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="waypoint-btn"
+                  onClick={() => moveWaypoint(waypoint.id, 1)}
+                  disabled={loading || index === waypoints.length - 1}
+                  aria-label={`Move stop ${index + 1} later`}
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  className="waypoint-btn waypoint-btn-remove"
+                  onClick={() => removeWaypoint(waypoint.id)}
+                  disabled={loading}
+                  aria-label={`Remove stop ${index + 1}`}
+                >
+                  ×
+                </button>
+              </div>
+            </div>
+          ))}
+
+          {waypoints.length < MAX_WAYPOINTS && (
+            <button
+              type="button"
+              className="add-waypoint-btn"
+              onClick={addWaypoint}
+              disabled={loading || !backendReady}
+            >
+              + Add stop
+            </button>
+          )}
+
           <div className="form-group">
             <LocationSearch
               label="End Location"
@@ -814,6 +889,30 @@ function App() {
           </div>
 
           <div className="form-group">
+            <div className="toggle-group">
+              <div className="toggle-label">
+                <span className="toggle-label-text">Travel Mode</span>
+                <span className="toggle-label-subtitle">Speed and one-way rules</span>
+              </div>
+              <div className="travel-mode-toggle" role="radiogroup" aria-label="Travel mode">
+                {[
+                  { value: 'walk', label: 'Walk' },
+                  { value: 'bike', label: 'Bike' }
+                ].map(option => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    role="radio"
+                    aria-checked={travelMode === option.value}
+                    className={`travel-mode-option ${travelMode === option.value ? 'active' : ''}`}
+                    onClick={() => setTravelMode(option.value)}
+                    disabled={loading || !backendReady}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
             <div className="toggle-group">
               <label htmlFor="departure-toggle" className="toggle-label">
                 <span className="toggle-label-text">Departure Time</span>
@@ -857,6 +956,41 @@ function App() {
             )}
           </div>
 
+          <SafetyPreferences
+            options={weightOptions}
+            value={weightProfile}
+            onChange={handleWeightProfileChange}
+            disabled={loading || !backendReady}
+          />
+
+          <AvoidPreferences
+            list={avoidList}
+            onChange={handleAvoidListChange}
+            drawingPoints={drawingArea}
+            onStartDrawing={() => setDrawingArea([])}
+            onFinishDrawing={finishDrawingArea}
+            onCancelDrawing={() => setDrawingArea(null)}
+            unmatchedStreets={unmatchedStreets}
+            disabled={loading || !backendReady}
+          />
+
+          {activeFactors && (
+            <div className="safety-factors" aria-label="Safety factors">
+              <span className="safety-factors-title">Safety factors</span>
+              <div className="safety-factors-list">
+                {SAFETY_FACTORS.map(({ key, label }) => (
+                  <span
+                    key={key}
+                    className={`safety-factor ${activeFactors[key] ? 'active' : 'inactive'}`}
+                    title={activeFactors[key] ? `${label}: scored from data` : `${label}: no data loaded, a neutral default is used`}
+                  >
+                    {activeFactors[key] ? '✓' : '–'} {label}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
           <button
             type="submit"
             disabled={!canSearch}
@@ -886,6 +1020,32 @@ function App() {
           <div className="route-results">
             <h2 className="results-title">Route Options</h2>
             
+            {daylight && (
+              <p className="daylight-note">
+                {DAYLIGHT_LABELS[daylight.period]}
+                {daylight.sunrise && ` · Sunrise ${formatVancouverTime(daylight.sunrise)}`}
+                {daylight.sunset && ` · Sunset ${formatVancouverTime(daylight.sunset)}`}
+              </p>
+            )}
+            
+            {snapWarning && (
+              <div className="alert alert-warning">
+                <svg className="alert-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                </svg>
+                <span>{snapWarning}</span>
+              </div>
+            )}
+            
+            {avoidedDistances[selectedRoute] > 0 && (
+              <div className="alert alert-warning">
+                <svg className="alert-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                </svg>
+                <span>This route still passes {Math.round(avoidedDistances[selectedRoute] * 1000)}m through places you avoid - there is no reasonable way around them.</span>
+              </div>
+            )}
+            
             {fastestRoute.length > 0 && (
               <div 
                 className={`route-card route-fastest ${selectedRoute === 'fastest' ? 'selected' : ''} ${expandedRoute === 'fastest' ? 'expanded' : ''}`}
@@ -908,7 +1068,10 @@ function App() {
                   <div className="route-header-content">
                     <div>
                       <h3 className="route-name">Fastest Route</h3>
-                      <p className="route-points">{fastestRoute.length} waypoints</p>
+                      <p className="route-points">
+                        {fastestRoute.length} waypoints
+                        {fastestSafety && fastestSafety.score !== null && ` · Safety ${fastestSafety.score.toFixed(1)}/10`}
+                      </p>
                     </div>
                   </div>
                   <div className={`route-selected-indicator ${selectedRoute === 'fastest' ? 'visible' : ''}`}>
@@ -936,6 +1099,8 @@ function App() {
                 </div>
                 <div className={`route-details ${expandedRoute === 'fastest' ? 'expanded' : ''}`}>
                   <div className="route-details-content">
+                    <SafetyBreakdown safety={fastestSafety} />
+                    <RouteLegs legs={fastestLegs} />
                     <h4 className="route-details-title">Route Information</h4>
                     <ul className="route-details-list">
                       {fastestRouteInfo.information.length > 0 ? (
@@ -989,7 +1154,10 @@ function App() {
                   <div className="route-header-content">
                     <div>
                       <h3 className="route-name">Safest Route</h3>
-                      <p className="route-points">{safestRoute.length} waypoints</p>
+                      <p className="route-points">
+                        {safestRoute.length} waypoints
+                        {safestSafety && safestSafety.score !== null && ` · Safety ${safestSafety.score.toFixed(1)}/10`}
+                      </p>
                     </div>
                   </div>
                   <div className={`route-selected-indicator ${selectedRoute === 'safest' ? 'visible' : ''}`}>
@@ -1017,6 +1185,8 @@ function App() {
                 </div>
                 <div className={`route-details ${expandedRoute === 'safest' ? 'expanded' : ''}`}>
                   <div className="route-details-content">
+                    <SafetyBreakdown safety={safestSafety} />
+                    <RouteLegs legs={safestLegs} />
                     <h4 className="route-details-title">Route Benefits</h4>
                     <ul className="route-details-list">
                       {safestRouteInfo.benefits.length > 0 ? (
@@ -1024,11 +1194,7 @@ function App() {
                           <li key={idx}>{benefit}</li>
                         ))
                       ) : (
-                        <>
-                          <li>Optimized for pedestrian safety infrastructure</li>
-                          <li>Better street lighting coverage</li>
-                          <li>Well-maintained sidewalks and pathways</li>
-                        </>
+                        <li>Scored on infrastructure, lighting, crime, disruption and amenities</li>
                       )}
                     </ul>
                   </div>
@@ -1051,6 +1217,92 @@ function App() {
                 )}
               </div>
             )}
+
+            {alternatives.map(alternative => (
+              <div 
+                key={alternative.id}
+                className={`route-card route-alternative ${selectedRoute === alternative.id ? 'selected' : ''} ${expandedRoute === alternative.id ? 'expanded' : ''}`}
+                onClick={(e) => {
+                  // Only toggle expansion if clicking on the card itself, not the expand button
+                  if (e.target.closest('.route-expand-btn')) {
+                    setExpandedRoute(expandedRoute === alternative.id ? null : alternative.id);
+                  } else {
+                    setSelectedRoute(alternative.id);
+                  }
+                }}
+                style={{ cursor: 'pointer', '--route-color': alternative.color }}
+              >
+                <div className="route-header">
+                  <div className="route-icon route-icon-alternative">
+                    <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+                    </svg>
+                  </div>
+                  <div className="route-header-content">
+                    <div>
+                      <h3 className="route-name">{alternative.name}</h3>
+                      <p className="route-points">
+                        {alternative.distance.toFixed(1)} km · {alternative.time} min
+                        {alternative.safety && alternative.safety.score !== null && ` · Safety ${alternative.safety.score.toFixed(1)}/10`}
+                      </p>
+                    </div>
+                  </div>
+                  <div className={`route-selected-indicator ${selectedRoute === alternative.id ? 'visible' : ''}`}>
+                    <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M5 13l4 4L19 7" />
+                    </svg>
+                  </div>
+                  <button 
+                    className="route-expand-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setExpandedRoute(expandedRoute === alternative.id ? null : alternative.id);
+                    }}
+                    aria-label="Toggle route details"
+                  >
+                    <svg 
+                      fill="none" 
+                      stroke="currentColor" 
+                      viewBox="0 0 24 24"
+                      className={`expand-icon ${expandedRoute === alternative.id ? 'expanded' : ''}`}
+                    >
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M19 9l-7 7-7-7" />
+                    </svg>
+                  </button>
+                </div>
+                <div className={`route-details ${expandedRoute === alternative.id ? 'expanded' : ''}`}>
+                  <div className="route-details-content">
+                    <SafetyBreakdown safety={alternative.safety} />
+                    <h4 className="route-details-title">Route Information</h4>
+                    <ul className="route-details-list">
+                      {alternative.info.information.length > 0 ? (
+                        alternative.info.information.map((info, idx) => (
+                          <li key={idx}>{info}</li>
+                        ))
+                      ) : (
+                        <li>Takes different streets from the fastest and safest routes</li>
+                      )}
+                    </ul>
+                  </div>
+                </div>
+                {selectedRoute === alternative.id && (
+                  <button 
+                    className="route-start-btn route-start-btn-alternative"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setNavigationMode(true);
+                      setNavigationRouteType(alternative.id);
+                    }}
+                  >
+                    <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" />
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                    Start Navigation
+                  </button>
+                )}
+              </div>
+            ))}
           </div>
         )}
 
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { createAvoidId, MAX_AVOID_AREAS, MAX_AVOID_STREETS } from '../utils/avoidList';
+
+// Personal avoid list: areas drawn on the map and street names, each switchable on and off.
+// list: { areas, streets } (see utils/avoidList); drawingPoints: corners placed so far while
+// drawing a new area, or null when not drawing.
+function AvoidPreferences({
+  list,
+  onChange,
+  drawingPoints,
+  onStartDrawing,
+  onFinishDrawing,
+  onCancelDrawing,
+  unmatchedStreets = [],
+  disabled
+}) {
+  const [expanded, setExpanded] = useState(false);
+  const [streetName, setStreetName] = useState('');
+
+  const activeCount = list.areas.filter(area => area.enabled).length + list.streets.filter(street => street.enabled).length;
+  const summary = activeCount > 0 ? `Avoiding ${activeCount} ${activeCount === 1 ? 'place' : 'places'}` : 'Nothing avoided';
+  const isDrawing = Array.isArray(drawingPoints);
+
+  const toggleEntry = (kind, id) => {
+    onChange({ ...list, [kind]: list[kind].map(entry => entry.id === id ? { ...entry, enabled: !entry.enabled } : entry) });
+  };
+
+  const removeEntry = (kind, id) => {
+    onChange({ ...list, [kind]: list[kind].filter(entry => entry.id !== id) });
+  };
+
+  // Inside the route form, so Enter adds the street rather than submitting the form
+  const addStreet = () => {
+    const name = streetName.trim().replace(/\s+/g, ' ');
+    if (!name) return;
+    if (!list.streets.some(street => street.name.toLowerCase() === name.toLowerCase())) {
+      onChange({ ...list, streets: [...list.streets, { id: createAvoidId(), name, enabled: true }] });
+    }
+    setStreetName('');
+  };
+
+  const renderEntry = (kind, entry, detail) => (
+    <li key={entry.id} className={`avoid-entry ${entry.enabled ? '' : 'disabled'}`}>
+      <label className="avoid-entry-label">
+        <input
+          type="checkbox"
+          checked={entry.enabled}
+          onChange={() => toggleEntry(kind, entry.id)}
+          disabled={disabled}
+        />
+        <span className="avoid-entry-name">{entry.name}</span>
+        {detail && <span className="avoid-entry-detail">{detail}</span>}
+      </label>
+      <button
+        type="button"
+        className="avoid-entry-remove"
+        onClick={() => removeEntry(kind, entry.id)}
+        disabled={disabled}
+        aria-label={`Remove ${entry.name}`}
+      >
+        ×
+      </button>
+    </li>
+  );
+
+  return (
+    <div className="avoid-preferences">
+      <div className="toggle-group">
+        <div className="toggle-label">
+          <span className="toggle-label-text">Places to Avoid</span>
+          <span className="toggle-label-subtitle">{isDrawing ? 'Drawing an area…' : summary}</span>
+        </div>
+        <button
+          type="button"
+          className="safety-preferences-toggle"
+          onClick={() => setExpanded(!expanded)}
+          aria-expanded={expanded}
+        >
+          {expanded ? 'Done' : 'Edit'}
+        </button>
+      </div>
+
+      {(expanded || isDrawing) && (
+        <div className="safety-preferences-panel">
+          <h4 className="avoid-section-title">Areas</h4>
+          {list.areas.length > 0 && (
+            <ul className="avoid-list">
+              {list.areas.map(area => renderEntry('areas', area, `${area.path.length} corners`))}
+            </ul>
+          )}
+          {isDrawing ? (
+            <div className="avoid-drawing">
+              <p className="preference-description">
+                Tap the map to place the area's corners ({drawingPoints.length} placed, at least 3 needed).
+              </p>
+              <div className="avoid-drawing-actions">
+                <button
+                  type="button"
+                  className="preference-preset active"
+                  onClick={onFinishDrawing}
+                  disabled={drawingPoints.length < 3}
+                >
+                  Save area
+                </button>
+                <button type="button" className="preference-preset" onClick={onCancelDrawing}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              type="button"
+              className="preference-preset"
+              onClick={onStartDrawing}
+              disabled={disabled || list.areas.length >= MAX_AVOID_AREAS}
+            >
+              + Draw area on map
+            </button>
+          )}
+
+          <h4 className="avoid-section-title">Streets</h4>
+          {list.streets.length > 0 && (
+            <ul className="avoid-list">
+              {list.streets.map(street => renderEntry(
+                'streets',
+                street,
+                unmatchedStreets.includes(street.name) ? 'not found in street data' : null
+              ))}
+            </ul>
+          )}
+          <div className="avoid-street-form">
+            <input
+              type="text"
+              className="form-input avoid-street-input"
+              value={streetName}
+              onChange={(e) => setStreetName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  addStreet();
+                }
+              }}
+              placeholder="Street name, e.g. W 37th Ave"
+              disabled={disabled || list.streets.length >= MAX_AVOID_STREETS}
+            />
+            <button
+              type="button"
+              className="preference-preset"
+              onClick={addStreet}
+              disabled={disabled || !streetName.trim() || list.streets.length >= MAX_AVOID_STREETS}
+            >
+              Add
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AvoidPreferences;
@@ -17,6 +17,14 @@ if (!GOOGLE_MAPS_API_KEY) {
 const DEFAULT_CENTER = { lat: 49.28, lng: -123.12 };
 const DEFAULT_ZOOM = 14;
 
+// Marker glyph per safe haven type (anything else gets the generic one)
+const SAFE_HAVEN_ICONS = {
+  'fire-hall': '🚒',
+  'hospital': '🏥',
+  'police': '🚓'
+};
+const DEFAULT_SAFE_HAVEN_ICON = '🛟';
+
 // Convert array coordinates to Google Maps format
 const convertToGoogleFormat = (coords) => {
   if (!coords || coords.length === 0) return [];
@@ -31,21 +39,48 @@ const convertToGoogleFormat = (coords) => {
   }));
 };
 
-function GoogleMap({ fastestRoute, safestRoute, start, end, startLabel = 'Start', endLabel = 'End', selectedRoute = 'safest', onRouteSelect }) {
+// routes: [{ id, path: [{ lat, lng }], color }], drawn in order with `selectedRoute` (an id) on top
+// waypoints: [{ lat, lng, label }] stops between start and end, numbered in visiting order
+// avoidAreas: [{ id, name, path: [{ lat, lng }] }] shaded areas routes stay out of
+// drawingPath: corners of an avoid area being drawn (null when not drawing); map clicks go to onMapClick({ lat, lng })
+// userPosition: { lat, lng, accuracy (m) } live position while navigating, which the map follows
+function GoogleMap({
+  routes = [],
+  start,
+  end,
+  waypoints = [],
+  startLabel = 'Start',
+  endLabel = 'End',
+  selectedRoute = 'safest',
+  onRouteSelect,
+  safeHavens = [],
+  darkStretches = [],
+  avoidAreas = [],
+  drawingPath = null,
+  onMapClick,
+  userPosition = null
+}) {
   const mapRef = useRef(null);
   const mapInstanceRef = useRef(null);
   const [isLoaded, setIsLoaded] = useState(false);
   const [containerReady, setContainerReady] = useState(false);
-  const fastestPolylineRef = useRef(null);
-  const fastestClickPolylineRef = useRef(null); // Invisible polyline for larger hitbox
-  const safestPolylineRef = useRef(null);
-  const safestClickPolylineRef = useRef(null); // Invisible polyline for larger hitbox
+  const routePolylinesRef = useRef(new Map()); // Route id -> { polyline, clickPolyline (invisible, larger hitbox), path }
   const startMarkerRef = useRef(null);
   const endMarkerRef = useRef(null);
   const startInfoWindowRef = useRef(null);
   const endInfoWindowRef = useRef(null);
-  const fastestAnimationRef = useRef(null);
-  const safestAnimationRef = useRef(null);
+  const waypointMarkersRef = useRef([]);
+  const waypointInfoWindowRef = useRef(null);
+  const avoidAreaPolygonsRef = useRef([]);
+  const drawingPolygonRef = useRef(null);
+  const drawingMarkersRef = useRef([]);
+  const onMapClickRef = useRef(onMapClick);
+  const safeHavenMarkersRef = useRef([]);
+  const safeHavenInfoWindowRef = useRef(null);
+  const darkStretchPolylinesRef = useRef([]);
+  const darkStretchInfoWindowRef = useRef(null);
+  const userMarkerRef = useRef(null);
+  const userAccuracyCircleRef = useRef(null);
   const isInteractingRef = useRef(false);
   const interactionTimeoutRef = useRef(null);
 
@@ -381,26 +416,16 @@ function GoogleMap({ fastestRoute, safestRoute, start, end, startLabel = 'Start'
     const handleInteractionStart = () => {
       isInteractingRef.current = true;
       // Simplify polylines during interaction by enabling optimization
-      if (fastestPolylineRef.current) {
-        fastestPolylineRef.current.setOptions({ optimized: true });
+      routePolylinesRef.current.forEach(({ polyline }) => {
+        polyline.setOptions({ optimized: true });
         // Get current path and simplify if it's long
-        const currentPath = fastestPolylineRef.current.getPath();
+        const currentPath = polyline.getPath();
         if (currentPath && currentPath.getLength() > 100) {
           const pathArray = Array.from(currentPath.getArray());
           const simplified = simplifyPath(pathArray.map(p => ({ lat: p.lat(), lng: p.lng() })), 0.0001);
-          fastestPolylineRef.current.setPath(simplified);
+          polyline.setPath(simplified);
         }
-      }
-      if (safestPolylineRef.current) {
-        safestPolylineRef.current.setOptions({ optimized: true });
-        // Get current path and simplify if it's long
-        const currentPath = safestPolylineRef.current.getPath();
-        if (currentPath && currentPath.getLength() > 100) {
-          const pathArray = Array.from(currentPath.getArray());
-          const simplified = simplifyPath(pathArray.map(p => ({ lat: p.lat(), lng: p.lng() })), 0.0001);
-          safestPolylineRef.current.setPath(simplified);
-        }
-      }
+      });
     };
 
     const handleInteractionEnd = () => {
@@ -413,12 +438,9 @@ function GoogleMap({ fastestRoute, safestRoute, start, end, startLabel = 'Start'
         isInteractingRef.current = false;
         // Restore full polyline detail after interaction
         // The useEffect hooks will handle restoring the full paths
-        if (fastestPolylineRef.current) {
-          fastestPolylineRef.current.setOptions({ optimized: true });
-        }
-        if (safestPolylineRef.current) {
-          safestPolylineRef.current.setOptions({ optimized: true });
-        }
+        routePolylinesRef.current.forEach(({ polyline }) => {
+          polyline.setOptions({ optimized: true });
+        });
       }, 300);
     };
 
@@ -428,6 +450,13 @@ function GoogleMap({ fastestRoute, safestRoute, start, end, startLabel = 'Start'
     map.addListener('dragend', handleInteractionEnd);
     map.addListener('idle', handleInteractionEnd);
 
+    // Map clicks (used to place avoid area corners); the handler is read from a ref so it can change
+    map.addListener('click', event => {
+      if (onMapClickRef.current) {
+        onMapClickRef.current({ lat: event.latLng.lat(), lng: event.latLng.lng() });
+      }
+    });
+
     // Style My Location button to dark mode
     setTimeout(() => {
       const myLocationButtons = document.querySelectorAll(
@@ -505,16 +534,16 @@ function GoogleMap({ fastestRoute, safestRoute, start, end, startLabel = 'Start'
   }, [mapInstanceRef.current]);
 
   // Animate polyline drawing
-  const animatePolyline = (polylineRef, fullPath, duration = 2000) => {
+  const animatePolyline = (polyline, fullPath, duration = 2000) => {
     return new Promise((resolve) => {
-      if (!polylineRef.current || !fullPath || fullPath.length === 0) {
+      if (!polyline || !fullPath || fullPath.length === 0) {
         resolve();
         return;
       }
 
       // Cancel any existing animation
-      if (polylineRef.current.animationFrame) {
-        cancelAnimationFrame(polylineRef.current.animationFrame);
+      if (polyline.animationFrame) {
+        cancelAnimationFrame(polyline.animationFrame);
       }
 
       const startTime = Date.now();
@@ -531,198 +560,111 @@ function GoogleMap({ fastestRoute, safestRoute, start, end, startLabel = 'Start'
         currentPoints = Math.max(1, Math.floor(easedProgress * totalPoints));
         const animatedPath = fullPath.slice(0, currentPoints);
         
-        polylineRef.current.setPath(animatedPath);
+        polyline.setPath(animatedPath);
 
         if (progress < 1) {
-          polylineRef.current.animationFrame = requestAnimationFrame(animate);
+          polyline.animationFrame = requestAnimationFrame(animate);
         } else {
           // Ensure full path is set at the end
-          polylineRef.current.setPath(fullPath);
+          polyline.setPath(fullPath);
           resolve();
         }
       };
 
       // Start with empty path
-      polylineRef.current.setPath([]);
-      polylineRef.current.animationFrame = requestAnimationFrame(animate);
+      polyline.setPath([]);
+      polyline.animationFrame = requestAnimationFrame(animate);
     });
   };
 
-  // Update fastest route polyline
+  // Update route polylines: one visible line plus an invisible wider one for clicks per route
   useEffect(() => {
     if (!window.google || !window.google.maps) return;
-    if (!mapInstanceRef.current || !fastestRoute || fastestRoute.length === 0) {
-      // Cancel animation if route is cleared
-      if (fastestAnimationRef.current) {
-        cancelAnimationFrame(fastestAnimationRef.current);
-        fastestAnimationRef.current = null;
-      }
-      if (fastestPolylineRef.current) {
-        fastestPolylineRef.current.setMap(null);
-        fastestPolylineRef.current = null;
-      }
-      if (fastestClickPolylineRef.current) {
-        fastestClickPolylineRef.current.setMap(null);
-        fastestClickPolylineRef.current = null;
-      }
-      return;
-    }
-
-    const path = convertToGoogleFormat(fastestRoute);
-    const isSelected = selectedRoute === 'fastest';
-    const opacity = isSelected ? 0.85 : 0.595; // 30% reduction when not selected (0.85 * 0.7)
-
-    // Simplify path during interaction for better performance
-    const simplifiedPath = isInteractingRef.current && path.length > 100
-      ? simplifyPath(path, 0.0001) // Simplify when interacting
-      : path;
-
-    // Create or update visible polyline
-    if (!fastestPolylineRef.current) {
-      fastestPolylineRef.current = new window.google.maps.Polyline({
-        path: [], // Start with empty path for animation
-        geodesic: true,
-        strokeColor: '#0572f7', // Apple Blue
-        strokeOpacity: opacity,
-        strokeWeight: isSelected ? 4 : 3, // Thinner lines
-        map: mapInstanceRef.current,
-        clickable: false, // Disable clicks on visible line
-        icons: [], // No arrows
-        optimized: true, // Optimize rendering
-      });
-    } else {
-      fastestPolylineRef.current.setOptions({
-        strokeOpacity: opacity,
-        strokeWeight: isSelected ? 4 : 3,
-        clickable: false,
-        icons: [],
-        optimized: !isInteractingRef.current, // Optimize during interaction
-      });
-      // Update path with simplified version if interacting
-      if (isInteractingRef.current && path.length > 100) {
-        fastestPolylineRef.current.setPath(simplifiedPath);
-      }
-    }
-
-    // Create or update invisible clickable polyline with larger hitbox
-    if (!fastestClickPolylineRef.current) {
-      fastestClickPolylineRef.current = new window.google.maps.Polyline({
-        path: path, // Full path for click detection
-        geodesic: true,
-        strokeColor: '#0A84FF',
-        strokeOpacity: 0, // Completely invisible
-        strokeWeight: 20, // Large hitbox for easy clicking
-        map: mapInstanceRef.current,
-        clickable: true,
-        zIndex: 1 // Behind visible polyline
-      });
-      
-      // Make invisible polyline handle clicks
-      fastestClickPolylineRef.current.addListener('click', () => {
-        if (onRouteSelect) onRouteSelect('fastest');
-      });
-    } else {
-      fastestClickPolylineRef.current.setPath(path);
-    }
+    if (!mapInstanceRef.current) return;
 
-    // Animate the visible polyline (only if not currently interacting)
-    if (!isInteractingRef.current) {
-      animatePolyline(fastestPolylineRef, path, 2000).then(() => {
-        fastestAnimationRef.current = null;
-      });
-    } else {
-      // If interacting, just set the path directly without animation
-      fastestPolylineRef.current.setPath(simplifiedPath);
-    }
-  }, [fastestRoute, mapInstanceRef.current, selectedRoute]);
+    const polylines = routePolylinesRef.current;
+    const shown = routes.filter(route => route.path && route.path.length > 0);
+    const shownIds = new Set(shown.map(route => route.id));
 
-  // Update safest route polyline
-  useEffect(() => {
-    if (!window.google || !window.google.maps) return;
-    if (!mapInstanceRef.current || !safestRoute || safestRoute.length === 0) {
-      // Cancel animation if route is cleared
-      if (safestAnimationRef.current) {
-        cancelAnimationFrame(safestAnimationRef.current);
-        safestAnimationRef.current = null;
-      }
-      if (safestPolylineRef.current) {
-        safestPolylineRef.current.setMap(null);
-        safestPolylineRef.current = null;
-      }
-      if (safestClickPolylineRef.current) {
-        safestClickPolylineRef.current.setMap(null);
-        safestClickPolylineRef.current = null;
-      }
-      return;
-    }
+    // Remove routes that are gone (cancelling any animation in progress)
+    polylines.forEach((entry, id) => {
+      if (shownIds.has(id)) return;
+      if (entry.polyline.animationFrame) cancelAnimationFrame(entry.polyline.animationFrame);
+      entry.polyline.setMap(null);
+      entry.clickPolyline.setMap(null);
+      polylines.delete(id);
+    });
 
-    const path = convertToGoogleFormat(safestRoute);
-    const isSelected = selectedRoute === 'safest';
-    const opacity = isSelected ? 0.85 : 0.595; // 30% reduction when not selected (0.85 * 0.7)
+    shown.forEach((route, index) => {
+      const path = convertToGoogleFormat(route.path);
+      const isSelected = selectedRoute === route.id;
+      const opacity = isSelected ? 0.85 : 0.595; // 30% reduction when not selected (0.85 * 0.7)
+      const zIndex = isSelected ? 100 : 10 + index; // Selected route on top
 
-    // Simplify path during interaction for better performance
-    const simplifiedPath = isInteractingRef.current && path.length > 100
-      ? simplifyPath(path, 0.0001) // Simplify when interacting
-      : path;
+      // Simplify path during interaction for better performance
+      const simplifiedPath = isInteractingRef.current && path.length > 100
+        ? simplifyPath(path, 0.0001) // Simplify when interacting
+        : path;
 
-    // Create or update visible polyline
-    if (!safestPolylineRef.current) {
-      safestPolylineRef.current = new window.google.maps.Polyline({
-        path: [], // Start with empty path for animation
-        geodesic: true,
-        strokeColor: '#00FF7F', // Spring Green
-        strokeOpacity: opacity,
-        strokeWeight: isSelected ? 4 : 3, // Thinner lines
-        map: mapInstanceRef.current,
-        clickable: false, // Disable clicks on visible line
-        icons: [], // No arrows
-        optimized: true, // Optimize rendering
-      });
-    } else {
-      safestPolylineRef.current.setOptions({
-        strokeOpacity: opacity,
-        strokeWeight: isSelected ? 4 : 3,
-        clickable: false,
-        icons: [],
-        optimized: !isInteractingRef.current, // Optimize during interaction
-      });
-      // Update path with simplified version if interacting
-      if (isInteractingRef.current) {
-        safestPolylineRef.current.setPath(simplifiedPath);
+      let entry = polylines.get(route.id);
+      if (!entry) {
+        const polyline = new window.google.maps.Polyline({
+          path: [], // Start with empty path for animation
+          geodesic: true,
+          strokeColor: route.color,
+          strokeOpacity: opacity,
+          strokeWeight: isSelected ? 4 : 3, // Thinner lines
+          map: mapInstanceRef.current,
+          clickable: false, // Disable clicks on visible line
+          icons: [], // No arrows
+          optimized: true, // Optimize rendering
+          zIndex
+        });
+        const clickPolyline = new window.google.maps.Polyline({
+          path: path, // Full path for click detection
+          geodesic: true,
+          strokeColor: route.color,
+          strokeOpacity: 0, // Completely invisible
+          strokeWeight: 20, // Large hitbox for easy clicking
+          map: mapInstanceRef.current,
+          clickable: true,
+          zIndex: 1 // Behind visible polylines
+        });
+        entry = { polyline, clickPolyline, path: null };
+        polylines.set(route.id, entry);
+      } else {
+        entry.polyline.setOptions({
+          strokeColor: route.color,
+          strokeOpacity: opacity,
+          strokeWeight: isSelected ? 4 : 3,
+          clickable: false,
+          icons: [],
+          optimized: !isInteractingRef.current, // Optimize during interaction
+          zIndex
+        });
+        entry.clickPolyline.setPath(path);
       }
-    }
 
-    // Create or update invisible clickable polyline with larger hitbox
-    if (!safestClickPolylineRef.current) {
-      safestClickPolylineRef.current = new window.google.maps.Polyline({
-        path: path, // Full path for click detection
-        geodesic: true,
-        strokeColor: '#00FF7F',
-        strokeOpacity: 0, // Completely invisible
-        strokeWeight: 20, // Large hitbox for easy clicking
-        map: mapInstanceRef.current,
-        clickable: true,
-        zIndex: 1 // Behind visible polyline
-      });
-      
-      // Make invisible polyline handle clicks
-      safestClickPolylineRef.current.addListener('click', () => {
-        if (onRouteSelect) onRouteSelect('safest');
+      // Clicks select whichever route now has this id
+      window.google.maps.event.clearListeners(entry.clickPolyline, 'click');
+      entry.clickPolyline.addListener('click', () => {
+        if (onRouteSelect) onRouteSelect(route.id);
       });
-    } else {
-      safestClickPolylineRef.current.setPath(path);
-    }
 
-    // Animate the visible polyline (only if not currently interacting)
-    if (!isInteractingRef.current) {
-      animatePolyline(safestPolylineRef, path, 2000).then(() => {
-        safestAnimationRef.current = null;
-      });
-    } else {
-      // If interacting, just set the path directly without animation
-      safestPolylineRef.current.setPath(simplifiedPath);
-    }
-  }, [safestRoute, mapInstanceRef.current, selectedRoute]);
+      if (entry.path !== route.path) {
+        // New or changed route: animate the visible polyline (only if not currently interacting)
+        entry.path = route.path;
+        if (!isInteractingRef.current) {
+          animatePolyline(entry.polyline, path, 2000);
+        } else {
+          entry.polyline.setPath(simplifiedPath);
+        }
+      } else if (isInteractingRef.current) {
+        // Update path with simplified version if interacting
+        entry.polyline.setPath(simplifiedPath);
+      }
+    });
+  }, [routes, mapInstanceRef.current, selectedRoute]);
 
   // Update start marker
   useEffect(() => {
@@ -859,6 +801,237 @@ function GoogleMap({ fastestRoute, safestRoute, start, end, startLabel = 'Start'
     }
   }, [end, endLabel, mapInstanceRef.current]);
 
+  // Safe haven markers along the selected route
+  useEffect(() => {
+    if (!window.google || !window.google.maps) return;
+    if (!mapInstanceRef.current) return;
+
+    safeHavenMarkersRef.current.forEach(marker => marker.setMap(null));
+    safeHavenMarkersRef.current = [];
+
+    if (!safeHavenInfoWindowRef.current) {
+      safeHavenInfoWindowRef.current = new window.google.maps.InfoWindow();
+    }
+
+    safeHavens.forEach(haven => {
+      const marker = new window.google.maps.Marker({
+        position: { lat: haven.lat, lng: haven.lng },
+        map: mapInstanceRef.current,
+        title: haven.name,
+        label: { text: SAFE_HAVEN_ICONS[haven.type] || DEFAULT_SAFE_HAVEN_ICON, fontSize: '14px' },
+        icon: {
+          path: window.google.maps.SymbolPath.CIRCLE,
+          scale: 13,
+          fillColor: '#FFFFFF',
+          fillOpacity: 1,
+          strokeColor: '#FF453A', // Apple Red
+          strokeWeight: 2
+        },
+        zIndex: 900,
+        optimized: true
+      });
+      const distance = haven.distance !== undefined ? `<br/><span style="color: #636366;">${Math.round(haven.distance * 1000)}m from route</span>` : '';
+      marker.addListener('click', () => {
+        safeHavenInfoWindowRef.current.setContent(`<div style="font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', sans-serif; padding: 8px 12px; font-size: 14px; color: #1C1C1E;"><strong style="font-weight: 600;">${haven.name}</strong><br/><span style="color: #636366;">${haven.label} · open 24 hours</span><br/><span style="color: #636366;">${haven.address}</span>${distance}</div>`);
+        safeHavenInfoWindowRef.current.open(mapInstanceRef.current, marker);
+      });
+      safeHavenMarkersRef.current.push(marker);
+    });
+  }, [safeHavens, mapInstanceRef.current]);
+
+  // Numbered markers for the stops between start and end
+  useEffect(() => {
+    if (!window.google || !window.google.maps) return;
+    if (!mapInstanceRef.current) return;
+
+    waypointMarkersRef.current.forEach(marker => marker.setMap(null));
+    waypointMarkersRef.current = [];
+
+    if (!waypointInfoWindowRef.current) {
+      waypointInfoWindowRef.current = new window.google.maps.InfoWindow();
+    }
+
+    waypoints.forEach((waypoint, index) => {
+      const marker = new window.google.maps.Marker({
+        position: { lat: waypoint.lat, lng: waypoint.lng },
+        map: mapInstanceRef.current,
+        title: waypoint.label || `Stop ${index + 1}`,
+        label: { text: String(index + 1), color: '#FFFFFF', fontSize: '13px', fontWeight: '700' },
+        icon: {
+          path: window.google.maps.SymbolPath.CIRCLE,
+          scale: 12,
+          fillColor: '#0572F7', // Apple Blue
+          fillOpacity: 1,
+          strokeColor: '#FFFFFF',
+          strokeWeight: 3
+        },
+        zIndex: 1000,
+        optimized: true
+      });
+      marker.addListener('click', () => {
+        waypointInfoWindowRef.current.setContent(`<div style="font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', sans-serif; padding: 8px 12px; font-size: 14px; color: #1C1C1E;"><strong style="font-weight: 600;">Stop ${index + 1}</strong><br/><span style="color: #636366;">${waypoint.label || `${waypoint.lat.toFixed(5)}, ${waypoint.lng.toFixed(5)}`}</span></div>`);
+        waypointInfoWindowRef.current.open(mapInstanceRef.current, marker);
+      });
+      waypointMarkersRef.current.push(marker);
+    });
+  }, [waypoints, mapInstanceRef.current]);
+
+  useEffect(() => {
+    onMapClickRef.current = onMapClick;
+  }, [onMapClick]);
+
+  // Avoid areas from the user's list, shaded red
+  useEffect(() => {
+    if (!window.google || !window.google.maps) return;
+    if (!mapInstanceRef.current) return;
+
+    avoidAreaPolygonsRef.current.forEach(polygon => polygon.setMap(null));
+    avoidAreaPolygonsRef.current = avoidAreas.map(area => new window.google.maps.Polygon({
+      paths: area.path,
+      map: mapInstanceRef.current,
+      strokeColor: '#FF3B30', // Apple Red
+      strokeOpacity: 0.8,
+      strokeWeight: 2,
+      fillColor: '#FF3B30',
+      fillOpacity: 0.15,
+      clickable: false, // Let clicks through to the map (e.g. while drawing another area)
+      zIndex: 100
+    }));
+  }, [avoidAreas, mapInstanceRef.current]);
+
+  // The avoid area being drawn: its outline so far and a dot on each corner
+  useEffect(() => {
+    if (!window.google || !window.google.maps) return;
+    if (!mapInstanceRef.current) return;
+
+    if (drawingPolygonRef.current) {
+      drawingPolygonRef.current.setMap(null);
+      drawingPolygonRef.current = null;
+    }
+    drawingMarkersRef.current.forEach(marker => marker.setMap(null));
+    drawingMarkersRef.current = [];
+    mapInstanceRef.current.setOptions({ draggableCursor: drawingPath ? 'crosshair' : null });
+
+    if (!drawingPath) return;
+
+    drawingPolygonRef.current = new window.google.maps.Polygon({
+      paths: drawingPath,
+      map: mapInstanceRef.current,
+      strokeColor: '#FF9F0A', // Apple Orange
+      strokeOpacity: 0.9,
+      strokeWeight: 2,
+      fillColor: '#FF9F0A',
+      fillOpacity: 0.15,
+      clickable: false,
+      zIndex: 101
+    });
+    drawingMarkersRef.current = drawingPath.map(point => new window.google.maps.Marker({
+      position: point,
+      map: mapInstanceRef.current,
+      clickable: false,
+      icon: {
+        path: window.google.maps.SymbolPath.CIRCLE,
+        scale: 5,
+        fillColor: '#FF9F0A',
+        fillOpacity: 1,
+        strokeColor: '#FFFFFF',
+        strokeWeight: 2
+      },
+      zIndex: 1001
+    }));
+  }, [drawingPath, mapInstanceRef.current]);
+
+  // Dark stretches (no street lighting) along the selected route, dashed over the route line
+  useEffect(() => {
+    if (!window.google || !window.google.maps) return;
+    if (!mapInstanceRef.current) return;
+
+    darkStretchPolylinesRef.current.forEach(polyline => polyline.setMap(null));
+    darkStretchPolylinesRef.current = [];
+
+    if (!darkStretchInfoWindowRef.current) {
+      darkStretchInfoWindowRef.current = new window.google.maps.InfoWindow();
+    }
+
+    darkStretches.forEach(stretch => {
+      if (!stretch.coordinates || stretch.coordinates.length < 2) return;
+      const polyline = new window.google.maps.Polyline({
+        path: stretch.coordinates,
+        geodesic: true,
+        strokeOpacity: 0,
+        icons: [{
+          icon: { path: 'M 0,-1 0,1', strokeColor: '#1C1C1E', strokeOpacity: 0.9, strokeWeight: 5, scale: 3 },
+          offset: '0',
+          repeat: '14px'
+        }],
+        map: mapInstanceRef.current,
+        clickable: true,
+        zIndex: 800
+      });
+      const streets = stretch.streetNames && stretch.streetNames.length > 0
+        ? `<br/><span style="color: #636366;">${stretch.streetNames.join(', ')}</span>`
+        : '';
+      polyline.addListener('click', event => {
+        darkStretchInfoWindowRef.current.setContent(`<div style="font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', sans-serif; padding: 8px 12px; font-size: 14px; color: #1C1C1E;"><strong style="font-weight: 600;">No street lighting</strong><br/><span style="color: #636366;">${Math.round(stretch.length * 1000)}m dark stretch</span>${streets}</div>`);
+        darkStretchInfoWindowRef.current.setPosition(event.latLng);
+        darkStretchInfoWindowRef.current.open(mapInstanceRef.current);
+      });
+      darkStretchPolylinesRef.current.push(polyline);
+    });
+  }, [darkStretches, mapInstanceRef.current]);
+
+  // Live position while navigating: a blue dot with its GPS accuracy circle. The map follows
+  // it unless the user is panning or zooming.
+  useEffect(() => {
+    if (!window.google || !window.google.maps) return;
+    if (!mapInstanceRef.current) return;
+
+    if (!userPosition) {
+      if (userMarkerRef.current) {
+        userMarkerRef.current.setMap(null);
+        userMarkerRef.current = null;
+      }
+      if (userAccuracyCircleRef.current) {
+        userAccuracyCircleRef.current.setMap(null);
+        userAccuracyCircleRef.current = null;
+      }
+      return;
+    }
+
+    const position = { lat: userPosition.lat, lng: userPosition.lng };
+    if (!userMarkerRef.current) {
+      userMarkerRef.current = new window.google.maps.Marker({
+        map: mapInstanceRef.current,
+        title: 'Your location',
+        clickable: false,
+        icon: {
+          path: window.google.maps.SymbolPath.CIRCLE,
+          scale: 8,
+          fillColor: '#0572F7', // Apple Blue
+          fillOpacity: 1,
+          strokeColor: '#FFFFFF',
+          strokeWeight: 3
+        },
+        zIndex: 2000
+      });
+      userAccuracyCircleRef.current = new window.google.maps.Circle({
+        map: mapInstanceRef.current,
+        strokeOpacity: 0,
+        fillColor: '#0572F7',
+        fillOpacity: 0.12,
+        clickable: false,
+        zIndex: 1999
+      });
+    }
+    userMarkerRef.current.setPosition(position);
+    userAccuracyCircleRef.current.setCenter(position);
+    userAccuracyCircleRef.current.setRadius(userPosition.accuracy || 0);
+
+    if (!isInteractingRef.current) {
+      mapInstanceRef.current.panTo(position);
+    }
+  }, [userPosition, mapInstanceRef.current]);
+
   // Fit bounds to show all routes and markers
   // Only fit bounds when both locations are set AND routes exist
   useEffect(() => {
@@ -866,7 +1039,8 @@ function GoogleMap({ fastestRoute, safestRoute, start, end, startLabel = 'Start'
     if (!mapInstanceRef.current) return;
 
     // Only fit bounds if both start and end are set AND we have routes
-    const hasRoutes = (fastestRoute && fastestRoute.length > 0) || (safestRoute && safestRoute.length > 0);
+    const routePaths = routes.map(route => route.path).filter(path => path && path.length > 0);
+    const hasRoutes = routePaths.length > 0;
     const hasBothLocations = start && end;
 
     // Don't fit bounds if we only have one location (let user keep current zoom)
@@ -877,23 +1051,13 @@ function GoogleMap({ fastestRoute, safestRoute, start, end, startLabel = 'Start'
     const bounds = new window.google.maps.LatLngBounds();
     let hasBounds = false;
 
-    // Add fastest route
-    if (fastestRoute && fastestRoute.length > 0) {
-      const path = convertToGoogleFormat(fastestRoute);
-      path.forEach(point => {
+    // Add every route
+    routePaths.forEach(routePath => {
+      convertToGoogleFormat(routePath).forEach(point => {
         bounds.extend(point);
         hasBounds = true;
       });
-    }
-
-    // Add safest route
-    if (safestRoute && safestRoute.length > 0) {
-      const path = convertToGoogleFormat(safestRoute);
-      path.forEach(point => {
-        bounds.extend(point);
-        hasBounds = true;
-      });
-    }
+    });
 
     // Add start marker
     if (start) {
@@ -909,12 +1073,18 @@ function GoogleMap({ fastestRoute, safestRoute, start, end, startLabel = 'Start'
       hasBounds = true;
     }
 
+    // Add stops
+    waypoints.forEach(waypoint => {
+      bounds.extend({ lat: waypoint.lat, lng: waypoint.lng });
+      hasBounds = true;
+    });
+
     if (hasBounds) {
       mapInstanceRef.current.fitBounds(bounds, {
         padding: 50
       });
     }
-  }, [fastestRoute, safestRoute, start, end, mapInstanceRef.current]);
+  }, [routes, start, end, waypoints, mapInstanceRef.current]);
 
   // Show error message if API key is missing
   if (!GOOGLE_MAPS_API_KEY) {
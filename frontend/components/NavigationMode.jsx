@@ -1,34 +1,18 @@
-import React, { useState, useEffect, useRef } from 'react';
-
-// Calculate distance between two coordinates (Haversine formula)
-function calculateDistance(coord1, coord2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = (coord1.lat || coord1[0]) * Math.PI / 180;
-  const φ2 = (coord2.lat || coord2[0]) * Math.PI / 180;
-  const Δφ = ((coord2.lat || coord2[0]) - (coord1.lat || coord1[0])) * Math.PI / 180;
-  const Δλ = ((coord2.lng || coord2[1]) - (coord1.lng || coord1[1])) * Math.PI / 180;
-
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-          Math.cos(φ1) * Math.cos(φ2) *
-          Math.sin(Δλ/2) * Math.sin(Δλ/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-  return R * c; // Distance in meters
-}
-
-// Calculate bearing between two coordinates
-function calculateBearing(coord1, coord2) {
-  const lat1 = (coord1.lat || coord1[0]) * Math.PI / 180;
-  const lat2 = (coord2.lat || coord2[0]) * Math.PI / 180;
-  const dLng = ((coord2.lng || coord2[1]) - (coord1.lng || coord1[1])) * Math.PI / 180;
-
-  const y = Math.sin(dLng) * Math.cos(lat2);
-  const x = Math.cos(lat1) * Math.sin(lat2) -
-          Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
-
-  const bearing = Math.atan2(y, x) * 180 / Math.PI;
-  return (bearing + 360) % 360;
-}
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { submitReport } from '../utils/reports';
+import { measureRoute, snapToRoute, locateManeuvers, getNextManeuverIndex, isOffRoute } from '../utils/routeProgress';
+import { isGpsAvailable, watchGpsPosition, simulateRoutePosition } from '../utils/positionSource';
+import { getDueAnnouncements, getManeuverPhrase } from '../utils/voiceGuidance';
+import { locateHazards, getActiveHazard, getHazardAvoidArea, HAZARD_ICONS } from '../utils/hazards';
+import {
+  isSpeechAvailable,
+  speak,
+  cancelSpeech,
+  watchSpeechVoices,
+  loadVoiceSettings,
+  saveVoiceSettings,
+  SPEECH_RATES
+} from '../utils/speech';
 
 // Get direction arrow based on bearing
 function getDirectionArrow(bearing) {
@@ -43,152 +27,23 @@ function getDirectionArrow(bearing) {
   return '→';
 }
 
-// Normalize coordinate format
-function normalizeCoord(coord) {
-  if (!coord) return null;
-  if (typeof coord === 'object' && 'lat' in coord && 'lng' in coord) {
-    return { lat: coord.lat, lng: coord.lng };
-  }
-  if (Array.isArray(coord) && coord.length >= 2) {
-    return { lat: coord[0], lng: coord[1] };
-  }
-  return null;
-}
-
-// Process route to extract turn-by-turn instructions
-function processRouteForNavigation(route) {
-  if (!route || route.length < 2) return [];
-
-  // Normalize all coordinates first
-  const normalizedRoute = route.map(normalizeCoord).filter(coord => coord !== null);
-  if (normalizedRoute.length < 2) return [];
-
-  const instructions = [];
-  const significantTurnThreshold = 15; // degrees
-  const maxDistanceForStraight = 200; // meters
-
-  // Starting point
-  instructions.push({
-    type: 'start',
-    distance: 0,
-    instruction: 'Start navigation',
-    bearing: calculateBearing(normalizedRoute[0], normalizedRoute[1]),
-    coordinate: normalizedRoute[0]
-  });
-
-  let accumulatedDistance = 0;
-  let lastInstructionIndex = 0;
-
-  for (let i = 1; i < normalizedRoute.length - 1; i++) {
-    const prev = normalizedRoute[i - 1];
-    const current = normalizedRoute[i];
-    const next = normalizedRoute[i + 1];
-    
-    const bearing1 = calculateBearing(prev, current);
-    const bearing2 = calculateBearing(current, next);
-    let turnAngle = bearing2 - bearing1;
-    
-    // Normalize turn angle
-    if (turnAngle > 180) turnAngle -= 360;
-    if (turnAngle < -180) turnAngle += 360;
-    
-    const segmentDistance = calculateDistance(prev, current);
-    accumulatedDistance += segmentDistance;
-    
-    // Check for significant turns
-    if (Math.abs(turnAngle) > significantTurnThreshold) {
-      // Add "continue straight" instruction if we've accumulated significant distance
-      if (accumulatedDistance > maxDistanceForStraight && lastInstructionIndex < i - 1) {
-        const straightDistance = calculateDistance(normalizedRoute[lastInstructionIndex], current);
-        instructions.push({
-          type: 'straight',
-          distance: straightDistance,
-          instruction: 'Continue straight',
-          bearing: bearing1,
-          coordinate: current
-        });
-        accumulatedDistance = 0;
-        lastInstructionIndex = i;
-      }
-      
-      // Add turn instruction
-      let instruction = '';
-      if (turnAngle > 0 && turnAngle < 45) {
-        instruction = 'Slight right';
-      } else if (turnAngle >= 45 && turnAngle < 135) {
-        instruction = 'Turn right';
-      } else if (turnAngle >= 135) {
-        instruction = 'Sharp right';
-      } else if (turnAngle < 0 && turnAngle > -45) {
-        instruction = 'Slight left';
-      } else if (turnAngle <= -45 && turnAngle > -135) {
-        instruction = 'Turn left';
-      } else if (turnAngle <= -135) {
-        instruction = 'Sharp left';
-      }
-      
-      if (instruction) {
-        instructions.push({
-          type: 'turn',
-          distance: segmentDistance,
-          instruction: instruction,
-          bearing: bearing2,
-          coordinate: current,
-          turnAngle: turnAngle
-        });
-        accumulatedDistance = 0;
-        lastInstructionIndex = i;
-      }
-    }
-  }
-
-  // Add final segment if there's accumulated distance
-  if (accumulatedDistance > 50) {
-    const finalDistance = calculateDistance(normalizedRoute[lastInstructionIndex], normalizedRoute[normalizedRoute.length - 2]);
-    if (finalDistance > 50) {
-      instructions.push({
-        type: 'straight',
-        distance: finalDistance,
-        instruction: 'Continue straight',
-        bearing: calculateBearing(normalizedRoute[normalizedRoute.length - 2], normalizedRoute[normalizedRoute.length - 1]),
-        coordinate: normalizedRoute[normalizedRoute.length - 2]
-      });
-    }
-  }
-
-  // If we have very few instructions, add some intermediate waypoints
-  if (instructions.length < 3 && normalizedRoute.length > 2) {
-    const stepSize = Math.max(1, Math.floor(normalizedRoute.length / 10));
-    for (let i = stepSize; i < normalizedRoute.length - 1; i += stepSize) {
-      const prev = normalizedRoute[i - stepSize];
-      const current = normalizedRoute[i];
-      const distance = calculateDistance(prev, current);
-      if (distance > 30) {
-        instructions.splice(instructions.length - 1, 0, {
-          type: 'waypoint',
-          distance: distance,
-          instruction: 'Continue on route',
-          bearing: calculateBearing(prev, current),
-          coordinate: current
-        });
-      }
-    }
-  }
-
-  // Add destination
-  const lastCoord = normalizedRoute[normalizedRoute.length - 1];
-  const secondLastCoord = normalizedRoute[normalizedRoute.length - 2];
-  const distanceToEnd = calculateDistance(secondLastCoord, lastCoord);
-  
-  instructions.push({
-    type: 'destination',
-    distance: distanceToEnd,
-    instruction: 'Arrive at destination',
-    bearing: calculateBearing(secondLastCoord, lastCoord),
-    coordinate: lastCoord
-  });
-
-  return instructions;
+// Arrow for a maneuver from /api/route: by turn direction, or compass bearing when setting off
+const MODIFIER_ARROWS = {
+  'straight': '↑',
+  'slight left': '↖',
+  'left': '←',
+  'sharp left': '↙',
+  'slight right': '↗',
+  'right': '→',
+  'sharp right': '↘',
+  'uturn': '↶'
+};
+
+function getManeuverArrow(maneuver) {
+  if (maneuver.type === 'arrive') return '🏁';
+  if (maneuver.type === 'waypoint') return '📍';
+  if (maneuver.modifier && MODIFIER_ARROWS[maneuver.modifier]) return MODIFIER_ARROWS[maneuver.modifier];
+  return getDirectionArrow(maneuver.bearingAfter || 0);
 }
 
 // Format distance for display
@@ -199,27 +54,222 @@ function formatDistance(meters) {
   return `${(meters / 1000).toFixed(1)}km`;
 }
 
-function NavigationMode({ route, routeType, routeInfo, onStop, onReport }) {
+// Reroute after this many positions in a row off the route, so one bad GPS fix doesn't trigger it
+const OFF_ROUTE_FIXES = 3;
+// Wait at least this long between reroutes
+const REROUTE_COOLDOWN_MS = 20000;
+
+// Message for a failed GPS watch (a GeolocationPositionError, or an Error when there is no GPS)
+function getLocationErrorMessage(error) {
+  if (error && error.code === 1) return 'Location permission denied. Use Next Step to move through the turns.';
+  if (error && error.code === 3) return 'Waiting too long for your location. Use Next Step to move through the turns.';
+  return 'Your location is unavailable. Use Next Step to move through the turns.';
+}
+
+// maneuvers: turn-by-turn steps from /api/route ({ type, modifier, instruction, distance (km), coordinate, ... })
+// The current step follows the traveller's position (GPS, or a simulated replay of the route);
+// without a position it is stepped through by hand. Positions are reported to onPositionChange.
+// On leaving the route, onReroute({ lat, lng }, stopsVisited, { avoidArea, avoidSegments }) is
+// awaited for a new route and maneuvers; it may resolve to a note for the user about the new
+// route. hazards (from /api/route) raise a banner as they come up, with the option to reroute
+// around them; maneuvers and hazards are also read out.
+function NavigationMode({
+  route,
+  maneuvers = [],
+  hazards = [],
+  routeType,
+  routeInfo,
+  travelMode = 'walk',
+  onStop,
+  onReport,
+  onPositionChange,
+  onReroute
+}) {
   const [currentStep, setCurrentStep] = useState(0);
+  const [positionSource, setPositionSource] = useState(isGpsAvailable() ? 'gps' : null); // 'gps', 'simulated' or null
+  const [position, setPosition] = useState(null);
+  const [progress, setProgress] = useState(null); // { along, distanceFromRoute } in meters
+  const [locationError, setLocationError] = useState(null);
+  const [rerouting, setRerouting] = useState(false);
+  const [rerouteError, setRerouteError] = useState(null);
+  const [rerouteNotice, setRerouteNotice] = useState(null); // Note from onReroute about the new route
+  const [voiceSettings, setVoiceSettings] = useState(loadVoiceSettings);
+  const [voices, setVoices] = useState([]);
+  const [showVoiceSettings, setShowVoiceSettings] = useState(false);
+  const [dismissedHazards, setDismissedHazards] = useState(() => new Set()); // Hazard ids not to alert on again
   const [showReportSheet, setShowReportSheet] = useState(false);
   const [reportType, setReportType] = useState('');
   const [reportDescription, setReportDescription] = useState('');
-  const instructionsRef = useRef([]);
+  const lastAlongRef = useRef(0);
+  const onPositionChangeRef = useRef(onPositionChange);
+  const onRerouteRef = useRef(onReroute);
+  const offRouteCountRef = useRef(0);
+  const reroutingRef = useRef(false);
+  const lastRerouteAtRef = useRef(0);
+  const announcedRef = useRef(new Set()); // Announcement keys already spoken on this route
+  const voiceSettingsRef = useRef(voiceSettings);
+
+  const cumulative = useMemo(() => measureRoute(route || []), [route]);
+  const maneuverAlongs = useMemo(() => locateManeuvers(maneuvers, route || [], cumulative), [maneuvers, route, cumulative]);
+  const locatedHazards = useMemo(() => locateHazards(hazards, route, cumulative), [hazards, route, cumulative]);
+
+  useEffect(() => {
+    onPositionChangeRef.current = onPositionChange;
+    onRerouteRef.current = onReroute;
+  }, [onPositionChange, onReroute]);
+
+  // Start from the first step whenever a new route's maneuvers arrive
+  useEffect(() => {
+    setCurrentStep(0);
+    announcedRef.current = new Set();
+  }, [maneuvers]);
+
+  useEffect(() => {
+    voiceSettingsRef.current = voiceSettings;
+  }, [voiceSettings]);
+
+  useEffect(() => watchSpeechVoices(setVoices), []);
+
+  // Stop talking when navigation ends
+  useEffect(() => cancelSpeech, []);
+
+  // Ask for a new route from `from`; the new route and maneuvers arrive as props. Reroutes for
+  // leaving the route wait out REROUTE_COOLDOWN_MS; ones the user asks for (`options`) don't.
+  // Only uses refs and state setters, so the position handler can keep the first render's copy.
+  const requestReroute = (from, stopsVisited, options = null) => {
+    if (!onRerouteRef.current || reroutingRef.current) return;
+    if (!options && Date.now() - lastRerouteAtRef.current < REROUTE_COOLDOWN_MS) return;
+    reroutingRef.current = true;
+    lastRerouteAtRef.current = Date.now();
+    setRerouting(true);
+    setRerouteError(null);
+    setRerouteNotice(null);
+    Promise.resolve(onRerouteRef.current({ lat: from.lat, lng: from.lng }, stopsVisited, options || {}))
+      .then(notice => setRerouteNotice(notice || null))
+      .catch(error => {
+        console.error('Error rerouting:', error);
+        setRerouteError(`Couldn't find a new route: ${error.message}`);
+      })
+      .finally(() => {
+        reroutingRef.current = false;
+        setRerouting(false);
+      });
+  };
+
+  // Follow the chosen position source, moving to the next maneuver as each one is reached
+  useEffect(() => {
+    if (!positionSource || !route || route.length < 2) return;
+    lastAlongRef.current = 0;
+    offRouteCountRef.current = 0;
+    setRerouteError(null);
+
+    const handlePosition = (newPosition) => {
+      const snap = snapToRoute(newPosition, route, cumulative, lastAlongRef.current);
+      lastAlongRef.current = snap.along;
+      const nextStep = maneuverAlongs.length > 0 ? getNextManeuverIndex(maneuverAlongs, snap.along) : 0;
+      setLocationError(null);
+      setPosition(newPosition);
+      setProgress({ along: snap.along, distanceFromRoute: snap.distance });
+      setCurrentStep(nextStep);
+      if (onPositionChangeRef.current) onPositionChangeRef.current(newPosition);
+
+      offRouteCountRef.current = isOffRoute(snap.distance, newPosition.accuracy) ? offRouteCountRef.current + 1 : 0;
+      if (offRouteCountRef.current >= OFF_ROUTE_FIXES) {
+        const stopsVisited = maneuvers.slice(0, nextStep).filter(maneuver => maneuver.type === 'waypoint').length;
+        requestReroute(newPosition, stopsVisited);
+      }
+    };
+
+    const stop = positionSource === 'simulated'
+      ? simulateRoutePosition(route, handlePosition, { mode: travelMode })
+      : watchGpsPosition(handlePosition, (error) => {
+        console.warn('Location error:', error);
+        setLocationError(getLocationErrorMessage(error));
+        setPositionSource(null);
+      });
+
+    return () => {
+      stop();
+      setPosition(null);
+      setProgress(null);
+      if (onPositionChangeRef.current) onPositionChangeRef.current(null);
+    };
+  }, [positionSource, route, cumulative, maneuvers, maneuverAlongs, travelMode]);
 
+  // Say each announcement once: the first step when setting off, then upcoming maneuvers and
+  // safety alerts as the position approaches them (or each step as it is stepped to by hand)
   useEffect(() => {
-    if (route && route.length > 0) {
-      const processed = processRouteForNavigation(route);
-      instructionsRef.current = processed;
-      setCurrentStep(0);
-      console.log('Navigation instructions generated:', processed.length, processed);
+    if (maneuvers.length === 0) return;
+    const announced = announcedRef.current;
+    const due = [];
+
+    if (!announced.has('maneuver:0:now')) {
+      due.push({ key: 'maneuver:0:now', text: getManeuverPhrase(maneuvers[0]) });
+    }
+    if (positionSource && progress) {
+      due.push(...getDueAnnouncements({
+        maneuvers,
+        maneuverAlongs,
+        alerts: locatedHazards,
+        along: progress.along,
+        mode: travelMode,
+        announced
+      }));
+    } else if (!positionSource && currentStep > 0 && !announced.has(`maneuver:${currentStep}:now`)) {
+      due.push({ key: `maneuver:${currentStep}:now`, text: getManeuverPhrase(maneuvers[currentStep]) });
     }
-  }, [route]);
 
-  const currentInstruction = instructionsRef.current[currentStep] || null;
-  const upcomingInstructions = instructionsRef.current.slice(currentStep + 1, currentStep + 6);
+    due.forEach(({ key, text }) => {
+      announced.add(key);
+      speak(text, voiceSettingsRef.current);
+    });
+  }, [progress, currentStep, positionSource, maneuvers, maneuverAlongs, locatedHazards, travelMode]);
+
+  useEffect(() => {
+    if (rerouting) speak('Rerouting', voiceSettingsRef.current);
+  }, [rerouting]);
+
+  const updateVoiceSettings = (changes) => {
+    const settings = { ...voiceSettings, ...changes };
+    if (settings.muted) cancelSpeech();
+    setVoiceSettings(settings);
+    saveVoiceSettings(settings);
+  };
+
+  const isTracking = !!positionSource && !!progress;
+  const currentInstruction = maneuvers[currentStep] || null;
+  const offRoute = isTracking && isOffRoute(progress.distanceFromRoute, position && position.accuracy);
+  const trackingWarning = locationError || rerouteError || (offRoute && !rerouting) || (rerouteNotice && !rerouting);
+  let trackingStatus = 'Location off. Use Next Step to move through the turns.';
+  if (rerouting) trackingStatus = 'Rerouting…';
+  else if (locationError || rerouteError) trackingStatus = locationError || rerouteError;
+  else if (offRoute) trackingStatus = `Off route by ${formatDistance(progress.distanceFromRoute)}`;
+  else if (rerouteNotice) trackingStatus = rerouteNotice;
+  else if (positionSource === 'simulated') trackingStatus = 'Simulating your trip along the route';
+  else if (positionSource === 'gps') trackingStatus = progress ? 'Following your location' : 'Finding your location…';
+  // While tracking, the header shows how far away the next maneuver is; otherwise each step's length
+  const currentDistance = isTracking && currentStep > 0
+    ? Math.max(0, maneuverAlongs[currentStep] - progress.along)
+    : (currentInstruction ? currentInstruction.distance * 1000 : 0);
+  const upcomingInstructions = maneuvers.slice(currentStep + 1, currentStep + 6);
+  const activeHazard = isTracking ? getActiveHazard(locatedHazards, progress.along, travelMode, dismissedHazards) : null;
+
+  const dismissHazard = (id) => {
+    setDismissedHazards(current => new Set(current).add(id));
+  };
+
+  // Reroute around the hazard in the banner; if the new route can't avoid it, don't alert on it again
+  const rerouteAroundHazard = (hazard) => {
+    dismissHazard(hazard.id);
+    const stopsVisited = maneuvers.slice(0, currentStep).filter(maneuver => maneuver.type === 'waypoint').length;
+    // A closure names the segments it closes, so only those are avoided rather than everything near it
+    requestReroute(position, stopsVisited, hazard.segmentIds && hazard.segmentIds.length > 0
+      ? { avoidSegments: hazard.segmentIds }
+      : { avoidArea: getHazardAvoidArea(hazard) });
+  };
 
   const handleNextStep = () => {
-    if (currentStep < instructionsRef.current.length - 1) {
+    if (currentStep < maneuvers.length - 1) {
       setCurrentStep(currentStep + 1);
     }
   };
@@ -230,33 +280,23 @@ function NavigationMode({ route, routeType, routeInfo, onStop, onReport }) {
       const reportData = {
         type: reportType,
         description: reportDescription,
-        location: currentInstruction?.coordinate || route[0],
+        location: position ? { lat: position.lat, lng: position.lng } : (currentInstruction?.coordinate || route[0]),
         routeType: routeType,
         timestamp: new Date().toISOString()
       };
       
-      // Send to backend or store locally
+      // Send to backend (queued locally if it is unreachable)
       try {
-        const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
-        const response = await fetch(`${API_BASE_URL}/report`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(reportData)
-        });
-        
-        if (response.ok) {
+        const result = await submitReport(reportData);
+        if (result.status === 'sent') {
           console.log('Report submitted successfully');
         }
       } catch (error) {
         console.error('Error submitting report:', error);
-        // Store locally as fallback
-        const localReports = JSON.parse(localStorage.getItem('routeReports') || '[]');
-        localReports.push(reportData);
-        localStorage.setItem('routeReports', JSON.stringify(localReports));
+        alert(`Could not submit report: ${error.message}`);
+        return;
       }
-      
+
       setShowReportSheet(false);
       setReportType('');
       setReportDescription('');
@@ -276,19 +316,30 @@ function NavigationMode({ route, routeType, routeInfo, onStop, onReport }) {
           {currentInstruction && (
             <>
               <div className="navigation-direction-sidebar">
-                <div className="direction-arrow-sidebar" style={{ transform: `rotate(${currentInstruction.bearing}deg)` }}>
-                  {getDirectionArrow(currentInstruction.bearing)}
+                <div className="direction-arrow-sidebar">
+                  {getManeuverArrow(currentInstruction)}
                 </div>
               </div>
               <div className="navigation-info-sidebar">
                 <h2 className="navigation-instruction-sidebar">{currentInstruction.instruction}</h2>
-                {currentInstruction.distance > 0 && (
-                  <p className="navigation-distance-sidebar">{formatDistance(currentInstruction.distance)}</p>
+                {currentDistance > 0 && (
+                  <p className="navigation-distance-sidebar">
+                    {isTracking && currentStep > 0 ? `In ${formatDistance(currentDistance)}` : formatDistance(currentDistance)}
+                  </p>
                 )}
               </div>
             </>
           )}
         </div>
+        {isSpeechAvailable() && (
+          <button
+            className="navigation-mute-btn-sidebar"
+            onClick={() => updateVoiceSettings({ muted: !voiceSettings.muted })}
+            aria-pressed={voiceSettings.muted}
+          >
+            {voiceSettings.muted ? '🔇 Voice off' : '🔊 Voice on'}
+          </button>
+        )}
         <button className="navigation-stop-btn-sidebar" onClick={onStop}>
           <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
@@ -297,6 +348,42 @@ function NavigationMode({ route, routeType, routeInfo, onStop, onReport }) {
         </button>
       </div>
 
+      {/* Where the position comes from */}
+      <div className={`navigation-tracking-status ${trackingWarning ? 'error' : ''}`}>
+        {trackingStatus}
+      </div>
+
+      {/* Hazard coming up */}
+      {activeHazard && (
+        <div className={`navigation-hazard-banner ${activeHazard.hazard.type}`} role="alert">
+          <div className="navigation-hazard-icon">{HAZARD_ICONS[activeHazard.hazard.type] || '⚠️'}</div>
+          <div className="navigation-hazard-content">
+            <p className="navigation-hazard-title">
+              {activeHazard.hazard.title}
+              <span className="navigation-hazard-distance">
+                {activeHazard.distance > 0 ? `In ${formatDistance(activeHazard.distance)}` : 'Here now'}
+              </span>
+            </p>
+            {activeHazard.hazard.detail && <p className="navigation-hazard-detail">{activeHazard.hazard.detail}</p>}
+            <div className="navigation-hazard-actions">
+              {onReroute && (
+                <button
+                  type="button"
+                  className="preference-preset active"
+                  onClick={() => rerouteAroundHazard(activeHazard.hazard)}
+                  disabled={rerouting}
+                >
+                  Reroute around
+                </button>
+              )}
+              <button type="button" className="preference-preset" onClick={() => dismissHazard(activeHazard.hazard.id)}>
+                Dismiss
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Upcoming Turns & Hazards */}
       <div className="navigation-content-sidebar">
         <div className="navigation-section-sidebar">
@@ -306,11 +393,13 @@ function NavigationMode({ route, routeType, routeInfo, onStop, onReport }) {
               upcomingInstructions.map((instruction, idx) => (
                 <div key={idx} className="navigation-list-item-sidebar">
                   <div className="navigation-list-icon-sidebar">
-                    {getDirectionArrow(instruction.bearing)}
+                    {getManeuverArrow(instruction)}
                   </div>
                   <div className="navigation-list-content-sidebar">
                     <p className="navigation-list-instruction-sidebar">{instruction.instruction}</p>
-                    <p className="navigation-list-distance-sidebar">{formatDistance(instruction.distance)}</p>
+                    {instruction.distance > 0 && (
+                      <p className="navigation-list-distance-sidebar">{formatDistance(instruction.distance * 1000)}</p>
+                    )}
                   </div>
                 </div>
               ))
@@ -327,7 +416,7 @@ function NavigationMode({ route, routeType, routeInfo, onStop, onReport }) {
           <div className="navigation-section-sidebar">
             <h3 className="navigation-section-title-sidebar">Route Information</h3>
             <div className="navigation-list-sidebar">
-              {routeType === 'fastest' && routeInfo.information && routeInfo.information.length > 0 ? (
+              {routeType !== 'safest' && routeInfo.information && routeInfo.information.length > 0 ? (
                 routeInfo.information.map((info, idx) => (
                   <div key={idx} className="navigation-list-item-sidebar navigation-warning-sidebar">
                     <div className="navigation-list-icon-sidebar">⚠️</div>
@@ -350,6 +439,62 @@ function NavigationMode({ route, routeType, routeInfo, onStop, onReport }) {
           </div>
         )}
 
+        {/* Voice Settings */}
+        {isSpeechAvailable() && (
+          <div className="navigation-section-sidebar">
+            <div className="navigation-voice-header">
+              <h3 className="navigation-section-title-sidebar">Voice Guidance</h3>
+              <button
+                type="button"
+                className="safety-preferences-toggle"
+                onClick={() => setShowVoiceSettings(!showVoiceSettings)}
+                aria-expanded={showVoiceSettings}
+              >
+                {showVoiceSettings ? 'Done' : 'Settings'}
+              </button>
+            </div>
+            {showVoiceSettings && (
+              <div className="navigation-voice-settings">
+                <label className="navigation-voice-field">
+                  <span>Voice</span>
+                  <select
+                    className="report-sheet-input-sidebar"
+                    value={voiceSettings.voiceURI || ''}
+                    onChange={(e) => updateVoiceSettings({ voiceURI: e.target.value || null })}
+                  >
+                    <option value="">Default</option>
+                    {voices.map(voice => (
+                      <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="navigation-voice-field">
+                  <span>Speed</span>
+                  <select
+                    className="report-sheet-input-sidebar"
+                    value={voiceSettings.rate}
+                    onChange={(e) => updateVoiceSettings({ rate: parseFloat(e.target.value) })}
+                  >
+                    {SPEECH_RATES.map(rate => (
+                      <option key={rate.value} value={rate.value}>{rate.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <button
+                  type="button"
+                  className="preference-preset"
+                  onClick={() => {
+                    cancelSpeech();
+                    speak(currentInstruction ? getManeuverPhrase(currentInstruction) : 'Voice guidance is on', { ...voiceSettings, muted: false });
+                  }}
+                >
+                  Test voice
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Quick Actions */}
         <div className="navigation-actions-sidebar">
           <button 
@@ -361,7 +506,7 @@ function NavigationMode({ route, routeType, routeInfo, onStop, onReport }) {
             </svg>
             Report Issue
           </button>
-          {currentStep < instructionsRef.current.length - 1 && (
+          {!positionSource && currentStep < maneuvers.length - 1 && (
             <button 
               className="navigation-action-btn-sidebar"
               onClick={handleNextStep}
@@ -372,6 +517,24 @@ function NavigationMode({ route, routeType, routeInfo, onStop, onReport }) {
               Next Step
             </button>
           )}
+          {positionSource === 'simulated' ? (
+            <button
+              className="navigation-action-btn-sidebar"
+              onClick={() => setPositionSource(isGpsAvailable() ? 'gps' : null)}
+            >
+              Stop Simulation
+            </button>
+          ) : (
+            <button
+              className="navigation-action-btn-sidebar"
+              onClick={() => {
+                setLocationError(null);
+                setPositionSource('simulated');
+              }}
+            >
+              Simulate Trip
+            </button>
+          )}
         </div>
       </div>
 
@@ -0,0 +1,41 @@
+import React from 'react';
+
+function formatDistance(km) {
+  return km < 1 ? `${Math.round(km * 1000)}m` : `${km.toFixed(1)}km`;
+}
+
+// Name of stop `index` in a route with `stopCount` stops (start, numbered stops, end)
+function getStopName(index, stopCount) {
+  if (index === 0) return 'Start';
+  if (index === stopCount - 1) return 'End';
+  return `Stop ${index}`;
+}
+
+// Distance and time of each leg of a multi-stop route (legs from /api/route)
+function RouteLegs({ legs }) {
+  if (!legs || legs.length < 2) {
+    return null;
+  }
+
+  const stopCount = legs.length + 1;
+
+  return (
+    <div className="route-legs">
+      <h4 className="route-details-title">Legs</h4>
+      <ol className="route-legs-list">
+        {legs.map(leg => (
+          <li key={leg.index} className="route-leg">
+            <span className="route-leg-name">
+              {getStopName(leg.index, stopCount)} → {getStopName(leg.index + 1, stopCount)}
+            </span>
+            <span className="route-leg-meta">
+              {formatDistance(leg.distance)} · {leg.time} min
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default RouteLegs;
@@ -0,0 +1,116 @@
+import React from 'react';
+
+// Score components returned by /api/route, in display order.
+// Crime and disruption count against safety, so their bars are inverted.
+const COMPONENTS = [
+  { key: 'infra', label: 'Infrastructure', inverted: false },
+  { key: 'light', label: 'Lighting', inverted: false },
+  { key: 'crime', label: 'Crime', inverted: true },
+  { key: 'disruption', label: 'Disruption', inverted: true },
+  { key: 'amenity', label: 'Amenities', inverted: false }
+];
+
+const MAX_STREETS = 8;
+
+// Score colour class: good / fair / poor
+function getScoreLevel(score) {
+  if (score >= 7) return 'good';
+  if (score >= 5) return 'fair';
+  return 'poor';
+}
+
+function formatDistance(km) {
+  return km < 1 ? `${Math.round(km * 1000)}m` : `${km.toFixed(1)}km`;
+}
+
+// Merge consecutive segments on the same street (distance-weighted score)
+function groupByStreet(segments) {
+  const streets = [];
+  segments.forEach(segment => {
+    const name = segment.streetName || 'Unnamed path';
+    const last = streets[streets.length - 1];
+    if (last && last.name === name) {
+      const total = last.distance + segment.distance;
+      last.score = total > 0 ? (last.score * last.distance + segment.score * segment.distance) / total : last.score;
+      last.distance = total;
+      if (!last.bikewayTypes.includes(segment.bikewayType)) last.bikewayTypes.push(segment.bikewayType);
+    } else {
+      streets.push({
+        name,
+        distance: segment.distance,
+        score: segment.score,
+        bikewayTypes: segment.bikewayType ? [segment.bikewayType] : []
+      });
+    }
+  });
+  return streets;
+}
+
+// Safety score, component averages and street-by-street scores for one route
+function SafetyBreakdown({ safety }) {
+  if (!safety || safety.score === null || safety.score === undefined) {
+    return null;
+  }
+
+  const streets = groupByStreet(safety.segments || []);
+  const shownStreets = streets.slice(0, MAX_STREETS);
+
+  return (
+    <div className="safety-breakdown">
+      <div className="safety-score-row">
+        <span className="route-details-title">Safety Score</span>
+        <span className={`safety-score safety-score-${getScoreLevel(safety.score)}`}>
+          {safety.score.toFixed(1)}<span className="safety-score-max">/10</span>
+        </span>
+      </div>
+
+      <div className="safety-components">
+        {COMPONENTS.map(({ key, label, inverted }) => {
+          const value = safety.components[key];
+          if (value === undefined) return null;
+          const goodness = inverted ? 10 - value : value;
+          return (
+            <div key={key} className="safety-component">
+              <span className="safety-component-label">
+                {label}{inverted && <span className="safety-component-hint"> (lower is better)</span>}
+              </span>
+              <div className="safety-component-bar">
+                <div
+                  className={`safety-component-fill safety-score-${getScoreLevel(goodness)}`}
+                  style={{ width: `${Math.max(0, Math.min(10, goodness)) * 10}%` }}
+                />
+              </div>
+              <span className="safety-component-value">{value.toFixed(1)}</span>
+            </div>
+          );
+        })}
+      </div>
+
+      {shownStreets.length > 0 && (
+        <>
+          <h4 className="route-details-title">Streets</h4>
+          <ul className="safety-streets">
+            {shownStreets.map((street, idx) => (
+              <li key={idx} className="safety-street">
+                <div className="safety-street-info">
+                  <span className="safety-street-name">{street.name}</span>
+                  <span className="safety-street-meta">
+                    {[street.bikewayTypes.join(', '), formatDistance(street.distance)].filter(Boolean).join(' · ')}
+                  </span>
+                </div>
+                <span className={`safety-street-score safety-score-${getScoreLevel(street.score)}`}>
+                  {street.score.toFixed(1)}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {streets.length > shownStreets.length && (
+            <p className="safety-streets-more">+{streets.length - shownStreets.length} more streets</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SafetyBreakdown;
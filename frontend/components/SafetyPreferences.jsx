@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+
+// Weight sliders, in display order (crime and disruption count against safety)
+const WEIGHT_FACTORS = [
+  { key: 'infra', label: 'Infrastructure' },
+  { key: 'light', label: 'Lighting' },
+  { key: 'crime', label: 'Avoid crime' },
+  { key: 'disruption', label: 'Avoid closures & traffic' },
+  { key: 'amenity', label: 'Safe havens' }
+];
+
+// Safety weight profile picker: the presets from /api/weights plus custom sliders.
+// value: { preset } or { preset: 'custom', weights }; options: the /api/weights response.
+function SafetyPreferences({ options, value, onChange, disabled }) {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!options || !options.presets) return null;
+
+  const presets = options.presets;
+  const activePreset = presets.find(preset => preset.id === value.preset);
+  const isCustom = value.preset === 'custom';
+  // Sliders start from the selected preset's weights
+  const weights = isCustom ? { ...options.defaults, ...value.weights } : (activePreset || presets[0]).weights;
+  const summary = isCustom ? 'Custom weights' : (activePreset ? activePreset.label : presets[0].label);
+
+  const setWeight = (key, weight) => {
+    onChange({ preset: 'custom', weights: { ...weights, [key]: weight } });
+  };
+
+  return (
+    <div className="safety-preferences">
+      <div className="toggle-group">
+        <div className="toggle-label">
+          <span className="toggle-label-text">Safety Preferences</span>
+          <span className="toggle-label-subtitle">{summary}</span>
+        </div>
+        <button
+          type="button"
+          className="safety-preferences-toggle"
+          onClick={() => setExpanded(!expanded)}
+          aria-expanded={expanded}
+        >
+          {expanded ? 'Done' : 'Edit'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="safety-preferences-panel">
+          <div className="preference-presets" role="radiogroup" aria-label="Safety weight preset">
+            {presets.map(preset => (
+              <button
+                key={preset.id}
+                type="button"
+                role="radio"
+                aria-checked={value.preset === preset.id}
+                className={`preference-preset ${value.preset === preset.id ? 'active' : ''}`}
+                onClick={() => onChange({ preset: preset.id })}
+                title={preset.description}
+                disabled={disabled}
+              >
+                {preset.label}
+              </button>
+            ))}
+            <button
+              type="button"
+              role="radio"
+              aria-checked={isCustom}
+              className={`preference-preset ${isCustom ? 'active' : ''}`}
+              onClick={() => onChange({ preset: 'custom', weights })}
+              disabled={disabled}
+            >
+              Custom
+            </button>
+          </div>
+
+          {activePreset && <p className="preference-description">{activePreset.description}</p>}
+
+          <div className="preference-sliders">
+            {WEIGHT_FACTORS.map(({ key, label }) => (
+              <label key={key} className="preference-slider">
+                <span className="preference-slider-label">{label}</span>
+                <input
+                  type="range"
+                  min="0"
+                  max={options.maxWeight}
+                  step="0.5"
+                  value={weights[key]}
+                  onChange={(e) => setWeight(key, parseFloat(e.target.value))}
+                  disabled={disabled}
+                />
+                <span className="preference-slider-value">{Number(weights[key]).toFixed(1)}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SafetyPreferences;
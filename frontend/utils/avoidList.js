@@ -0,0 +1,58 @@
+// The user's personal list of areas and streets for routes to stay out of
+
+// The list is kept across visits
+const AVOID_LIST_KEY = 'avoidList';
+
+// Backend limits on what one route request can avoid
+export const MAX_AVOID_AREAS = 10;
+export const MAX_AVOID_STREETS = 20;
+export const MAX_AVOID_SEGMENTS = 20;
+
+// { areas: [{ id, name, path: [{ lat, lng }], enabled }], streets: [{ id, name, enabled }] }
+export const EMPTY_AVOID_LIST = { areas: [], streets: [] };
+
+// Id for a new list entry
+export function createAvoidId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function loadAvoidList() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(AVOID_LIST_KEY));
+    if (stored && Array.isArray(stored.areas) && Array.isArray(stored.streets)) {
+      return {
+        areas: stored.areas.filter(area => area && Array.isArray(area.path) && area.path.length >= 3),
+        streets: stored.streets.filter(street => street && typeof street.name === 'string')
+      };
+    }
+  } catch (e) {
+    // Fall back to an empty list
+  }
+  return EMPTY_AVOID_LIST;
+}
+
+export function saveAvoidList(list) {
+  localStorage.setItem(AVOID_LIST_KEY, JSON.stringify(list));
+}
+
+// Query string for /api/route from the enabled entries, and the list's `segments` (IDs from
+// closure hazards, kept only while navigating) when it has them,
+// e.g. "&avoidAreas=49.27,-123.12;49.27,-123.11;49.26,-123.11&avoidStreets=Main"
+export function getAvoidQuery(list) {
+  if (!list) return '';
+  let query = '';
+  const areas = list.areas.filter(area => area.enabled).slice(0, MAX_AVOID_AREAS);
+  if (areas.length > 0) {
+    const areaStr = areas.map(area => area.path.map(point => `${point.lat},${point.lng}`).join(';')).join('|');
+    query += `&avoidAreas=${encodeURIComponent(areaStr)}`;
+  }
+  const streets = list.streets.filter(street => street.enabled).slice(0, MAX_AVOID_STREETS);
+  if (streets.length > 0) {
+    query += `&avoidStreets=${encodeURIComponent(streets.map(street => street.name).join('|'))}`;
+  }
+  const segments = (list.segments || []).slice(-MAX_AVOID_SEGMENTS);
+  if (segments.length > 0) {
+    query += `&avoidSegments=${encodeURIComponent(segments.join('|'))}`;
+  }
+  return query;
+}
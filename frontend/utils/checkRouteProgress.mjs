@@ -0,0 +1,90 @@
+// Checks for following a route in routeProgress.js: snapping positions onto the route, which
+// maneuver comes next, when a position counts as off the route, and how much of a new route
+// overlaps the old one. Runs in Node without the browser, since routeProgress.js has no
+// browser dependencies.
+//
+// Usage: npm run check:route-progress
+import {
+  OFF_ROUTE_DISTANCE_M,
+  metersBetween,
+  measureRoute,
+  snapToRoute,
+  locateManeuvers,
+  getNextManeuverIndex,
+  pointAlongRoute,
+  isOffRoute,
+  getRouteOverlap
+} from './routeProgress.js';
+
+// Degrees per meter north and east, near Main St
+const M_LAT = 1 / 111195;
+const M_LNG = 1 / 72470;
+
+// A point `north` and `east` meters from `from`
+function offset(from, north, east) {
+  return { lat: from.lat + north * M_LAT, lng: from.lng + east * M_LNG };
+}
+
+// North 400m on Main St, then east 300m on E 10th Ave
+const START = { lat: 49.26, lng: -123.1 };
+const CORNER = offset(START, 400, 0);
+const END = offset(CORNER, 0, 300);
+const ROUTE = [START, offset(START, 200, 0), CORNER, END];
+const CUMULATIVE = measureRoute(ROUTE);
+const MANEUVERS = [
+  { type: 'depart', instruction: 'Head north on Main St', coordinate: START },
+  { type: 'turn', instruction: 'Turn right onto E 10th Ave', coordinate: CORNER },
+  { type: 'arrive', instruction: 'Arrive at your destination', coordinate: END }
+];
+
+let failures = 0;
+
+function check(name, actual, expected) {
+  const same = JSON.stringify(actual) === JSON.stringify(expected);
+  if (!same) failures++;
+  console.log(`${same ? 'ok  ' : 'FAIL'} ${name}`);
+  if (!same) console.log(`     expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
+
+const round = value => Math.round(value);
+const snapped = (position, minAlong) => {
+  const snap = snapToRoute(position, ROUTE, CUMULATIVE, minAlong);
+  return [round(snap.along), round(snap.distance)];
+};
+
+// Measuring
+check('distance along the route at each point', CUMULATIVE.map(round), [0, 200, 400, 700]);
+check('point along the route', round(metersBetween(pointAlongRoute(ROUTE, CUMULATIVE, 550), offset(CORNER, 0, 150))), 0);
+check('past the end stays at the end', pointAlongRoute(ROUTE, CUMULATIVE, 900), END);
+
+// Snapping
+check('beside the route: along and distance off it', snapped(offset(START, 300, 15)), [300, 15]);
+check('round the corner', snapped(offset(CORNER, -10, 100)), [500, 10]);
+// A position by the start of Main St, once the traveller is on E 10th Ave: lines ending over
+// 50m back are skipped, so it stays on E 10th Ave
+const nearStart = offset(START, 20, 10);
+check('nearest point while nothing is passed', snapped(nearStart), [20, 10]);
+check('no jumping back past the backtrack allowance', snapped(nearStart, 650)[0], 410);
+
+// Next maneuver
+const alongs = locateManeuvers(MANEUVERS, ROUTE, CUMULATIVE);
+check('maneuvers placed along the route', alongs.map(round), [0, 400, 700]);
+check('turn comes next on Main St', getNextManeuverIndex(alongs, 250), 1);
+check('turn reached within 10m of it', getNextManeuverIndex(alongs, 392), 2);
+check('arrival last once everything is passed', getNextManeuverIndex(alongs, 700), 2);
+
+// Off the route
+check('40m off the route by default', [isOffRoute(OFF_ROUTE_DISTANCE_M), isOffRoute(OFF_ROUTE_DISTANCE_M + 1)], [false, true]);
+check('poor GPS accuracy widens the allowance', [isOffRoute(60, 80), isOffRoute(90, 80)], [false, true]);
+
+// Overlap
+check('a route overlaps itself fully', getRouteOverlap(ROUTE, ROUTE), 1);
+// From the turn's corner, a parallel street one block (100m) north shares nothing
+check('a parallel street a block away shares nothing', getRouteOverlap([offset(CORNER, 100, 0), offset(END, 100, 0)], ROUTE), 0);
+check('shared part counted by length', getRouteOverlap([offset(START, 200, 0), CORNER, offset(CORNER, 200, 0)], ROUTE), 0.5);
+check('too short a route overlaps nothing', getRouteOverlap([START], ROUTE), 0);
+
+if (failures > 0) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,72 @@
+// Checks for the voice guidance timing in voiceGuidance.js: the announce distances per travel
+// mode, each announcement being made once, and passed maneuvers being skipped. Runs in Node
+// without the browser, since voiceGuidance.js has no browser dependencies.
+//
+// Usage: npm run check:voice
+import {
+  ANNOUNCE_DISTANCES_M,
+  getDueAnnouncements,
+  formatSpokenDistance,
+  toSpokenText
+} from './voiceGuidance.js';
+
+const MANEUVERS = [
+  { type: 'depart', instruction: 'Head north on Main St' },
+  { type: 'turn', instruction: 'Turn left onto E 10th Ave' },
+  { type: 'turn', instruction: 'Turn right onto Quebec St' },
+  { type: 'arrive', instruction: 'Arrive at your destination' }
+];
+// Positions of MANEUVERS along the route (m)
+const MANEUVER_ALONGS = [0, 500, 1000, 1400];
+
+let failures = 0;
+
+function check(name, actual, expected) {
+  const same = JSON.stringify(actual) === JSON.stringify(expected);
+  if (!same) failures++;
+  console.log(`${same ? 'ok  ' : 'FAIL'} ${name}`);
+  if (!same) console.log(`     expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
+
+// Keys of the announcements due at `along`
+function dueKeys(along, mode, announced = new Set(), alerts = []) {
+  return getDueAnnouncements({ maneuvers: MANEUVERS, maneuverAlongs: MANEUVER_ALONGS, alerts, along, mode, announced })
+    .map(announcement => announcement.key);
+}
+
+// Thresholds per mode
+check('walk announces early at 100m and now at 20m', ANNOUNCE_DISTANCES_M.walk, { early: 100, now: 20 });
+check('bike announces early at 300m and now at 50m', ANNOUNCE_DISTANCES_M.bike, { early: 300, now: 50 });
+check('walk: nothing 250m before a turn', dueKeys(250, 'walk'), []);
+check('bike: early warning 250m before a turn', dueKeys(250, 'bike'), ['maneuver:1:early']);
+check('walk: early warning 90m before a turn', dueKeys(410, 'walk'), ['maneuver:1:early']);
+check('walk: "now" 15m before a turn', dueKeys(485, 'walk'), ['maneuver:1:now']);
+check('bike: "now" 45m before a turn', dueKeys(455, 'bike'), ['maneuver:1:now']);
+check('unknown mode uses walking distances', dueKeys(410, 'scooter'), ['maneuver:1:early']);
+check('no early warning right before the "now" one', dueKeys(465, 'walk'), []);
+
+// Announce-once keys
+check('early warning not repeated', dueKeys(420, 'walk', new Set(['maneuver:1:early'])), []);
+check('"now" not repeated', dueKeys(490, 'walk', new Set(['maneuver:1:early', 'maneuver:1:now'])), []);
+const alerts = [
+  { id: 7, type: 'closure', along: 800 },
+  { id: 8, type: 'darkStretch', along: 800 }
+];
+check('closure alert at the early distance', dueKeys(710, 'walk', new Set(['maneuver:1:now']), alerts), ['alert:closure:7']);
+check('dark stretch alert as it starts', dueKeys(790, 'walk', new Set(['maneuver:1:now', 'alert:closure:7']), alerts), ['alert:darkStretch:8']);
+check('alerts not repeated', dueKeys(795, 'walk', new Set(['maneuver:1:now', 'alert:closure:7', 'alert:darkStretch:8']), alerts), []);
+
+// Skipping passed maneuvers
+check('passed turn skipped for the next one', dueKeys(920, 'walk'), ['maneuver:2:early']);
+check('only the next maneuver is announced', dueKeys(990, 'bike'), ['maneuver:2:now']);
+check('arrival announced at the end', dueKeys(1390, 'walk', new Set(['maneuver:3:early'])), ['maneuver:3:now']);
+
+// Spoken text
+check('distances rounded for speech', [formatSpokenDistance(87), formatSpokenDistance(430), formatSpokenDistance(1520)],
+  ['90 meters', '450 meters', '1.5 kilometers']);
+check('abbreviations read in full', toSpokenText('Continue on W 10th Ave for 400 m'), 'Continue on West 10th Avenue for 400 meters');
+
+if (failures > 0) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exitCode = 1;
+}
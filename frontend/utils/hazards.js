@@ -0,0 +1,62 @@
+// Hazards along the route being navigated: the per-route lists from /api/route
+// ({ id, type, title, detail, length (km), coordinate, ... }) placed on the route line
+
+import { snapToRoute } from './routeProgress';
+
+// A hazard's banner appears this far (m) ahead of it; sooner for cyclists
+export const HAZARD_ALERT_DISTANCES_M = { walk: 150, bike: 400 };
+
+export const HAZARD_ICONS = {
+  report: '⚠️',
+  closure: '🚧',
+  darkStretch: '🌑',
+  crime: '🚨'
+};
+
+// Margin (m) around a hazard in the area a reroute stays out of
+const AVOID_MARGIN_M = 40;
+const METERS_PER_DEGREE_LAT = 111320;
+
+// Each hazard with where it starts and ends along the route: { ...hazard, along, end } in meters
+export function locateHazards(hazards, route, cumulative) {
+  if (!route || route.length < 2) return [];
+  return hazards.map(hazard => {
+    const along = snapToRoute(hazard.coordinate, route, cumulative).along;
+    return { ...hazard, along, end: along + (hazard.length || 0) * 1000 };
+  });
+}
+
+// The hazard to show a banner for at `along` (m): the one being passed through, else the nearest
+// ahead within the mode's alert distance. Skips ids in `dismissed`. Returns { hazard, distance } or null.
+export function getActiveHazard(locatedHazards, along, mode, dismissed) {
+  const alertDistance = HAZARD_ALERT_DISTANCES_M[mode] || HAZARD_ALERT_DISTANCES_M.walk;
+  let active = null;
+  locatedHazards.forEach(hazard => {
+    if (dismissed.has(hazard.id) || hazard.end < along) return;
+    const distance = Math.max(0, hazard.along - along);
+    if (distance <= alertDistance && (!active || distance < active.distance)) {
+      active = { hazard, distance };
+    }
+  });
+  return active;
+}
+
+// Box around a hazard (the whole stretch for dark stretches and crime blocks), as the
+// [{ lat, lng }] corners of an avoid area for /api/route
+export function getHazardAvoidArea(hazard) {
+  const points = hazard.coordinates && hazard.coordinates.length > 0 ? hazard.coordinates : [hazard.coordinate];
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  const latMargin = AVOID_MARGIN_M / METERS_PER_DEGREE_LAT;
+  const lngMargin = AVOID_MARGIN_M / (METERS_PER_DEGREE_LAT * Math.cos(hazard.coordinate.lat * Math.PI / 180));
+  const south = Math.min(...lats) - latMargin;
+  const north = Math.max(...lats) + latMargin;
+  const west = Math.min(...lngs) - lngMargin;
+  const east = Math.max(...lngs) + lngMargin;
+  return [
+    { lat: south, lng: west },
+    { lat: north, lng: west },
+    { lat: north, lng: east },
+    { lat: south, lng: east }
+  ];
+}
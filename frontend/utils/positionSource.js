@@ -0,0 +1,73 @@
+// Position sources for navigation: the device's GPS, or a simulated traveller replaying a
+// route (for testing on a desktop). Both call onPosition({ lat, lng, accuracy, heading,
+// timestamp, simulated }) and return a function that stops them.
+
+import { measureRoute, pointAlongRoute, metersBetween } from './routeProgress';
+
+// Average speeds (km/h) matching the backend's travel time estimates
+const TRAVEL_SPEEDS_KMH = { walk: 5, bike: 15 };
+
+// Simulated travellers move this many times faster than real life, so a replay doesn't take as long as the trip
+const SIMULATION_SPEEDUP = 4;
+const SIMULATION_INTERVAL_MS = 1000;
+
+export function isGpsAvailable() {
+  return typeof navigator !== 'undefined' && !!navigator.geolocation;
+}
+
+// Follow the device's position. onError gets the GeolocationPositionError (e.g. permission denied).
+export function watchGpsPosition(onPosition, onError) {
+  if (!isGpsAvailable()) {
+    onError(new Error('Location is not available in this browser'));
+    return () => {};
+  }
+
+  const watchId = navigator.geolocation.watchPosition(
+    (position) => {
+      onPosition({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        heading: position.coords.heading,
+        timestamp: position.timestamp,
+        simulated: false
+      });
+    },
+    onError,
+    { enableHighAccuracy: true, maximumAge: 2000, timeout: 15000 }
+  );
+  return () => navigator.geolocation.clearWatch(watchId);
+}
+
+// Replay a route ([{ lat, lng }]) at the travel mode's speed (times SIMULATION_SPEEDUP).
+// onFinish is called once the end of the route is reached.
+export function simulateRoutePosition(route, onPosition, { mode = 'walk', speedup = SIMULATION_SPEEDUP, onFinish } = {}) {
+  if (!route || route.length < 2) return () => {};
+
+  const cumulative = measureRoute(route);
+  const total = cumulative[cumulative.length - 1];
+  const metersPerTick = (TRAVEL_SPEEDS_KMH[mode] || TRAVEL_SPEEDS_KMH.walk) * speedup * 1000 / 3600 * (SIMULATION_INTERVAL_MS / 1000);
+  let along = 0;
+  let previous = route[0];
+
+  const tick = () => {
+    const point = pointAlongRoute(route, cumulative, along);
+    const moved = metersBetween(previous, point);
+    const heading = moved > 0
+      ? (Math.atan2(point.lng - previous.lng, (point.lat - previous.lat) / Math.cos(point.lat * Math.PI / 180)) * 180 / Math.PI + 360) % 360
+      : null;
+    previous = point;
+    onPosition({ ...point, accuracy: 5, heading, timestamp: Date.now(), simulated: true });
+
+    if (along >= total) {
+      clearInterval(timer);
+      if (onFinish) onFinish();
+      return;
+    }
+    along = Math.min(total, along + metersPerTick);
+  };
+
+  const timer = setInterval(tick, SIMULATION_INTERVAL_MS);
+  tick();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,125 @@
+// Shared hazard report submission for the Report modal and NavigationMode
+
+// Get API base URL from environment variable, fallback to default
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
+
+// Reports that could not reach the backend are kept here until it is reachable again
+const PENDING_REPORTS_KEY = 'routeReports';
+
+// The flush in progress, shared by every caller that asks for one while it runs
+let flushInFlight = null;
+
+function readPendingReports() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PENDING_REPORTS_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function writePendingReports(reports) {
+  if (reports.length === 0) {
+    localStorage.removeItem(PENDING_REPORTS_KEY);
+  } else {
+    localStorage.setItem(PENDING_REPORTS_KEY, JSON.stringify(reports));
+  }
+}
+
+// Take one delivered (or rejected) report out of storage, leaving anything queued meanwhile
+function removePendingReport(reportData) {
+  const stored = readPendingReports();
+  const serialized = JSON.stringify(reportData);
+  const index = stored.findIndex(report => JSON.stringify(report) === serialized);
+  if (index === -1) return;
+  stored.splice(index, 1);
+  writePendingReports(stored);
+}
+
+// POST a single report. Resolves to the stored report, rejects with
+// err.retryable = true when the backend could not be reached (or failed on its side)
+async function postReport(reportData) {
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}/report`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(reportData)
+    });
+  } catch (networkError) {
+    networkError.retryable = true;
+    throw networkError;
+  }
+
+  if (!response.ok) {
+    let message = `HTTP ${response.status}: ${response.statusText}`;
+    try {
+      const errorData = await response.json();
+      message = [errorData.error, ...(errorData.details || [])].filter(Boolean).join(' - ') || message;
+    } catch (e) {
+      // Keep the status text
+    }
+    const error = new Error(message);
+    error.retryable = response.status >= 500;
+    throw error;
+  }
+
+  return response.json();
+}
+
+// Submit a report, queueing it locally if the backend is unreachable.
+// Returns { status: 'sent', report } or { status: 'queued' }; validation errors are thrown.
+export async function submitReport(reportData) {
+  const payload = {
+    ...reportData,
+    timestamp: reportData.timestamp || new Date().toISOString()
+  };
+
+  try {
+    const report = await postReport(payload);
+    return { status: 'sent', report };
+  } catch (error) {
+    if (!error.retryable) throw error;
+    console.warn('Backend unreachable, storing report locally:', error.message);
+    writePendingReports([...readPendingReports(), payload]);
+    return { status: 'queued' };
+  }
+}
+
+// Re-send reports saved while offline. Returns the number delivered. Callers that ask while
+// a flush is running get that flush, so no report is posted twice.
+export function flushPendingReports() {
+  if (!flushInFlight) {
+    flushInFlight = sendPendingReports().finally(() => {
+      flushInFlight = null;
+    });
+  }
+  return flushInFlight;
+}
+
+async function sendPendingReports() {
+  const pending = readPendingReports();
+  if (pending.length === 0) return 0;
+
+  let sent = 0;
+  for (const reportData of pending) {
+    try {
+      await postReport(reportData);
+      sent++;
+      removePendingReport(reportData);
+    } catch (error) {
+      if (!error.retryable) {
+        // The backend rejected it outright; retrying will never succeed
+        console.warn('Dropping invalid queued report:', error.message, reportData);
+        removePendingReport(reportData);
+      }
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`Sent ${sent} report(s) saved while offline`);
+  }
+  return sent;
+}
@@ -0,0 +1,141 @@
+// Route card descriptions built from the safety breakdown /api/route returns
+// (fastestSafety / safestSafety): overall and per-neighbourhood score averages plus
+// the bikeway segments each route uses.
+
+// Neighbourhoods shorter than this along the route aren't described on their own (km)
+const MIN_NEIGHBORHOOD_DISTANCE_KM = 0.2;
+// Scores below this are called out as a concern
+const LOW_SCORE = 5;
+
+function formatDistance(km) {
+  return km < 1 ? `${Math.round(km * 1000)}m` : `${km.toFixed(1)}km`;
+}
+
+// Notable strengths and concerns from 0-10 component averages
+function describeComponents(components) {
+  const good = [];
+  const bad = [];
+  if (components.infra >= 7) good.push('strong infrastructure');
+  else if (components.infra < 4.5) bad.push('weak infrastructure');
+  if (components.light >= 7) good.push('well lit');
+  else if (components.light < 4) bad.push('poorly lit');
+  if (components.crime <= 2) good.push('low crime');
+  else if (components.crime >= 6) bad.push('higher crime');
+  if (components.disruption >= 4) bad.push('construction or closures');
+  if (components.amenity >= 7) good.push('amenities nearby');
+  return { good, bad };
+}
+
+// Distance along each bikeway type, largest first: [{ type, distance, share }]
+function getBikewayShares(safety) {
+  const totals = new Map();
+  (safety.segments || []).forEach(segment => {
+    if (!segment.bikewayType) return;
+    totals.set(segment.bikewayType, (totals.get(segment.bikewayType) || 0) + segment.distance);
+  });
+  return Array.from(totals, ([type, distance]) => ({
+    type,
+    distance,
+    share: safety.distance > 0 ? distance / safety.distance : 0
+  })).sort((a, b) => b.distance - a.distance);
+}
+
+// One line about the route's dark stretches, or null when there are none (or no lighting data)
+function describeDarkStretches(darkStretches) {
+  if (!darkStretches || darkStretches.length === 0) return null;
+  const total = darkStretches.reduce((sum, stretch) => sum + stretch.length, 0);
+  const longest = darkStretches.reduce((a, b) => (b.length > a.length ? b : a));
+  const where = longest.streetNames.length > 0 ? ` (longest on ${longest.streetNames[0]})` : '';
+  return `🌑 ${darkStretches.length} dark ${darkStretches.length === 1 ? 'stretch' : 'stretches'}: ${formatDistance(total)} without street lighting${where}`;
+}
+
+function describeNeighborhoodList(neighborhoods) {
+  const names = neighborhoods.map(n => n.name);
+  if (names.length === 0) return null;
+  return names.length > 1
+    ? `Route passes through: ${names.join(', ')}`
+    : `Route through ${names[0]} neighborhood`;
+}
+
+// Safest route card: positive points, plus any dark stretches ({ benefits })
+export function describeSafestRoute(safety, darkStretches = null) {
+  if (!safety || safety.score === null || safety.score === undefined) {
+    return { benefits: ['Scored on infrastructure, lighting, crime, disruption and amenities'] };
+  }
+
+  const benefits = [];
+  const darkLine = describeDarkStretches(darkStretches);
+  const neighborhoods = safety.neighborhoods || [];
+
+  const neighborhoodList = describeNeighborhoodList(neighborhoods);
+  if (neighborhoodList) benefits.push(neighborhoodList);
+
+  const { good } = describeComponents(safety.components);
+  benefits.push(`Safety score ${safety.score.toFixed(1)}/10${good.length > 0 ? ` - ${good.join(', ')}` : ''}`);
+
+  const separated = getBikewayShares(safety)
+    .filter(share => share.type === 'Protected Bike Lanes' || share.type === 'Painted Lanes');
+  separated.forEach(share => {
+    benefits.push(`${formatDistance(share.distance)} (${Math.round(share.share * 100)}%) on ${share.type.toLowerCase()}`);
+  });
+
+  neighborhoods
+    .filter(n => n.distance >= MIN_NEIGHBORHOOD_DISTANCE_KM && n.score >= 7)
+    .sort((a, b) => b.distance - a.distance)
+    .slice(0, 3)
+    .forEach(n => {
+      const { good: strengths } = describeComponents(n.components);
+      benefits.push(`${n.name}: ${n.score.toFixed(1)}/10 over ${formatDistance(n.distance)}${strengths.length > 0 ? ` - ${strengths.join(', ')}` : ''}`);
+    });
+
+  if (darkLine) {
+    benefits.push(darkLine);
+  } else if (darkStretches) {
+    benefits.push('Street lighting along the whole route');
+  }
+
+  return { benefits };
+}
+
+// Fastest route card: concerns first, then a summary ({ information })
+export function describeFastestRoute(safety, darkStretches = null) {
+  if (!safety || safety.score === null || safety.score === undefined) {
+    return { information: ['Shorter distance for quicker travel'] };
+  }
+
+  const information = [];
+  const neighborhoods = safety.neighborhoods || [];
+
+  neighborhoods
+    .filter(n => n.distance >= MIN_NEIGHBORHOOD_DISTANCE_KM)
+    .forEach(n => {
+      const { bad } = describeComponents(n.components);
+      if (n.score < LOW_SCORE || bad.length > 0) {
+        information.push(`⚠️ ${n.name}: safety ${n.score.toFixed(1)}/10${bad.length > 0 ? ` - ${bad.join(', ')}` : ''}`);
+      }
+    });
+
+  const darkLine = describeDarkStretches(darkStretches);
+  if (darkLine) information.push(darkLine);
+
+  const lowest = (safety.segments || []).reduce(
+    (worst, segment) => (!worst || segment.score < worst.score ? segment : worst),
+    null
+  );
+  if (lowest && lowest.score < LOW_SCORE) {
+    information.push(`⚠️ Lowest-scoring stretch: ${lowest.streetName || 'unnamed path'} (${lowest.score.toFixed(1)}/10)`);
+  }
+
+  const { bad } = describeComponents(safety.components);
+  information.push(`Safety score ${safety.score.toFixed(1)}/10${bad.length > 0 ? ` - ${bad.join(', ')}` : ''}`);
+
+  const neighborhoodList = describeNeighborhoodList(neighborhoods);
+  if (neighborhoodList) information.push(neighborhoodList);
+
+  const [mainType] = getBikewayShares(safety);
+  if (mainType) {
+    information.push(`Mostly ${mainType.type.toLowerCase()} (${Math.round(mainType.share * 100)}% of the route)`);
+  }
+
+  return { information };
+}
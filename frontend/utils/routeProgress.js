@@ -0,0 +1,126 @@
+// Where a traveller is along a route: snapping positions onto the route line and finding
+// the next maneuver. Routes are [{ lat, lng }]; distances are in meters.
+
+// A maneuver counts as reached once the traveller is this close to it along the route
+export const MANEUVER_REACHED_M = 10;
+
+// Positions further than this from the route (or than the GPS accuracy, when that is worse) are off it
+export const OFF_ROUTE_DISTANCE_M = 40;
+
+// Snaps may step back this far along the route (GPS jitter), but no further, so a route that
+// doubles back on itself doesn't jump to the later (or earlier) pass
+const SNAP_BACKTRACK_M = 50;
+
+const EARTH_RADIUS_M = 6371e3;
+
+// Haversine distance between two { lat, lng } points
+export function metersBetween(a, b) {
+  const φ1 = a.lat * Math.PI / 180;
+  const φ2 = b.lat * Math.PI / 180;
+  const Δφ = (b.lat - a.lat) * Math.PI / 180;
+  const Δλ = (b.lng - a.lng) * Math.PI / 180;
+  const h = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+// Distance from the start of the route to each of its points
+export function measureRoute(route) {
+  const cumulative = [0];
+  for (let i = 1; i < route.length; i++) {
+    cumulative.push(cumulative[i - 1] + metersBetween(route[i - 1], route[i]));
+  }
+  return cumulative;
+}
+
+// Closest point to `point` on the line a-b: { point, t (0-1 along it), distance }
+function closestOnLine(point, a, b) {
+  // Flat projection, scaled so a degree of longitude is as long as a degree of latitude here
+  const scale = Math.cos(point.lat * Math.PI / 180);
+  const dx = (b.lng - a.lng) * scale;
+  const dy = b.lat - a.lat;
+  const lengthSq = dx * dx + dy * dy;
+  let t = 0;
+  if (lengthSq > 0) {
+    t = (((point.lng - a.lng) * scale) * dx + (point.lat - a.lat) * dy) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+  }
+  const closest = { lat: a.lat + (b.lat - a.lat) * t, lng: a.lng + (b.lng - a.lng) * t };
+  return { point: closest, t, distance: metersBetween(point, closest) };
+}
+
+// Snap a position onto the route: { point, along (m from the start), distance (m off the route) }.
+// Only parts of the route after `minAlong` - SNAP_BACKTRACK_M are considered.
+export function snapToRoute(position, route, cumulative, minAlong = 0) {
+  let best = null;
+  for (let i = 0; i < route.length - 1; i++) {
+    if (cumulative[i + 1] < minAlong - SNAP_BACKTRACK_M) continue;
+    const closest = closestOnLine(position, route[i], route[i + 1]);
+    if (!best || closest.distance < best.distance) {
+      best = {
+        point: closest.point,
+        along: cumulative[i] + (cumulative[i + 1] - cumulative[i]) * closest.t,
+        distance: closest.distance
+      };
+    }
+  }
+  return best || { point: route[0], along: 0, distance: metersBetween(position, route[0]) };
+}
+
+// Position of each maneuver along the route (m), found in order so each comes after the last
+export function locateManeuvers(maneuvers, route, cumulative) {
+  let along = 0;
+  return maneuvers.map((maneuver, i) => {
+    if (i === maneuvers.length - 1 && maneuver.type === 'arrive') {
+      along = cumulative[cumulative.length - 1];
+    } else if (maneuver.coordinate) {
+      along = Math.max(along, snapToRoute(maneuver.coordinate, route, cumulative, along).along);
+    }
+    return along;
+  });
+}
+
+// Index of the next maneuver not yet reached at `along` (the last one once everything is passed)
+export function getNextManeuverIndex(maneuverAlongs, along) {
+  for (let i = 1; i < maneuverAlongs.length; i++) {
+    if (maneuverAlongs[i] > along + MANEUVER_REACHED_M) return i;
+  }
+  return maneuverAlongs.length - 1;
+}
+
+// The point `along` meters from the start of the route
+export function pointAlongRoute(route, cumulative, along) {
+  if (along <= 0) return route[0];
+  for (let i = 1; i < route.length; i++) {
+    if (cumulative[i] >= along) {
+      const length = cumulative[i] - cumulative[i - 1];
+      const t = length > 0 ? (along - cumulative[i - 1]) / length : 0;
+      return {
+        lat: route[i - 1].lat + (route[i].lat - route[i - 1].lat) * t,
+        lng: route[i - 1].lng + (route[i].lng - route[i - 1].lng) * t
+      };
+    }
+  }
+  return route[route.length - 1];
+}
+
+// Whether a position snapped `distanceFromRoute` meters away has left the route
+export function isOffRoute(distanceFromRoute, accuracy = 0) {
+  return distanceFromRoute > Math.max(OFF_ROUTE_DISTANCE_M, accuracy || 0);
+}
+
+// Share (0-1) of `route`'s length lying within OFF_ROUTE_DISTANCE_M of `reference`, measured at
+// the middle of each of its lines
+export function getRouteOverlap(route, reference) {
+  if (route.length < 2 || reference.length < 2) return 0;
+  const referenceCumulative = measureRoute(reference);
+  let total = 0;
+  let shared = 0;
+  for (let i = 1; i < route.length; i++) {
+    const length = metersBetween(route[i - 1], route[i]);
+    const middle = { lat: (route[i - 1].lat + route[i].lat) / 2, lng: (route[i - 1].lng + route[i].lng) / 2 };
+    total += length;
+    if (snapToRoute(middle, reference, referenceCumulative).distance <= OFF_ROUTE_DISTANCE_M) shared += length;
+  }
+  return total > 0 ? shared / total : 0;
+}
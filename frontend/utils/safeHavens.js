@@ -0,0 +1,54 @@
+// Safe havens (fire halls and other 24-hour places) near a route, from /api/safe-havens
+
+// Get API base URL from environment variable, fallback to default
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
+
+// Havens further than this from the route line aren't shown (km)
+const MAX_ROUTE_DISTANCE_KM = 0.3;
+
+const KM_PER_DEGREE = 111.32;
+
+// Approximate distance (km) from a point to a { lat, lng } polyline, on a local flat projection
+function distanceToRoute(point, route) {
+  const cosLat = Math.cos(point.lat * Math.PI / 180);
+  const toXY = p => [(p.lng - point.lng) * cosLat * KM_PER_DEGREE, (p.lat - point.lat) * KM_PER_DEGREE];
+  let best = Infinity;
+  for (let i = 0; i < route.length - 1; i++) {
+    const [ax, ay] = toXY(route[i]);
+    const [bx, by] = toXY(route[i + 1]);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+    best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+  }
+  return best;
+}
+
+// Havens within MAX_ROUTE_DISTANCE_KM of a route ([{ lat, lng }]), each with its
+// `distance` (km) from the route, nearest first
+export async function fetchSafeHavensAlongRoute(route) {
+  if (!route || route.length < 2) return [];
+
+  const margin = MAX_ROUTE_DISTANCE_KM / KM_PER_DEGREE;
+  const lats = route.map(p => p.lat);
+  const lngs = route.map(p => p.lng);
+  const lngMargin = margin / Math.cos(lats[0] * Math.PI / 180);
+  const bbox = [
+    Math.min(...lats) - margin,
+    Math.min(...lngs) - lngMargin,
+    Math.max(...lats) + margin,
+    Math.max(...lngs) + lngMargin
+  ].map(value => value.toFixed(5)).join(',');
+
+  const response = await fetch(`${API_BASE_URL}/safe-havens?bbox=${bbox}`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  const data = await response.json();
+
+  return (data.safeHavens || [])
+    .map(haven => ({ ...haven, distance: distanceToRoute(haven, route) }))
+    .filter(haven => haven.distance <= MAX_ROUTE_DISTANCE_KM)
+    .sort((a, b) => a.distance - b.distance);
+}
@@ -0,0 +1,47 @@
+// Safety weight profiles: presets from /api/weights and the user's saved choice
+
+// Get API base URL from environment variable, fallback to default
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
+
+// The chosen profile is kept across visits
+const WEIGHT_PROFILE_KEY = 'safetyWeightProfile';
+
+// Profile used until the user picks one
+export const DEFAULT_WEIGHT_PROFILE = { preset: 'balanced' };
+
+// { defaultPreset, defaults, maxWeight, presets: [{ id, label, description, weights }] }
+export async function fetchWeightPresets() {
+  const response = await fetch(`${API_BASE_URL}/weights`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  return response.json();
+}
+
+// Saved profile: { preset } for a named preset, or { preset: 'custom', weights }
+export function loadWeightProfile() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(WEIGHT_PROFILE_KEY));
+    if (stored && typeof stored.preset === 'string') {
+      if (stored.preset !== 'custom') return { preset: stored.preset };
+      if (stored.weights && typeof stored.weights === 'object') return { preset: 'custom', weights: stored.weights };
+    }
+  } catch (e) {
+    // Fall back to the default
+  }
+  return DEFAULT_WEIGHT_PROFILE;
+}
+
+export function saveWeightProfile(profile) {
+  localStorage.setItem(WEIGHT_PROFILE_KEY, JSON.stringify(profile));
+}
+
+// Query string for /api/route, e.g. "&preset=well-lit" or "&weights=infra:3,light:5,..."
+export function getWeightQuery(profile) {
+  if (!profile) return '';
+  if (profile.preset === 'custom') {
+    const weights = Object.entries(profile.weights || {}).map(([key, value]) => `${key}:${value}`).join(',');
+    return weights ? `&weights=${encodeURIComponent(weights)}` : '';
+  }
+  return `&preset=${encodeURIComponent(profile.preset)}`;
+}
@@ -0,0 +1,71 @@
+// Spoken navigation through the browser's speech synthesis, and the user's voice settings
+
+// Settings are kept across visits
+const VOICE_SETTINGS_KEY = 'voiceSettings';
+
+// voiceURI: a voice from getSpeechVoices(), or null for the browser's default
+export const DEFAULT_VOICE_SETTINGS = { muted: false, voiceURI: null, rate: 1 };
+
+export const SPEECH_RATES = [
+  { value: 0.8, label: 'Slow' },
+  { value: 1, label: 'Normal' },
+  { value: 1.2, label: 'Fast' }
+];
+
+export function isSpeechAvailable() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+}
+
+export function loadVoiceSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(VOICE_SETTINGS_KEY));
+    if (stored && typeof stored === 'object') {
+      return {
+        muted: stored.muted === true,
+        voiceURI: typeof stored.voiceURI === 'string' ? stored.voiceURI : null,
+        rate: SPEECH_RATES.some(rate => rate.value === stored.rate) ? stored.rate : DEFAULT_VOICE_SETTINGS.rate
+      };
+    }
+  } catch (e) {
+    // Fall back to the defaults
+  }
+  return DEFAULT_VOICE_SETTINGS;
+}
+
+export function saveVoiceSettings(settings) {
+  localStorage.setItem(VOICE_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// English voices the browser offers. Some browsers load them after the page, so
+// onChange is called with the list again when it changes. Returns a function that stops listening.
+export function watchSpeechVoices(onChange) {
+  if (!isSpeechAvailable()) {
+    onChange([]);
+    return () => {};
+  }
+  const update = () => onChange(window.speechSynthesis.getVoices().filter(voice => voice.lang.startsWith('en')));
+  update();
+  window.speechSynthesis.addEventListener('voiceschanged', update);
+  return () => window.speechSynthesis.removeEventListener('voiceschanged', update);
+}
+
+// Say `text` after anything already queued, unless muted
+export function speak(text, settings = DEFAULT_VOICE_SETTINGS) {
+  if (!isSpeechAvailable() || settings.muted || !text) return;
+  const utterance = new window.SpeechSynthesisUtterance(text);
+  utterance.lang = 'en-CA';
+  utterance.rate = settings.rate;
+  if (settings.voiceURI) {
+    const voice = window.speechSynthesis.getVoices().find(option => option.voiceURI === settings.voiceURI);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    }
+  }
+  window.speechSynthesis.speak(utterance);
+}
+
+// Stop speaking and drop anything queued
+export function cancelSpeech() {
+  if (isSpeechAvailable()) window.speechSynthesis.cancel();
+}
@@ -0,0 +1,114 @@
+// What navigation says out loud, and when. Pure functions, kept apart from the browser's
+// speech API (utils/speech) so phrases and timing can be checked on their own
+// (checkVoiceGuidance.mjs, npm run check:voice).
+
+// How far ahead (m) a maneuver is announced: once early, then again as it comes up.
+// Cyclists cover ground faster, so they hear about turns sooner.
+export const ANNOUNCE_DISTANCES_M = {
+  walk: { early: 100, now: 20 },
+  bike: { early: 300, now: 50 }
+};
+
+// Spoken safety alerts, by hazard type (see utils/hazards)
+export const SAFETY_ALERT_PHRASES = {
+  darkStretch: 'Entering poorly lit stretch',
+  crime: 'Entering high-crime area',
+  closure: 'Road closure ahead',
+  report: 'Reported hazard ahead'
+};
+
+// Alerts for these types come at the early distance, to leave time to go another way;
+// the others are said as the stretch starts
+const EARLY_ALERT_TYPES = ['closure', 'report'];
+
+// Street abbreviations in the street data, read out in full
+const SPOKEN_ABBREVIATIONS = {
+  St: 'Street',
+  Ave: 'Avenue',
+  Blvd: 'Boulevard',
+  Dr: 'Drive',
+  Rd: 'Road',
+  Hwy: 'Highway',
+  Pl: 'Place',
+  Cres: 'Crescent',
+  Sq: 'Square',
+  W: 'West',
+  E: 'East',
+  N: 'North',
+  S: 'South'
+};
+
+export function getAnnounceDistances(mode) {
+  return ANNOUNCE_DISTANCES_M[mode] || ANNOUNCE_DISTANCES_M.walk;
+}
+
+// "400 meters", "1.5 kilometers": rounded the way a person would say it
+export function formatSpokenDistance(meters) {
+  if (meters >= 1000) {
+    const km = Math.round(meters / 100) / 10;
+    return `${km} ${km === 1 ? 'kilometer' : 'kilometers'}`;
+  }
+  const rounded = meters >= 100 ? Math.round(meters / 50) * 50 : Math.max(10, Math.round(meters / 10) * 10);
+  return `${rounded} meters`;
+}
+
+// A written instruction as it should be spoken: units and street abbreviations in full,
+// e.g. "Continue on W 10th Ave for 400 m" -> "Continue on West 10th Avenue for 400 meters"
+export function toSpokenText(text) {
+  return String(text)
+    .replace(/(\d+(?:\.\d+)?) km\b/g, (match, value) => {
+      const km = parseFloat(value);
+      return `${km} ${km === 1 ? 'kilometer' : 'kilometers'}`;
+    })
+    .replace(/(\d+) m\b/g, '$1 meters')
+    .replace(/\b([A-Z][a-z]{0,3})\b\.?/g, (match, word) => SPOKEN_ABBREVIATIONS[word] || match);
+}
+
+// Phrase for a maneuver `distance` meters ahead, or as it happens when distance is null
+export function getManeuverPhrase(maneuver, distance = null) {
+  if (maneuver.type === 'arrive') {
+    return distance === null
+      ? 'You have arrived at your destination'
+      : `Your destination is in ${formatSpokenDistance(distance)}`;
+  }
+  const instruction = toSpokenText(maneuver.instruction);
+  if (distance === null) return instruction;
+  return `In ${formatSpokenDistance(distance)}, ${instruction.charAt(0).toLowerCase()}${instruction.slice(1)}`;
+}
+
+// Announcements due at `along` meters into the route that haven't been made yet.
+// maneuverAlongs / alert.along: positions along the route (see utils/routeProgress).
+// alerts: [{ id, type (a SAFETY_ALERT_PHRASES key), along }]. announced: Set of keys already
+// spoken, e.g. "maneuver:3:early". Returns [{ key, text }] in the order to speak them.
+export function getDueAnnouncements({ maneuvers, maneuverAlongs, alerts = [], along, mode, announced }) {
+  const { early, now } = getAnnounceDistances(mode);
+  const due = [];
+
+  alerts.forEach(alert => {
+    const key = `alert:${alert.type}:${alert.id}`;
+    const distance = alert.along - along;
+    const threshold = EARLY_ALERT_TYPES.includes(alert.type) ? early : now;
+    if (!announced.has(key) && distance <= threshold && distance > -now && SAFETY_ALERT_PHRASES[alert.type]) {
+      due.push({ key, text: SAFETY_ALERT_PHRASES[alert.type] });
+    }
+  });
+
+  for (let i = 1; i < maneuvers.length; i++) {
+    const distance = maneuverAlongs[i] - along;
+    if (distance > early) break;
+    if (distance < -now) continue;
+
+    const nowKey = `maneuver:${i}:now`;
+    const earlyKey = `maneuver:${i}:early`;
+    if (distance <= now) {
+      if (!announced.has(nowKey)) due.push({ key: nowKey, text: getManeuverPhrase(maneuvers[i]) });
+    } else if (!announced.has(earlyKey) && distance > now * 2) {
+      // Too close to the turn, an early warning would run straight into the "now" one
+      due.push({ key: earlyKey, text: getManeuverPhrase(maneuvers[i], distance) });
+    }
+    // Only the next maneuver is announced
+    break;
+  }
+
+  return due;
+}